@@ -1,43 +1,140 @@
 // Enhanced CLI client that combines AgentHustle chatbot with Smithery MCP tools
 import { HustleIncognitoClient } from 'hustle-incognito';
-import axios from 'axios';
 import dotenv from 'dotenv';
 import readline from 'readline';
+import fs from 'fs/promises';
+import path from 'path';
 import chalk from 'chalk';
+import { Command, Option, InvalidArgumentError } from 'commander';
+import { parseToolCalls, parseLiteral, bindPositionalArguments, ToolCallStreamDetector } from './utils/tool-call-parser.js';
+import { validateParams, formatValidationErrors } from './utils/schema-validator.js';
+import { Conversation } from './utils/conversation.js';
+import { SessionStore } from './utils/session-store.js';
+import { createMCPClient } from './utils/mcp-client.js';
+import { setupTools } from './tools/index.js';
+import { logger, loadLoggerOptions, createRequestId } from './utils/logger.js';
+import { CancelledError } from './utils/timeout.js';
+import { ToolCallScheduler, loadToolConcurrency, createConfirmationQueue } from './utils/tool-scheduler.js';
+import { ToolProgress } from './utils/tool-progress.js';
+import { AgentLoop, loadAgentLimits, STOP_REASONS } from './utils/agent-loop.js';
+import { ApprovalPolicy, loadApprovalRules, APPROVAL_DECISIONS } from './utils/approval-policy.js';
+import { OUTPUT_FORMATS, formatAnswer, formatToolList, formatToolResult } from './utils/output-format.js';
+import { promptForParams } from './utils/schema-prompts.js';
+import { renderResult, findRenderer, TOKEN_SORT_COLUMNS } from './utils/result-renderers.js';
+import { buildReport, formatReport, REPORT_FORMATS } from './utils/report.js';
 
 // Load environment variables
 dotenv.config();
 
-// Validate required environment variables
-const requiredEnvVars = ['HUSTLE_API_KEY', 'VAULT_ID'];
+// Diagnostics go to stderr so they never mix with answers
+logger.configure({ ...loadLoggerOptions(process.env, process.stderr), stream: process.stderr });
+const log = logger.child('cli');
+
+// Exit codes of the non-interactive commands
+const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2,
+  unavailable: 3
+};
+
+// Command-line options. Without a subcommand the CLI starts the interactive REPL;
+// subcommands run once, print their result in the --output format and exit.
+let scriptCommand = null;
+const program = new Command()
+  .name('enhanced-cli')
+  .description('AgentHustle CLI with MCP tools')
+  .option('--resume <name>', 'reopen a saved session')
+  .option('--mcp-command <command>', 'start an MCP server over stdio and use its tools')
+  .option('--mcp-url <url>', 'use the tools of an MCP server over Streamable HTTP')
+  .addOption(new Option('-o, --output <format>', 'output of the subcommands').choices(OUTPUT_FORMATS).default('text'))
+  .addHelpText('after', `
+Exit codes:
+  ${EXIT_CODES.success}  success
+  ${EXIT_CODES.failure}  the tool call or agent request failed
+  ${EXIT_CODES.usage}  invalid arguments or unknown tool
+  ${EXIT_CODES.unavailable}  the tool server could not be reached`)
+  // Without an action of its own, commander would print help instead of starting the REPL
+  .action(() => {});
+
+program
+  .command('ask')
+  .description('ask AgentHustle one question, running tools as needed')
+  .argument('<prompt>', 'question to ask')
+  .action(prompt => {
+    scriptCommand = { chat: true, run: () => askCommand(prompt) };
+  });
+
+program
+  .command('chat')
+  .description('answer one prompt per line from stdin, keeping the conversation between them')
+  .action(() => {
+    scriptCommand = { chat: true, run: () => chatCommand() };
+  });
+
+const toolsCommand = program.command('tools').description('list or call tools without AgentHustle');
+toolsCommand
+  .command('list')
+  .description('list the available tools')
+  .action(() => {
+    scriptCommand = { run: () => toolsListCommand() };
+  });
+toolsCommand
+  .command('call')
+  .description('call a tool')
+  .argument('<name>', 'tool name')
+  .option('-p, --param <key=value>', 'parameter, converted to the type in the tool schema (repeatable)', collectParam, {})
+  .option('--json <json>', 'parameters as a JSON object (--param values are added to it)')
+  .action((name, options) => {
+    scriptCommand = { run: () => toolsCallCommand(name, options) };
+  });
+
+program.parse(process.argv);
+const cliOptions = program.opts();
+
+// Collect repeated --param key=value options
+function collectParam(pair, params) {
+  const separator = pair.indexOf('=');
+  if (separator <= 0) {
+    throw new InvalidArgumentError('Expected key=value');
+  }
+  return { ...params, [pair.slice(0, separator)]: pair.slice(separator + 1) };
+}
+
+// Validate required environment variables (only tool commands work without AgentHustle)
+const requiredEnvVars = !scriptCommand || scriptCommand.chat ? ['HUSTLE_API_KEY', 'VAULT_ID'] : [];
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
   console.error(`Missing required environment variables: ${missingEnvVars.join(', ')}`);
   console.error('Please create a .env file based on env.example');
-  process.exit(1);
+  process.exit(EXIT_CODES.usage);
 }
 
 // Configuration
 const MCP_SERVER_URL = process.env.MCP_SERVER_URL || 'http://localhost:8081';
 const HUSTLE_API_URL = process.env.HUSTLE_API_URL || 'https://agenthustle.ai';
-const DEBUG = process.env.DEBUG === 'true';
+
+// Tools come from our REST server unless an MCP server is given
+const mcpClient = await createMCPClient({
+  serverUrl: MCP_SERVER_URL,
+  command: cliOptions.mcpCommand || process.env.MCP_SERVER_COMMAND,
+  mcpUrl: cliOptions.mcpUrl || process.env.MCP_SERVER_ENDPOINT,
+  apiKey: process.env.MCP_API_KEY
+});
 
 // Initialize the AgentHustle client
-const client = new HustleIncognitoClient({
+const client = requiredEnvVars.length > 0 ? new HustleIncognitoClient({
   apiKey: process.env.HUSTLE_API_KEY,
   hustleApiUrl: HUSTLE_API_URL,
-  debug: DEBUG
-});
+  debug: logger.isLevelEnabled('debug')
+}) : null;
 
 // Store the vault ID for use in API calls
 const vaultId = process.env.VAULT_ID;
 
-// Create readline interface
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Readline interface of the REPL; subcommands run without one
+let rl = null;
 
 // Available modes
 const MODES = {
@@ -53,8 +150,71 @@ let availableTools = [];
 // Store last message ID for feedback
 let lastMessageId = null;
 
+// Cache mode sent with tool calls: default, bypass or refresh (see /cache)
+let cacheMode = 'default';
+
+// How tool results are shown: raw JSON, and the column token tables are sorted by (see /render)
+const renderOptions = { raw: false, sort: null };
+
+// Most tool calls from one reply that run at the same time
+const toolConcurrency = loadToolConcurrency();
+
+// Limits on the rounds, tool calls and time the agent may use per question
+const agentLimits = loadAgentLimits();
+
+// Steps of the last question answered in chat mode (see /trace)
+let lastAgentTrace = null;
+
+// Which agent tool calls run right away, need confirmation or are refused (see /approve)
+let approvalPolicy;
+try {
+  approvalPolicy = new ApprovalPolicy(loadApprovalRules());
+} catch (error) {
+  console.error(error.message);
+  process.exit(EXIT_CODES.usage);
+}
+
+// Confirmations are asked one at a time, even when calls run side by side
+const confirmations = createConfirmationQueue();
+
+// Summarize turns that no longer fit the history budget
+async function summarizeHistory(messages, previousSummary) {
+  const transcript = messages.map(m => `${m.role.toUpperCase()}: ${m.content}`).join('\n\n');
+  const response = await client.chat([{
+    role: 'user',
+    content: `Summarize this conversation in a few short paragraphs, keeping names, token symbols, addresses, chains and numbers that may be referred to later.
+${previousSummary ? `\nEarlier summary:\n${previousSummary}\n` : ''}
+Conversation:
+${transcript}`
+  }], { vaultId });
+  return response.content;
+}
+
+// Conversation history sent with every chat request
+const conversation = new Conversation({
+  maxTurns: parseInt(process.env.CHAT_MAX_TURNS, 10) || 20,
+  maxTokens: parseInt(process.env.CHAT_MAX_TOKENS, 10) || 8000,
+  summarize: process.env.CHAT_SUMMARIZE === 'true' ? summarizeHistory : undefined
+});
+
+// Every tool call made in this session, with its parameters and outcome
+let toolHistory = [];
+
+// The prompt being answered and its current round of tools; calls made for it are
+// recorded with it so /export can place them in the conversation
+let currentPrompt = null;
+
+// Saved sessions; the active session is saved again on /exit
+const sessionStore = new SessionStore();
+let activeSession = null;
+
 // Main function
 async function main() {
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
   console.log(chalk.green('🤖 AgentHustle Enhanced CLI'));
   console.log(chalk.green('============================='));
   console.log('Commands:');
@@ -65,28 +225,38 @@ async function main() {
   console.log('  /use <tool>   - Use a specific tool');
   console.log('  /exit         - Exit the application');
   console.log('  /feedback     - Provide feedback on the last response');
+  console.log('  /clear        - Forget the conversation history');
+  console.log('  /cache default|bypass|refresh - Choose how tool calls use the server cache');
+  console.log('  /session save|load|list|delete [name] - Manage saved sessions');
+  console.log('  /trace        - Show the steps of the last agent run');
+  console.log('  /approve [tool auto|confirm|deny|reset] - Show or set which agent tool calls need approval');
+  console.log('  /render [raw on|off|sort <column>] - Show the last tool result in full, or change how results are shown');
+  console.log(`  /export ${REPORT_FORMATS.join('|')} [file] - Write the conversation and its tool calls as a report`);
   console.log('');
   
   try {
     // Fetch available tools from MCP server
-    console.log('Connecting to MCP server...');
-    const toolsResponse = await axios.post(`${MCP_SERVER_URL}/api/tools/list`);
-    availableTools = toolsResponse.data.tools;
+    console.log(`Connecting to ${mcpClient.describe()}...`);
+    availableTools = await setupTools(mcpClient);
     
     console.log(chalk.green(`✓ Connected to MCP server`));
     console.log(chalk.green(`✓ Available tools: ${availableTools.map(t => t.name).join(', ')}`));
     console.log('');
     console.log(chalk.yellow(`Current mode: ${currentMode.toUpperCase()}`));
     console.log('');
-    
-    // Start the interaction loop
-    promptForInput();
   } catch (error) {
     console.error(chalk.red('Error connecting to MCP server:'), error.message);
     console.log(chalk.yellow('Continuing in chat-only mode...'));
     console.log('');
-    promptForInput();
   }
+
+  if (cliOptions.resume) {
+    await loadSession(cliOptions.resume);
+    console.log('');
+  }
+
+  // Start the interaction loop
+  promptForInput();
 }
 
 // Prompt for input
@@ -95,7 +265,11 @@ function promptForInput() {
   rl.question(`[${prefix}]> `, async (input) => {
     // Handle commands
     if (input.startsWith('/')) {
-      await handleCommand(input);
+      try {
+        await handleCommand(input);
+      } catch (error) {
+        console.error(chalk.red('Error:'), error.message);
+      }
       return promptForInput();
     }
     
@@ -148,8 +322,9 @@ async function handleCommand(input) {
         console.log(chalk.green('\nAvailable Tools:'));
         
         // Group tools by source
-        const localTools = availableTools.filter(t => !t.source || t.source === 'local');
+        const localTools = availableTools.filter(t => !['smithery', 'mcp'].includes(t.source));
         const smitheryTools = availableTools.filter(t => t.source === 'smithery');
+        const mcpTools = availableTools.filter(t => t.source === 'mcp');
         
         if (localTools.length > 0) {
           console.log(chalk.blue('\n📦 Local Tools:'));
@@ -165,6 +340,13 @@ async function handleCommand(input) {
           });
         }
         
+        if (mcpTools.length > 0) {
+          console.log(chalk.cyan(`\n🔌 ${mcpClient.describe()}:`));
+          mcpTools.forEach(tool => {
+            console.log(`- ${chalk.bold(tool.name)}: ${tool.description}`);
+          });
+        }
+        
         console.log(chalk.gray(`\nTotal: ${availableTools.length} tools available`));
       } else {
         console.log(chalk.yellow('No tools available. MCP server may not be connected.'));
@@ -186,9 +368,53 @@ async function handleCommand(input) {
       }
       break;
       
+    case 'clear':
+      conversation.clear();
+      console.log(chalk.yellow('Conversation history cleared'));
+      break;
+      
+    case 'session':
+      await handleSessionCommand(args);
+      break;
+      
+    case 'cache':
+      if (!args[0]) {
+        console.log(chalk.yellow(`Cache mode: ${cacheMode}`));
+      } else if (['default', 'bypass', 'refresh'].includes(args[0])) {
+        cacheMode = args[0];
+        console.log(chalk.yellow(`Tool calls now use cache mode ${cacheMode.toUpperCase()}`));
+      } else {
+        console.log(chalk.red('Usage: /cache default|bypass|refresh'));
+      }
+      break;
+      
+    case 'approve':
+      handleApproveCommand(args);
+      break;
+      
+    case 'render':
+      handleRenderCommand(args);
+      break;
+      
+    case 'export':
+      await exportConversation(args[0], args.slice(1).join(' '));
+      break;
+      
+    case 'trace':
+      if (lastAgentTrace) {
+        printAgentTrace(lastAgentTrace);
+      } else {
+        console.log(chalk.yellow('No agent run yet. Ask a question in chat mode first.'));
+      }
+      break;
+      
     case 'exit':
     case 'quit':
+      if (activeSession) {
+        await saveSession(activeSession);
+      }
       console.log(chalk.green('Goodbye!'));
+      await mcpClient.close();
       rl.close();
       process.exit(0);
       break;
@@ -206,18 +432,15 @@ async function handleCommand(input) {
       
       try {
         const comment = args.slice(1).join(' ');
-        const response = await axios.post(`${MCP_SERVER_URL}/api/tools/call`, {
-          name: 'feedback',
-          params: {
-            messageId: lastMessageId,
-            feedback: args[0],
-            comment
-          }
+        const response = await mcpClient.callTool('feedback', {
+          messageId: lastMessageId,
+          feedback: args[0],
+          comment
         });
         
         console.log(chalk.green('Thank you for your feedback!'));
-        if (response.data.error) {
-          console.log(chalk.red('Error:', response.data.message));
+        if (response.error) {
+          console.log(chalk.red('Error:', response.error));
         }
       } catch (error) {
         console.error(chalk.red('Error submitting feedback:'), error.message);
@@ -230,143 +453,514 @@ async function handleCommand(input) {
   }
 }
 
-// Parse tool calls from AgentHustle response
-function parseToolCalls(content) {
-  const toolRegex = /<tool>(.*?)<\/tool>/gs;
-  const matches = [...content.matchAll(toolRegex)];
-  return matches.map(match => {
-    try {
-      const functionCall = match[1];
-      const toolMatch = functionCall.match(/(\w+)\((.*)\)/s);
-      if (toolMatch) {
-        const [_, toolName, paramsStr] = toolMatch;
-        const params = eval(`(${paramsStr})`);
-        
-        // Map tool names to handle both local and Smithery naming conventions
-        let mappedToolName = toolName;
-        if (toolName === 'brave_web_search' || toolName === 'brave-search') {
-          // Check if we have Smithery brave_web_search available, otherwise use local brave-search
-          const smitheryTool = availableTools.find(t => t.name === 'brave_web_search');
-          const localTool = availableTools.find(t => t.name === 'brave-search');
-          mappedToolName = smitheryTool ? 'brave_web_search' : (localTool ? 'brave-search' : toolName);
-        } else if (toolName === 'brave_local_search') {
-          mappedToolName = 'brave_local_search';
-        }
-        
-        return {
-          name: mappedToolName,
-          arguments: params
-        };
-      }
-    } catch (error) {
-      console.error('Error parsing tool call:', error);
+// Save the current state as a named session
+async function saveSession(name) {
+  try {
+    await sessionStore.save(name, {
+      mode: currentMode,
+      lastMessageId,
+      conversation: conversation.toJSON(),
+      toolHistory,
+      approvals: approvalPolicy.toJSON()
+    });
+    activeSession = name;
+    if (rl) {
+      console.log(chalk.green(`✓ Session "${name}" saved`));
     }
-    return null;
-  }).filter(Boolean);
+    return true;
+  } catch (error) {
+    console.error(chalk.red('Error saving session:'), error.message);
+    return false;
+  }
 }
 
-// Handle chat mode
-async function handleChatMode(input) {
-  console.log(chalk.yellow('Thinking...'));
-  
+// Restore a named session
+async function loadSession(name) {
   try {
-    const response = await client.chat([
-      { role: 'user', content: input }
-    ], { vaultId });
-    
-    console.log(chalk.green('\nResponse:'));
-    console.log(response.content);
-    
-    // Parse tool calls from the response content
-    const toolCalls = parseToolCalls(response.content);
-    if (toolCalls && toolCalls.length > 0) {
-      console.log(chalk.blue('\n🤖 Agent Hustle is using tools to help answer your question...'));
-      
-      // Collect all tool results
-      const toolResults = [];
-      let hasErrors = false;
-      
-      // Execute all tools and collect results
-      for (const toolCall of toolCalls) {
-        const tool = availableTools.find(t => t.name === toolCall.name);
-        
-        if (tool) {
-          const toolSource = tool.source === 'smithery' ? '🌐 Smithery' : '📦 Local';
-          console.log(chalk.blue(`\n🔧 Using ${toolCall.name} (${toolSource})...`));
-          
-          try {
-            // Call the tool
-            const toolResponse = await axios.post(`${MCP_SERVER_URL}/api/tools/call`, {
-              name: toolCall.name,
-              params: toolCall.arguments
-            });
-            
-            if (toolResponse.data && toolResponse.data.success) {
-              console.log(chalk.green('✅ Tool executed successfully'));
-              
-              // Show brief result summary
-              if (toolResponse.data.result) {
-                const result = toolResponse.data.result;
-                if (result.query && result.results) {
-                  console.log(chalk.cyan(`📊 Found ${result.results.length} results for: "${result.query}"`));
-                } else if (result.response) {
-                  console.log(chalk.cyan(`💬 Response: ${result.response.substring(0, 100)}...`));
-                }
-              }
-              
-              // Collect successful result
-              toolResults.push({
-                toolName: toolCall.name,
-                success: true,
-                result: toolResponse.data.result
-              });
-            } else {
-              console.log(chalk.red(`❌ Tool execution failed: ${toolResponse.data?.error || 'Unknown error'}`));
-              hasErrors = true;
-              
-              // Collect error result
-              toolResults.push({
-                toolName: toolCall.name,
-                success: false,
-                error: toolResponse.data?.error || 'Unknown error'
-              });
-            }
-          } catch (error) {
-            console.error(chalk.red(`❌ Error using ${toolCall.name}:`), error.message);
-            hasErrors = true;
-            
-            // Collect error result
-            toolResults.push({
-              toolName: toolCall.name,
-              success: false,
-              error: error.message
-            });
+    const session = await sessionStore.load(name);
+    conversation.restore(session.conversation);
+    currentMode = Object.values(MODES).includes(session.mode) ? session.mode : MODES.CHAT;
+    lastMessageId = session.lastMessageId || null;
+    toolHistory = Array.isArray(session.toolHistory) ? session.toolHistory : [];
+    approvalPolicy.restore(session.approvals);
+    activeSession = name;
+
+    if (rl) {
+      console.log(chalk.green(`✓ Session "${name}" loaded (${conversation.length} turns, ${toolHistory.length} tool calls, saved ${session.savedAt})`));
+      console.log(chalk.yellow(`Current mode: ${currentMode.toUpperCase()}`));
+    }
+    return true;
+  } catch (error) {
+    console.error(chalk.red('Error loading session:'), error.message);
+    return false;
+  }
+}
+
+// Handle /session subcommands
+async function handleSessionCommand(args) {
+  const [action, name] = args;
+
+  switch (action) {
+    case 'save':
+      if (!name && !activeSession) {
+        console.log(chalk.red('Please specify a session name: /session save <name>'));
+        break;
+      }
+      await saveSession(name || activeSession);
+      break;
+
+    case 'load':
+      if (!name) {
+        console.log(chalk.red('Please specify a session name: /session load <name>'));
+        break;
+      }
+      await loadSession(name);
+      break;
+
+    case 'list': {
+      const sessions = await sessionStore.list();
+      if (sessions.length === 0) {
+        console.log(chalk.yellow(`No saved sessions in ${sessionStore.directory}`));
+        break;
+      }
+      console.log(chalk.green('\nSaved Sessions:'));
+      sessions.forEach(session => {
+        const marker = session.name === activeSession ? chalk.green(' (active)') : '';
+        console.log(`- ${chalk.bold(session.name)}${marker}: ${session.turns} turns, ${session.mode || 'chat'} mode, saved ${session.savedAt}`);
+      });
+      break;
+    }
+
+    case 'delete': {
+      const target = name || activeSession;
+      if (!target) {
+        console.log(chalk.red('Please specify a session name: /session delete <name>'));
+        break;
+      }
+      try {
+        if (await sessionStore.delete(target)) {
+          console.log(chalk.green(`✓ Session "${target}" deleted`));
+          if (target === activeSession) {
+            activeSession = null;
           }
         } else {
-          console.error(chalk.red(`❌ Tool "${toolCall.name}" not found in available tools.`));
-          console.log(chalk.yellow('Available tools:'), availableTools.map(t => t.name).join(', '));
-          hasErrors = true;
-          
-          // Collect error result
-          toolResults.push({
-            toolName: toolCall.name,
-            success: false,
-            error: `Tool "${toolCall.name}" not found`
-          });
+          console.log(chalk.red(`Session "${target}" not found`));
         }
+      } catch (error) {
+        console.error(chalk.red('Error deleting session:'), error.message);
       }
-      
-      // Send all results to AgentHustle for a single comprehensive summary
-      if (toolResults.length > 0) {
-        console.log(chalk.yellow('\n🤖 Asking Agent Hustle to analyze all results...'));
-        
-        let followUpPrompt;
-        if (hasErrors) {
-          // Handle mixed success/error results
-          const successfulResults = toolResults.filter(r => r.success);
-          const failedResults = toolResults.filter(r => !r.success);
-          
-          followUpPrompt = `I executed ${toolResults.length} tool(s) with the following results:
+      break;
+    }
+
+    default:
+      console.log(chalk.red('Usage: /session save [name] | load <name> | list | delete [name]'));
+      break;
+  }
+}
+
+// Map tool names to handle both local and Smithery naming conventions
+function resolveToolName(toolName) {
+  if (toolName === 'brave_web_search' || toolName === 'brave-search') {
+    // Check if we have Smithery brave_web_search available, otherwise use local brave-search
+    const smitheryTool = availableTools.find(t => t.name === 'brave_web_search');
+    const localTool = availableTools.find(t => t.name === 'brave-search');
+    return smitheryTool ? 'brave_web_search' : (localTool ? 'brave-search' : toolName);
+  }
+  return toolName;
+}
+
+// Resolve a parsed tool call to an available tool and validate its arguments.
+// options.coerce converts string arguments (e.g. from the command line) to the schema types.
+function prepareToolCall(toolCall, options = {}) {
+  const name = toolCall.name ? resolveToolName(toolCall.name) : toolCall.raw;
+  if (toolCall.error) {
+    return { name, error: toolCall.error };
+  }
+
+  const tool = availableTools.find(t => t.name === name);
+  if (!tool) {
+    return { name, error: `Tool "${name}" not found` };
+  }
+
+  try {
+    const args = Array.isArray(toolCall.arguments)
+      ? bindPositionalArguments(toolCall.arguments, tool.parameters)
+      : toolCall.arguments;
+
+    const validation = validateParams(tool.parameters, args, { coerce: Boolean(options.coerce) });
+    if (!validation.valid) {
+      return { name, tool, error: `Invalid arguments: ${formatValidationErrors(validation.errors)}` };
+    }
+    return { name, tool, params: validation.value };
+  } catch (error) {
+    return { name, tool, error: `Invalid arguments: ${error.message}` };
+  }
+}
+
+// Execute a prepared tool call and record it in the session's tool history
+async function callTool(toolCall) {
+  const startedAt = Date.now();
+  const toolResult = { ...await executeToolCall(toolCall), durationMs: Date.now() - startedAt };
+  recordToolCall(toolCall, toolResult);
+  return toolResult;
+}
+
+// Add a tool call to the tool history, with the prompt it was made for
+function recordToolCall(toolCall, toolResult) {
+  toolHistory.push({
+    ...toolResult,
+    params: toolCall.params,
+    // Chains report the provider that answered, e.g. smithery:brave-search
+    source: toolResult.result?.source || toolCall.tool?.source || 'local',
+    timestamp: new Date().toISOString(),
+    ...(currentPrompt && { prompt: currentPrompt.content, promptedAt: currentPrompt.startedAt, round: currentPrompt.round })
+  });
+}
+
+// Send a prepared tool call to the MCP server and collect its result.
+// Ctrl+C while it runs cancels the call, and the server aborts its upstream requests.
+async function executeToolCall(toolCall) {
+  if (toolCall.error) {
+    return { toolName: toolCall.name, success: false, error: toolCall.error };
+  }
+
+  // Sent with the call so a failure can be found in the server log
+  const requestId = createRequestId();
+  const startedAt = Date.now();
+  const cancel = new AbortController();
+  const removeInterruptHandler = onInterrupt(() => cancel.abort());
+  try {
+    const toolResponse = await mcpClient.callTool(toolCall.name, toolCall.params, {
+      cache: cacheMode,
+      requestId,
+      signal: cancel.signal
+    });
+    log.debug('Tool call', {
+      tool: toolCall.name,
+      requestId,
+      success: Boolean(toolResponse?.success),
+      durationMs: Date.now() - startedAt
+    });
+
+    if (toolResponse?.success) {
+      return { toolName: toolCall.name, requestId, success: true, result: toolResponse.result, cache: toolResponse.cache };
+    }
+    // Keep the server's explanation (e.g. parameter validation errors)
+    return {
+      toolName: toolCall.name,
+      requestId,
+      success: false,
+      error: toolResponse?.error || 'Unknown error',
+      errors: toolResponse?.errors,
+      timedOut: toolResponse?.code === 'TIMEOUT'
+    };
+  } catch (error) {
+    log.debug('Tool call', { tool: toolCall.name, requestId, error, durationMs: Date.now() - startedAt });
+    if (error instanceof CancelledError) {
+      return { toolName: toolCall.name, requestId, success: false, cancelled: true, error: 'Cancelled by the user' };
+    }
+    return { toolName: toolCall.name, requestId, success: false, error: error.message };
+  } finally {
+    removeInterruptHandler();
+  }
+}
+
+// Show or change the session's approval rules
+function handleApproveCommand(args) {
+  const [pattern, decision] = args;
+
+  if (!pattern) {
+    const printRules = (title, rules) => {
+      const entries = Object.entries(rules);
+      if (entries.length > 0) {
+        console.log(chalk.green(title));
+        entries.forEach(([rulePattern, ruleDecision]) => console.log(`- ${chalk.bold(rulePattern)}: ${ruleDecision}`));
+      }
+    };
+    printRules('\nSession rules:', approvalPolicy.sessionRules);
+    printRules('\nProject rules:', approvalPolicy.projectRules);
+    console.log(chalk.gray(`\nDefault: ${approvalPolicy.defaultDecision}`));
+    if (availableTools.length > 0) {
+      console.log(chalk.green('\nTools:'));
+      availableTools.forEach(tool => {
+        const { decision, rule, scope } = approvalPolicy.decide(tool);
+        console.log(`- ${chalk.bold(tool.name)}: ${decision}${rule ? chalk.gray(` (${scope} rule "${rule}")`) : ''}`);
+      });
+    }
+    return;
+  }
+
+  if (decision === 'reset') {
+    const removed = approvalPolicy.removeSessionRule(pattern);
+    console.log(removed ? chalk.yellow(`Session rule for ${pattern} removed`) : chalk.red(`No session rule for ${pattern}`));
+  } else if (APPROVAL_DECISIONS.includes(decision)) {
+    approvalPolicy.setSessionRule(pattern, decision);
+    console.log(chalk.yellow(`Agent calls to ${pattern} now use approval ${decision.toUpperCase()} for this session`));
+  } else {
+    console.log(chalk.red('Usage: /approve [<tool>|<prefix>*|source:<source>|* auto|confirm|deny|reset]'));
+  }
+}
+
+// Show the last tool result in full, or change how results are rendered
+function handleRenderCommand(args) {
+  const [setting, value] = args;
+
+  if (setting === 'raw' && ['on', 'off'].includes(value)) {
+    renderOptions.raw = value === 'on';
+    console.log(chalk.yellow(`Tool results now show as ${renderOptions.raw ? 'raw JSON' : 'rendered output'}`));
+  } else if (setting === 'sort' && (TOKEN_SORT_COLUMNS.includes(value) || value === 'none')) {
+    renderOptions.sort = value === 'none' ? null : value;
+    console.log(chalk.yellow(renderOptions.sort ? `Token tables now sorted by ${renderOptions.sort}` : 'Token tables now keep the order of the result'));
+  } else if (setting) {
+    console.log(chalk.red(`Usage: /render [raw on|off] [sort ${[...TOKEN_SORT_COLUMNS, 'none'].join('|')}]`));
+    return;
+  }
+
+  const last = toolHistory.findLast(entry => entry.success);
+  if (!last) {
+    if (!setting) {
+      console.log(chalk.yellow('No tool results yet.'));
+    }
+    return;
+  }
+  const renderer = renderOptions.raw ? 'raw JSON' : findRenderer(last.result, last.toolName).name;
+  console.log(chalk.green(`\n${last.toolName}`) + chalk.gray(` (${renderer})`));
+  console.log(renderResult(last.result, { ...renderOptions, toolName: last.toolName }));
+}
+
+// Write the conversation, with each tool call and its result, as a report file
+async function exportConversation(format, file) {
+  if (!REPORT_FORMATS.includes(format)) {
+    console.log(chalk.red(`Usage: /export ${REPORT_FORMATS.join('|')} [file]`));
+    return;
+  }
+  if (conversation.length === 0 && toolHistory.length === 0) {
+    console.log(chalk.yellow('Nothing to export yet.'));
+    return;
+  }
+
+  const target = file || `${activeSession || 'conversation'}-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+  try {
+    const report = buildReport({ conversation, toolHistory, session: activeSession });
+    await fs.writeFile(target, formatReport(report, format));
+    console.log(chalk.green(`✓ Exported ${report.summary.prompts} prompt(s) and ${report.summary.toolCalls} tool call(s) to ${path.resolve(target)}`));
+  } catch (error) {
+    console.error(chalk.red('Error exporting conversation:'), error.message);
+  }
+}
+
+// Ask a question on the prompt line. Resolves to null if the user presses Ctrl+C.
+function ask(question, options = {}) {
+  return new Promise(resolve => {
+    const controller = new AbortController();
+    const removeInterruptHandler = onInterrupt(() => controller.abort());
+    controller.signal.addEventListener('abort', () => {
+      removeInterruptHandler();
+      resolve(null);
+    });
+    rl.question(question, { signal: controller.signal }, answer => {
+      removeInterruptHandler();
+      resolve(answer);
+    });
+    if (options.prefill) {
+      rl.write(options.prefill);
+    }
+  });
+}
+
+// Apply the approval policy to a prepared agent tool call. Resolves to the call to
+// run (its parameters may have been edited), or to a failed result if it must not run.
+async function approveToolCall(toolCall, options = {}) {
+  const { decision, rule, scope } = approvalPolicy.decide(toolCall.tool);
+  if (decision === 'auto') {
+    return { toolCall };
+  }
+  if (decision === 'deny') {
+    const source = rule ? `${scope} rule "${rule}"` : 'the default approval policy';
+    return { refused: { toolName: toolCall.name, success: false, denied: true, error: `Denied by ${source}` } };
+  }
+
+  if (!rl) {
+    return {
+      refused: {
+        toolName: toolCall.name,
+        success: false,
+        denied: true,
+        error: 'Needs confirmation, which non-interactive commands cannot ask for (see TOOL_APPROVAL_DEFAULT)'
+      }
+    };
+  }
+
+  const confirm = () => confirmToolCall(toolCall);
+  const approval = await confirmations(
+    () => (options.progress ? options.progress.suspend(confirm) : confirm()),
+    { beforePrompt: options.beforePrompt, isCancelled: options.isCancelled }
+  );
+  return approval || { refused: { toolName: toolCall.name, success: false, cancelled: true, error: 'Cancelled by the user' } };
+}
+
+// Ask the user whether to run a tool call, with the option to edit its arguments
+async function confirmToolCall(toolCall) {
+  console.log(chalk.yellow(`\n❓ Agent Hustle wants to run ${describeToolCall(toolCall)} with:`));
+  console.log(JSON.stringify(toolCall.params, null, 2));
+
+  while (true) {
+    const answer = await ask('Run it? [y]es, [a]lways for this tool, [e]dit arguments, [n]o: ');
+    if (answer === null) {
+      return { refused: { toolName: toolCall.name, success: false, cancelled: true, error: 'Cancelled by the user' } };
+    }
+
+    const choice = answer.trim().toLowerCase();
+    if (choice === 'y' || choice === 'yes') {
+      return { toolCall };
+    }
+    if (choice === 'a' || choice === 'always') {
+      approvalPolicy.setSessionRule(toolCall.name, 'auto');
+      console.log(chalk.gray(`${toolCall.name} will run without asking for the rest of this session (/approve to change)`));
+      return { toolCall };
+    }
+    if (choice === 'n' || choice === 'no') {
+      return { refused: { toolName: toolCall.name, success: false, denied: true, error: 'Denied by the user' } };
+    }
+    if (choice !== 'e' && choice !== 'edit') {
+      console.log(chalk.red('Please answer y, a, e or n'));
+      continue;
+    }
+
+    const edited = await ask('Arguments: ', { prefill: JSON.stringify(toolCall.params) });
+    if (edited === null) {
+      continue;
+    }
+    try {
+      const validation = validateParams(toolCall.tool.parameters, parseLiteral(edited));
+      if (!validation.valid) {
+        console.log(chalk.red(`Invalid arguments: ${formatValidationErrors(validation.errors)}`));
+        continue;
+      }
+      console.log(chalk.gray(`Running ${toolCall.name} with the edited arguments`));
+      return { toolCall: { ...toolCall, params: validation.value } };
+    } catch (error) {
+      console.log(chalk.red(`Invalid arguments: ${error.message}`));
+    }
+  }
+}
+
+// Record a tool call that was refused before it ran
+function recordRefusedToolCall(toolCall, toolResult) {
+  recordToolCall(toolCall, toolResult);
+  return toolResult;
+}
+
+// Label a prepared tool call with where it runs, e.g. "rugcheck (🤖 AgentHustle)"
+function describeToolCall(toolCall) {
+  const toolSource = { smithery: '🌐 Smithery', mcp: '🔌 MCP', hustle: '🤖 AgentHustle' }[toolCall.tool.source] || '📦 Local';
+  return `${toolCall.name} ${chalk.gray(`(${toolSource})`)}`;
+}
+
+// Run the tool calls of one reply, in the REPL with a status line per call. Calls wait for
+// the calls named in their dependency hints; Ctrl+C cancels running and queued calls.
+async function runToolCalls(toolCalls) {
+  const progress = rl ? new ToolProgress() : null;
+  const scheduler = new ToolCallScheduler({
+    concurrency: toolConcurrency,
+    run: async parsedCall => {
+      const toolCall = prepareToolCall(parsedCall);
+      if (toolCall.error) {
+        progress?.print(() => {
+          console.error(chalk.red(`❌ Cannot use ${toolCall.name}: ${toolCall.error}`));
+          if (!toolCall.tool) {
+            console.log(chalk.yellow('Available tools:'), availableTools.map(t => t.name).join(', '));
+          }
+        });
+        return callTool(toolCall);
+      }
+
+      const approval = await approveToolCall(toolCall, { progress, isCancelled: () => scheduler.cancelled });
+      if (approval.refused) {
+        progress?.print(() => reportToolResult(approval.refused));
+        return recordRefusedToolCall(toolCall, approval.refused);
+      }
+
+      const key = Symbol(toolCall.name);
+      progress?.start(key, describeToolCall(toolCall));
+      const toolResult = await callTool(approval.toolCall);
+      progress?.finish(key, toolResult.success, () => reportToolResult(toolResult));
+      return toolResult;
+    },
+    onSkip: (_, toolResult) => progress?.print(() => reportToolResult(toolResult))
+  });
+
+  const removeInterruptHandler = onInterrupt(() => scheduler.cancel());
+  try {
+    return await Promise.all(toolCalls.map(toolCall => scheduler.add(toolCall)));
+  } finally {
+    removeInterruptHandler();
+    progress?.stop();
+  }
+}
+
+// Describe where a tool result came from in the cache, e.g. " (cached, 42s old)"
+function describeCache(cache) {
+  if (cache?.status === 'hit') {
+    return chalk.gray(` (cached, ${cache.age}s old)`);
+  }
+  if (cache?.status === 'miss' || cache?.status === 'refresh') {
+    return chalk.gray(' (fresh)');
+  }
+  return '';
+}
+
+// Point at the server log entries of a failed call, e.g. " [request 3f9c0a1b2d4e5f60]"
+function describeRequest(toolResult) {
+  return toolResult.requestId ? chalk.gray(` [request ${toolResult.requestId}]`) : '';
+}
+
+// Print the outcome of a tool call
+function reportToolResult(toolResult) {
+  if (toolResult.cancelled) {
+    console.log(chalk.yellow(`⏹ ${toolResult.toolName} cancelled`));
+    return;
+  }
+  if (toolResult.denied) {
+    console.log(chalk.yellow(`🚫 ${toolResult.toolName} not run: ${toolResult.error}`));
+    return;
+  }
+  if (toolResult.skipped) {
+    console.log(chalk.yellow(`⏭ ${toolResult.toolName} skipped: ${toolResult.error}`));
+    return;
+  }
+  if (toolResult.timedOut) {
+    console.log(chalk.red(`⏱ ${toolResult.toolName} timed out: ${toolResult.error}`) + describeRequest(toolResult));
+    return;
+  }
+  if (!toolResult.success) {
+    console.log(chalk.red(`❌ ${toolResult.toolName} failed: ${toolResult.error}`) + describeRequest(toolResult));
+    return;
+  }
+
+  console.log(chalk.green(`✅ ${toolResult.toolName} executed successfully`) + describeCache(toolResult.cache));
+  console.log(renderResult(toolResult.result, { ...renderOptions, toolName: toolResult.toolName, compact: true }));
+}
+
+// Build the prompt that gives tool results back to AgentHustle. Unless this is the
+// final round, it may answer with more tool calls.
+function buildFollowUpPrompt(toolResults, options = {}) {
+  const { final = true, reason } = options;
+  const limitNote = reason ? `${reason}, so do not call any more tools. ` : '';
+
+  if (toolResults.length === 0) {
+    return `I did not run the tools in your last reply. ${limitNote}Please answer with the information you already have.`;
+  }
+
+  const successfulResults = toolResults.filter(r => r.success);
+  const failedResults = toolResults.filter(r => !r.success);
+
+  if (failedResults.length > 0) {
+    // Handle mixed success/error results
+    const nextStep = final
+      ? `${limitNote}Please summarize the successful results for the user, acknowledge any failures, and ask if they would like to do anything further with the data or try alternative approaches for the failed tools.`
+      : 'If you need more information to finish the task, call more tools (or try alternatives for the failed ones). Otherwise summarize the successful results for the user and acknowledge any failures.';
+    return `I executed ${toolResults.length} tool(s) with the following results:
 
 SUCCESSFUL TOOLS (${successfulResults.length}):
 ${successfulResults.map(r => `- ${r.toolName}: ${JSON.stringify(r.result, null, 2)}`).join('\n')}
@@ -374,47 +968,145 @@ ${successfulResults.map(r => `- ${r.toolName}: ${JSON.stringify(r.result, null,
 FAILED TOOLS (${failedResults.length}):
 ${failedResults.map(r => `- ${r.toolName}: ${r.error}`).join('\n')}
 
-Please summarize the successful results for the user, acknowledge any failures, and ask if they would like to do anything further with the data or try alternative approaches for the failed tools.`;
-        } else {
-          // All tools succeeded
-          const resultsString = toolResults.map(r => 
-            `${r.toolName} results: ${JSON.stringify(r.result, null, 2)}`
-          ).join('\n\n');
-          
-          followUpPrompt = `I successfully executed ${toolResults.length} tool(s) and got the following results:
+${nextStep}`;
+  }
+
+  // All tools succeeded
+  const resultsString = toolResults.map(r =>
+    `${r.toolName} results: ${JSON.stringify(r.result, null, 2)}`
+  ).join('\n\n');
+  const nextStep = final
+    ? `${limitNote}Please summarize this data for the user and then ask if they would like to do anything further with it.`
+    : 'If you need more information to finish the task, call more tools. Otherwise summarize this data for the user and ask if they would like to do anything further with it.';
+
+  return `I successfully executed ${toolResults.length} tool(s) and got the following results:
 
 ${resultsString}
 
-Please summarize this data for the user and then ask if they would like to do anything further with it.`;
-        }
-        
-        try {
-          const summaryResponse = await client.chat([
-            { role: 'user', content: followUpPrompt }
-          ], { vaultId });
-          
-          console.log(chalk.magentaBright('\n🤖 Agent Hustle Summary & Follow-up:'));
-          console.log(summaryResponse.content);
-        } catch (chatError) {
-          console.error(chalk.red('Could not get summary from Agent Hustle:'), chatError.message);
-          
-          // Fallback: show raw results
-          console.log(chalk.yellow('\n📊 Tool Results Summary:'));
-          toolResults.forEach(result => {
-            if (result.success) {
-              console.log(chalk.green(`✅ ${result.toolName}: Success`));
-            } else {
-              console.log(chalk.red(`❌ ${result.toolName}: ${result.error}`));
-            }
-          });
-        }
-      }
+${nextStep}`;
+}
+
+// Fallback when AgentHustle cannot summarize: show raw results
+function printToolResultsSummary(toolResults) {
+  console.log(chalk.yellow('\n📊 Tool Results Summary:'));
+  toolResults.forEach(result => {
+    if (result.success) {
+      console.log(chalk.green(`✅ ${result.toolName}: Success`) + describeCache(result.cache));
+    } else {
+      console.log(chalk.red(`❌ ${result.toolName}: ${result.error}`) + describeRequest(result));
     }
+  });
+}
+
+// Handle chat mode
+async function handleChatMode(input) {
+  console.log(chalk.yellow('Thinking...'));
+  
+  try {
+    const { trace } = await runAgent(input);
+    printAgentSummary(trace);
   } catch (error) {
     console.error(chalk.red('Error:'), error.message);
   }
 }
 
+// After an agent run with tools, print its rounds and why it stopped early, if it did
+function printAgentSummary(trace) {
+  if (trace.iterations === 0) {
+    return;
+  }
+  const { iterations, toolCalls, durationMs, stopReason } = trace;
+  const stoppedEarly = !['answered', 'error'].includes(stopReason);
+  console.log(chalk.gray(`\n(${iterations} round(s), ${toolCalls} tool call(s), ${(durationMs / 1000).toFixed(1)}s — /trace for details)`));
+  if (stoppedEarly) {
+    console.log(chalk.yellow(`⚠️ ${STOP_REASONS[stopReason]}`));
+  }
+}
+
+// Answer a question, running tools for as many rounds as the agent needs.
+// Progress is printed in the REPL only.
+async function runAgent(input) {
+  const say = rl ? console.log : () => {};
+  const toolResults = [];
+  let lastToolResults = [];
+  let answer = null;
+
+  const agent = new AgentLoop({
+    limits: agentLimits,
+    reply: async (message, { step, final }) => {
+      if (step === 1) {
+        const response = await client.chat(await conversation.buildMessages([message]), { vaultId });
+        conversation.addTurn(message, { role: 'assistant', content: response.content });
+        lastMessageId = response.messageId || lastMessageId;
+        answer = response.content;
+        say(chalk.green('\nResponse:'));
+        say(response.content);
+        return { content: response.content, toolCalls: parseToolCalls(response.content) };
+      }
+
+      say(chalk.yellow(final ? '\n🤖 Asking Agent Hustle for a final answer...' : '\n🤖 Asking Agent Hustle to analyze the results...'));
+      try {
+        const response = await client.chat(await conversation.buildMessages([message], { newTurn: false }), { vaultId });
+        conversation.appendToTurn(message, { role: 'assistant', content: response.content });
+        lastMessageId = response.messageId || lastMessageId;
+        answer = response.content;
+        say(chalk.magentaBright(`\n🤖 Agent Hustle (step ${step}):`));
+        say(response.content);
+        return { content: response.content, toolCalls: parseToolCalls(response.content) };
+      } catch (chatError) {
+        // Keep the tool results so follow-up questions can still refer to them
+        conversation.appendToTurn(message);
+        console.error(chalk.red('Could not get summary from Agent Hustle:'), chatError.message);
+        if (rl) {
+          printToolResultsSummary(lastToolResults);
+        }
+        return { error: chatError };
+      }
+    },
+    runTools: async (toolCalls, { step }) => {
+      say(chalk.blue(`\n🤖 Agent Hustle is using tools to help answer your question (round ${step})...`) + chalk.gray(' (Ctrl+C cancels a running tool)'));
+      currentPrompt.round = step;
+      // Run independent tools side by side; results keep the order of the reply
+      lastToolResults = await runToolCalls(toolCalls);
+      toolResults.push(...lastToolResults);
+      return lastToolResults;
+    },
+    followUp: (results, options) => ({ role: 'user', content: buildFollowUpPrompt(results, options) }),
+    onStep: step => log.debug('Agent step', step)
+  });
+
+  currentPrompt = { content: input, startedAt: new Date().toISOString(), round: 1 };
+  try {
+    lastAgentTrace = await agent.run({ role: 'user', content: input });
+  } finally {
+    currentPrompt = null;
+  }
+  return { answer, toolResults, trace: lastAgentTrace };
+}
+
+// Print the steps of the last agent run
+function printAgentTrace(trace) {
+  console.log(chalk.green(`\nAgent trace (${trace.startedAt}):`));
+  for (const step of trace.steps) {
+    if (step.type === 'reply') {
+      const calls = step.toolCalls.length > 0 ? `requested ${step.toolCalls.join(', ')}` : 'answered';
+      const ignored = step.ignoredToolCalls ? chalk.yellow(` (${step.ignoredToolCalls} tool call(s) ignored)`) : '';
+      const error = step.error ? chalk.red(` failed: ${step.error}`) : '';
+      console.log(`${step.step}. ${chalk.bold('reply')} ${chalk.gray(`${step.durationMs}ms`)} ${error || calls}${ignored}`);
+    } else if (step.type === 'tools') {
+      console.log(`${step.step}. ${chalk.bold('tools')} ${chalk.gray(`${step.durationMs}ms`)}`);
+      for (const result of step.results) {
+        const mark = result.success ? chalk.green('✓') : chalk.red('✗');
+        const timing = result.durationMs !== undefined ? chalk.gray(` ${result.durationMs}ms`) : '';
+        console.log(`   ${mark} ${result.tool}${timing}${result.error ? chalk.red(` ${result.error}`) : ''}`);
+      }
+    } else if (step.type === 'limit') {
+      console.log(`${step.step}. ${chalk.bold('limit')} ${chalk.yellow(`${STOP_REASONS[step.reason]}; ${step.skippedToolCalls} tool call(s) not run`)}`);
+    }
+  }
+  console.log(chalk.gray(`Stopped: ${STOP_REASONS[trace.stopReason] || trace.stopReason} after ${trace.iterations} round(s), ${trace.toolCalls} tool call(s), ${trace.durationMs}ms`));
+}
+
 // Handle tools mode
 async function handleToolsMode(input) {
   if (!availableTools.length) {
@@ -434,43 +1126,348 @@ async function handleToolsMode(input) {
   }
 }
 
+// Run a handler when the user presses Ctrl+C in the REPL; returns a function that removes it.
+// Subcommands keep the default Ctrl+C behavior of ending the process.
+function onInterrupt(handler) {
+  if (!rl) {
+    return () => {};
+  }
+  rl.on('SIGINT', handler);
+  return () => rl.off('SIGINT', handler);
+}
+
+// Stream a reply to the terminal. With runTools, tool calls are started as soon as their
+// <tool> block is complete, up to maxToolCalls; Ctrl+C cancels the stream.
+async function streamReply(messages, options = {}) {
+  const maxToolCalls = options.maxToolCalls ?? Infinity;
+  const detector = new ToolCallStreamDetector();
+  const scheduler = new ToolCallScheduler({
+    concurrency: toolConcurrency,
+    run: async parsedCall => {
+      const toolCall = prepareToolCall(parsedCall);
+      if (toolCall.error) {
+        return callTool(toolCall);
+      }
+      // Confirmations wait for the reply to finish printing (or to be cancelled)
+      const approval = await approveToolCall(toolCall, {
+        beforePrompt: () => scheduler.closed,
+        isCancelled: () => scheduler.cancelled
+      });
+      return approval.refused ? recordRefusedToolCall(toolCall, approval.refused) : callTool(approval.toolCall);
+    }
+  });
+  const toolCalls = [];
+  const toolRuns = [];
+  let content = '';
+  let messageId = null;
+
+  let cancel;
+  const cancelled = new Promise(resolve => { cancel = resolve; });
+  const removeInterruptHandler = onInterrupt(() => cancel({ cancelled: true }));
+
+  const iterator = client.chatStream({ messages, vaultId, processChunks: true })[Symbol.asyncIterator]();
+
+  let completed = false;
+  try {
+    while (true) {
+      const next = await Promise.race([iterator.next(), cancelled]);
+      if (next.cancelled) {
+        iterator.return?.().catch(() => {});
+        process.stdout.write('\n');
+        console.log(chalk.yellow('⏹ Stream cancelled'));
+        scheduler.cancel();
+        return { content, messageId, toolCalls, toolRuns, cancelled: true };
+      }
+      if (next.done) break;
+
+      const chunk = next.value;
+      if (chunk.type === 'text') {
+        content += chunk.value;
+        process.stdout.write(chunk.value);
+
+        for (const toolCall of detector.push(chunk.value)) {
+          toolCalls.push(toolCall);
+          // Calls beyond the budget are left for the agent loop to report as not run
+          if (options.runTools && toolRuns.length < maxToolCalls) {
+            toolRuns.push(scheduler.add(toolCall));
+          }
+        }
+      } else if (chunk.type === 'message_id') {
+        messageId = chunk.value;
+      } else if (chunk.type === 'finish') {
+        break;
+      }
+    }
+    completed = true;
+  } finally {
+    removeInterruptHandler();
+    // Nobody waits for the calls of a reply that failed half way
+    if (!completed) {
+      scheduler.cancel();
+    }
+    // Confirmations held back until the reply ended may now be asked, or see they were cancelled
+    scheduler.close();
+  }
+
+  process.stdout.write('\n');
+  return { content, messageId, toolCalls, toolRuns, cancelTools: () => scheduler.cancel(), cancelled: false };
+}
+
 // Handle streaming mode
 async function handleStreamMode(input) {
-  console.log(chalk.yellow('Streaming mode not implemented yet'));
+  currentPrompt = { content: input, startedAt: new Date().toISOString(), round: 1 };
+  try {
+    await streamAnswer(input);
+  } finally {
+    currentPrompt = null;
+  }
+}
+
+// Stream the reply to a prompt and run the tools it calls, for as many rounds as the agent
+// needs within the agent limits. Tools start while the reply is still streaming.
+async function streamAnswer(input) {
+  console.log(chalk.gray('(Ctrl+C to cancel)'));
+  console.log(chalk.green('Response:'));
+
+  let lastToolResults = [];
+  // Tool runs started by the latest reply, until the loop collects them
+  let pendingReply = null;
+
+  const agent = new AgentLoop({
+    limits: agentLimits,
+    reply: async (message, { step, final, remainingToolCalls, deadline }) => {
+      pendingReply?.cancelTools?.();
+      pendingReply = null;
+      const runTools = !final && remainingToolCalls > 0 && Date.now() < deadline;
+
+      if (step === 1) {
+        const reply = await streamReply(await conversation.buildMessages([message]), { runTools, maxToolCalls: remainingToolCalls });
+        if (reply.cancelled) {
+          return { cancelled: true };
+        }
+        conversation.addTurn(message, { role: 'assistant', content: reply.content });
+        lastMessageId = reply.messageId || lastMessageId;
+        pendingReply = reply;
+        return { content: reply.content, toolCalls: reply.toolCalls };
+      }
+
+      console.log(chalk.magentaBright(final ? '\n🤖 Agent Hustle Summary & Follow-up:' : `\n🤖 Agent Hustle (step ${step}):`));
+      try {
+        const reply = await streamReply(await conversation.buildMessages([message], { newTurn: false }), { runTools, maxToolCalls: remainingToolCalls });
+        conversation.appendToTurn(message, ...(reply.cancelled ? [] : [{ role: 'assistant', content: reply.content }]));
+        if (reply.cancelled) {
+          return { cancelled: true };
+        }
+        lastMessageId = reply.messageId || lastMessageId;
+        pendingReply = reply;
+        return { content: reply.content, toolCalls: reply.toolCalls };
+      } catch (chatError) {
+        // Keep the tool results so follow-up questions can still refer to them
+        conversation.appendToTurn(message);
+        console.error(chalk.red('Could not get summary from Agent Hustle:'), chatError.message);
+        printToolResultsSummary(lastToolResults);
+        return { error: chatError };
+      }
+    },
+    runTools: async (toolCalls, { step }) => {
+      const reply = pendingReply;
+      pendingReply = null;
+      currentPrompt.round = step;
+      console.log(chalk.blue(`\n🤖 Waiting for ${reply.toolRuns.length} tool call(s) started during the reply...`));
+      const removeInterruptHandler = onInterrupt(reply.cancelTools);
+      lastToolResults = await Promise.all(reply.toolRuns).finally(removeInterruptHandler);
+      lastToolResults.forEach(reportToolResult);
+      return lastToolResults;
+    },
+    followUp: (results, options) => ({ role: 'user', content: buildFollowUpPrompt(results, options) }),
+    onStep: step => log.debug('Agent step', step)
+  });
+
+  try {
+    lastAgentTrace = await agent.run({ role: 'user', content: input });
+  } finally {
+    // Tools started by a reply whose round the loop did not run (a limit was reached)
+    pendingReply?.cancelTools?.();
+  }
+  printAgentSummary(lastAgentTrace);
+}
+
+// Hand the terminal to inquirer; the REPL's readline would otherwise read the same keys
+async function withPausedPrompt(task) {
+  rl.pause();
+  try {
+    return await task();
+  } finally {
+    rl.resume();
+  }
 }
 
 // Use a specific tool
 async function useTool(tool) {
   try {
-    // Get tool parameters
-    const params = {};
-    for (const [name, schema] of Object.entries(tool.parameters.properties)) {
-      const isRequired = tool.parameters.required?.includes(name);
-      const defaultValue = schema.default;
-      
-      const answer = await new Promise(resolve => {
-        const message = `Enter ${name}${defaultValue ? ` (default: ${defaultValue})` : ''}: `;
-        rl.question(message, resolve);
-      });
-      
-      if (answer.trim() || isRequired) {
-        params[name] = answer.trim() || defaultValue;
-      }
-    }
-    
-    console.log(chalk.yellow(`\nExecuting ${tool.name}...`));
+    // Ask for each parameter as its schema describes it
+    const params = await withPausedPrompt(() => promptForParams(tool.parameters));
     
-    const response = await axios.post(`${MCP_SERVER_URL}/api/tools/call`, {
-      name: tool.name,
-      params
-    });
+    console.log(chalk.yellow(`\nExecuting ${tool.name}...`) + chalk.gray(' (Ctrl+C to cancel)'));
     
-    console.log(chalk.green('\nResult:'));
-    console.log(JSON.stringify(response.data, null, 2));
+    const toolResult = await callTool({ name: tool.name, tool, params });
+    if (toolResult.cancelled || toolResult.timedOut) {
+      reportToolResult(toolResult);
+    } else if (toolResult.success) {
+      console.log(chalk.green('\nResult:'));
+      console.log(renderResult(toolResult.result, { ...renderOptions, toolName: tool.name }));
+    } else if (toolResult.errors) {
+      console.error(chalk.red('Invalid parameters:'));
+      toolResult.errors.forEach(({ field, message }) => console.error(chalk.red(`  - ${field} ${message}`)));
+    } else {
+      console.error(chalk.red('Error:'), toolResult.error + describeRequest(toolResult));
+    }
   } catch (error) {
     console.error(chalk.red('Error:'), error.message);
   }
 }
 
+// Non-interactive commands print their result to stdout in the --output format;
+// errors go to stderr and decide the exit code.
+
+// Print a command's output, if any
+function writeOutput(text) {
+  if (text) {
+    process.stdout.write(`${text}\n`);
+  }
+}
+
+// Load the tools for a non-interactive command
+async function connectTools() {
+  try {
+    availableTools = await setupTools(mcpClient);
+    return true;
+  } catch (error) {
+    console.error(`Error connecting to ${mcpClient.describe()}: ${error.message}`);
+    return false;
+  }
+}
+
+// Answer one prompt; failures are returned with the run instead of thrown
+async function answerPrompt(prompt) {
+  try {
+    const { answer, toolResults, trace } = await runAgent(prompt);
+    const error = trace.stopReason === 'error' ? trace.steps.at(-1).error : undefined;
+    return { prompt, answer, toolResults, trace, error };
+  } catch (error) {
+    return { prompt, error: error.message };
+  }
+}
+
+// enhanced-cli ask "<prompt>"
+async function askCommand(prompt) {
+  if (!await connectTools()) {
+    console.error('Continuing without tools');
+  }
+
+  const run = await answerPrompt(prompt);
+  if (run.error) {
+    console.error(`Error: ${run.error}`);
+  }
+  writeOutput(formatAnswer(run, cliOptions.output));
+  return run.error ? EXIT_CODES.failure : EXIT_CODES.success;
+}
+
+// enhanced-cli chat < prompts.txt: one prompt per line, answers in order (JSON Lines with --output json)
+async function chatCommand() {
+  if (!await connectTools()) {
+    console.error('Continuing without tools');
+  }
+
+  let failed = false;
+  let answered = 0;
+  for await (const line of readline.createInterface({ input: process.stdin, crlfDelay: Infinity })) {
+    const prompt = line.trim();
+    if (!prompt) {
+      continue;
+    }
+
+    const run = await answerPrompt(prompt);
+    if (run.error) {
+      failed = true;
+      console.error(`Error answering "${prompt}": ${run.error}`);
+    }
+    const output = formatAnswer(run, cliOptions.output, { compact: true });
+    if (output) {
+      // Blank line between answers, except in JSON Lines
+      writeOutput(answered > 0 && cliOptions.output !== 'json' ? `\n${output}` : output);
+      answered++;
+    }
+  }
+  return failed ? EXIT_CODES.failure : EXIT_CODES.success;
+}
+
+// enhanced-cli tools list
+async function toolsListCommand() {
+  if (!await connectTools()) {
+    return EXIT_CODES.unavailable;
+  }
+  writeOutput(formatToolList(availableTools, cliOptions.output));
+  return EXIT_CODES.success;
+}
+
+// enhanced-cli tools call <name> [--json '{...}'] [--param key=value ...]
+async function toolsCallCommand(name, options) {
+  let params;
+  try {
+    params = options.json ? parseLiteral(options.json) : {};
+  } catch (error) {
+    console.error(`Invalid --json: ${error.message}`);
+    return EXIT_CODES.usage;
+  }
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    console.error('Invalid --json: expected an object');
+    return EXIT_CODES.usage;
+  }
+
+  if (!await connectTools()) {
+    return EXIT_CODES.unavailable;
+  }
+
+  const toolCall = prepareToolCall({ name, arguments: { ...params, ...options.param } }, { coerce: true });
+  if (toolCall.error) {
+    console.error(`Cannot call ${toolCall.name}: ${toolCall.error}`);
+    return EXIT_CODES.usage;
+  }
+
+  const toolResult = await callTool(toolCall);
+  writeOutput(formatToolResult(toolResult, cliOptions.output));
+  if (!toolResult.success) {
+    console.error(`Error: ${toolResult.error}${toolResult.requestId ? ` [request ${toolResult.requestId}]` : ''}`);
+    return toolResult.errors ? EXIT_CODES.usage : EXIT_CODES.failure;
+  }
+  return EXIT_CODES.success;
+}
+
+// Run a subcommand and exit with its code, or start the REPL.
+// With --resume, ask and chat continue a saved session and save it again.
+async function runScriptCommand() {
+  let exitCode = EXIT_CODES.failure;
+  try {
+    if (scriptCommand.chat && cliOptions.resume && !await loadSession(cliOptions.resume)) {
+      exitCode = EXIT_CODES.usage;
+      return;
+    }
+    exitCode = await scriptCommand.run();
+    if (scriptCommand.chat && cliOptions.resume && !await saveSession(cliOptions.resume)) {
+      exitCode = EXIT_CODES.failure;
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+  } finally {
+    await mcpClient.close().catch(() => {});
+    process.exit(exitCode);
+  }
+}
+
 // Start the CLI
-main(); 
\ No newline at end of file
+if (scriptCommand) {
+  runScriptCommand();
+} else {
+  main();
+} 
\ No newline at end of file
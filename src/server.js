@@ -2,19 +2,50 @@
 import express from 'express';
 import { HustleIncognitoClient } from 'hustle-incognito';
 import dotenv from 'dotenv';
-import axios from 'axios';
-import { SmitheryClient } from './utils/smithery-client.js';
+import { loadServerConfigs, loadPoolOptions } from './utils/smithery-client.js';
+import { loadBreakerOptions, CircuitState } from './utils/circuit-breaker.js';
+import { SmitheryManager } from './utils/smithery-manager.js';
+import {
+  createToolRegistry,
+  BraveSearchTool,
+  SmitheryTool,
+  ProviderChainTool,
+  createProviderResolver,
+  loadToolChains,
+  isChainProvider,
+  isEmptyResult
+} from './tools/index.js';
+import { ValidationError } from './utils/schema-validator.js';
+import { ToolCache, loadCacheOptions, CACHE_MODES } from './utils/tool-cache.js';
+import { Upstreams, ClientRateLimiter, loadRateLimitOptions } from './utils/rate-limiter.js';
+import { ApiKeyAuth, loadApiClients, canUseTool } from './utils/auth.js';
+import { createMcpServer, serveStdio, mountStreamableHttp } from './utils/mcp-server.js';
+import { logger, loadLoggerOptions, ensureRequestId, withRequestContext } from './utils/logger.js';
+import { MetricsRegistry, METRICS_CONTENT_TYPE } from './utils/metrics.js';
+import { runWithTimeout, loadTimeoutOptions, toolTimeoutMs, TimeoutError } from './utils/timeout.js';
+
+// In stdio mode stdout carries MCP messages, so all logging goes to stderr
+// (including console output from libraries)
+const useStdio = process.argv.includes('--stdio') || process.env.MCP_TRANSPORT === 'stdio';
+if (useStdio) {
+  console.log = console.info = console.warn = console.error;
+}
 
 // Load environment variables
 dotenv.config();
 
+const logStream = useStdio ? process.stderr : process.stdout;
+logger.configure({ ...loadLoggerOptions(process.env, logStream), stream: logStream });
+const log = logger.child('server');
+
 // Validate required environment variables
 const requiredEnvVars = ['HUSTLE_API_KEY', 'VAULT_ID'];
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
-  console.error(`Missing required environment variables: ${missingEnvVars.join(', ')}`);
-  console.error('Please create a .env file based on env.example');
+  log.error('Missing required environment variables, create a .env file based on env.example', {
+    missing: missingEnvVars
+  });
   process.exit(1);
 }
 
@@ -22,42 +53,105 @@ if (missingEnvVars.length > 0) {
 const app = express();
 app.use(express.json());
 
+// Tag each request with the caller's X-Request-Id (or a new one) and log it when it completes
+app.use((req, res, next) => {
+  const requestId = ensureRequestId(req.get('X-Request-Id'));
+  const startedAt = Date.now();
+  res.set('X-Request-Id', requestId);
+  res.on('finish', () => {
+    withRequestContext({ requestId }, () => log.info('Request completed', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      client: req.apiClient?.name,
+      durationMs: Date.now() - startedAt
+    }));
+  });
+  withRequestContext({ requestId }, next);
+});
+
+// Rate limits per upstream API and per API client
+const rateLimits = loadRateLimitOptions();
+const upstreams = new Upstreams(rateLimits.upstreams);
+const clientLimiter = new ClientRateLimiter(rateLimits.clients);
+
+// Bearer-token auth: each API key has its own tool allowlist and rate limit
+const auth = new ApiKeyAuth(loadApiClients());
+if (!auth.enabled) {
+  log.warn('No API keys configured, the tool server accepts requests from anyone who can reach it');
+}
+
+// Identify the client behind every API and MCP request
+app.use(['/api', '/mcp'], (req, res, next) => {
+  if (!auth.enabled) {
+    req.apiClient = { name: `ip:${req.ip}`, tools: ['*'] };
+    return next();
+  }
+
+  const token = req.get('Authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+  const apiClient = auth.authenticate(token);
+  if (!apiClient) {
+    res.set('WWW-Authenticate', 'Bearer realm="enhanced-cli-tools"');
+    return res.status(401).json({
+      success: false,
+      error: token ? 'Invalid API key' : 'Missing API key (send Authorization: Bearer <key>)'
+    });
+  }
+
+  req.apiClient = apiClient;
+  next();
+});
+
+// Refuse tool calls and usage reads from clients that exceed their rate limit
+app.use(['/api/tools', '/api/usage', '/mcp'], (req, res, next) => {
+  const retryAfter = clientLimiter.check(req.apiClient.name, req.apiClient.rateLimit);
+  if (retryAfter === 0) {
+    return next();
+  }
+
+  res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+  res.status(429).json({
+    success: false,
+    error: `Rate limit exceeded, retry in ${Math.ceil(retryAfter / 1000)}s`
+  });
+});
+
 // Initialize the AgentHustle client
 const client = new HustleIncognitoClient({
   apiKey: process.env.HUSTLE_API_KEY,
-  debug: true
+  debug: logger.isLevelEnabled('debug')
 });
 
 // Store the vault ID for use in API calls
 const vaultId = process.env.VAULT_ID;
 
-// Initialize Smithery client for Brave Search
-const smitheryClient = new SmitheryClient({
-  baseUrl: 'https://server.smithery.ai/@smithery-ai/brave-search',
+// Initialize one Smithery client per configured server
+const smithery = new SmitheryManager({
+  servers: loadServerConfigs(),
   apiKey: process.env.SMITHERY_API_KEY,
-  profile: process.env.SMITHERY_PROFILE
+  profile: process.env.SMITHERY_PROFILE,
+  pool: loadPoolOptions(),
+  breaker: loadBreakerOptions(),
+  upstreams
 });
 
 // Initialize Smithery connection on startup
-let smitheryConnected = false;
 async function initializeSmithery() {
   if (!process.env.SMITHERY_API_KEY || !process.env.SMITHERY_PROFILE) {
-    console.log('⚠ Smithery credentials not configured, skipping Smithery integration');
+    log.warn('Smithery credentials not configured, skipping Smithery integration');
     return false;
   }
 
   try {
-    const success = await smitheryClient.initialize();
-    smitheryConnected = success;
-    if (success) {
-      console.log('✓ Smithery Brave Search integration ready');
+    const connected = await smithery.initialize();
+    if (connected.length > 0) {
+      log.info('Smithery integration ready', { servers: connected });
     } else {
-      console.log('⚠ Smithery connection failed, falling back to local tools');
+      log.warn('Smithery connection failed, falling back to local tools');
     }
-    return success;
+    return connected.length > 0;
   } catch (error) {
-    console.error('Error initializing Smithery:', error.message);
-    smitheryConnected = false;
+    log.error('Error initializing Smithery', { error });
     return false;
   }
 }
@@ -65,474 +159,380 @@ async function initializeSmithery() {
 // Initialize on startup - await the result
 await initializeSmithery();
 
+// Cache in front of /api/tools/call
+const toolCache = new ToolCache(loadCacheOptions());
+
+// Time limit per tool call, enforced on every provider through an AbortSignal
+const toolTimeouts = loadTimeoutOptions();
+const timeoutFor = name => toolTimeoutMs(toolTimeouts, name);
+
+// Register the built-in tools
+const registry = createToolRegistry({ client, vaultId, upstreams });
+
+// Local tools that provider chains can fall back to
+const localTools = new Map(
+  [new BraveSearchTool({ upstreams }), ...registry.names().map(name => registry.get(name))].map(tool => [tool.name, tool])
+);
+
+// Smithery tools by name, including those only used as chain providers
+const smitheryTools = new Map();
+
+// Logical tools backed by ordered providers (Smithery, local, AgentHustle, fixtures).
+// A chain replaces any tool registered under the same name.
+const toolChains = loadToolChains();
+const resolveProvider = createProviderResolver({
+  smitheryTools: () => smitheryTools.values(),
+  localTools,
+  client,
+  vaultId,
+  upstreams
+});
+for (const [name, chain] of Object.entries(toolChains)) {
+  registry.register(new ProviderChainTool(name, chain, resolveProvider));
+}
+
+// Smithery tools behind a chain (same name, or one of its providers) are reached through the chain only
+const reachedThroughChain = smitheryTool => Boolean(toolChains[smitheryTool.name]) || isChainProvider(toolChains, smitheryTool);
+
 /**
- * Brave Search API client
+ * Register the tools exposed by the connected Smithery servers
+ * @returns {Promise<void>}
  */
-class BraveSearchClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.baseUrl = 'https://api.search.brave.com/res/v1';
+async function syncSmitheryTools() {
+  if (!smithery.isAvailable()) {
+    return;
   }
 
-  /**
-   * Search the web using Brave Search API
-   * @param query Search query
-   * @param options Search options
-   * @returns Search results
-   */
-  async search(query, options = {}) {
-    const params = {
-      q: query,
-      count: options.count || 10,
-      offset: options.offset || 0,
-      country: options.country || 'US',
-      safesearch: options.safesearch || 'moderate'
-    };
-
-    try {
-      const response = await axios.get(`${this.baseUrl}/web/search`, {
-        params,
-        headers: {
-          'Accept': 'application/json',
-          'Accept-Encoding': 'gzip',
-          'X-Subscription-Token': this.apiKey
-        }
-      });
+  try {
+    const reservedNames = registry.names().filter(name => !smitheryTools.has(name) && !toolChains[name]);
+    const listedTools = await smithery.listTools({ reservedNames });
+    listedTools.forEach(tool => {
+      const smitheryTool = new SmitheryTool(tool, { client: smithery.getClient(tool.server) });
+      smitheryTools.set(tool.name, smitheryTool);
+      if (!reachedThroughChain(smitheryTool)) {
+        registry.register(smitheryTool);
+      }
+    });
 
-      return response.data;
-    } catch (error) {
-      console.error('Error searching with Brave:', error);
-      throw new Error(`Brave Search API error: ${error instanceof Error ? error.message : String(error)}`);
+    // Drop tools a connected server no longer lists under the same name
+    const listedNames = new Set(listedTools.map(tool => tool.name));
+    for (const [name, smitheryTool] of smitheryTools) {
+      if (!listedNames.has(name) && smitheryTool.isAvailable()) {
+        smitheryTools.delete(name);
+        if (!reachedThroughChain(smitheryTool)) {
+          registry.unregister(name);
+        }
+      }
     }
+    log.info('Synced Smithery tools', { count: listedTools.length });
+  } catch (error) {
+    // Failures count against the server's circuit, which probes it in the background
+    log.error('Smithery tools unavailable, circuit breakers will probe for recovery', { error });
   }
 }
 
-// Define API endpoints
-app.post('/api/tools/list', async (req, res) => {
-  const tools = [
-    {
-      name: 'rugcheck',
-      description: 'Perform a security analysis (rugcheck) on a specific token',
-      parameters: {
-        type: 'object',
-        required: ['token'],
-        properties: {
-          token: {
-            type: 'string',
-            description: 'The token symbol or address to analyze'
-          },
-          chain: {
-            type: 'string',
-            description: 'The blockchain network (defaults to Solana)',
-            default: 'solana'
-          }
-        }
-      }
-    },
-    {
-      name: 'trending-tokens',
-      description: 'Get trending tokens on a specific blockchain',
-      parameters: {
-        type: 'object',
-        properties: {
-          chain: {
-            type: 'string',
-            description: 'The blockchain network (defaults to Solana)',
-            default: 'solana'
-          },
-          limit: {
-            type: 'number',
-            description: 'Maximum number of tokens to return',
-            default: 10
-          }
-        }
-      }
-    },
-    {
-      name: 'wallet-balance',
-      description: 'Check wallet balance for a specific address',
-      parameters: {
-        type: 'object',
-        required: ['address'],
-        properties: {
-          address: {
-            type: 'string',
-            description: 'The wallet address to check'
-          },
-          chain: {
-            type: 'string',
-            description: 'The blockchain network (defaults to Solana)',
-            default: 'solana'
-          }
-        }
-      }
-    },
-    {
-      name: 'crypto-chat',
-      description: 'Chat with the AgentHustle AI about crypto and web3 topics',
-      parameters: {
-        type: 'object',
-        required: ['message'],
-        properties: {
-          message: {
-            type: 'string',
-            description: 'The message to send to the crypto assistant'
-          }
-        }
+await syncSmitheryTools();
+smithery.onToolsChanged = () => syncSmitheryTools();
+
+// Prometheus metrics, served on /metrics
+const metrics = new MetricsRegistry();
+const toolCalls = metrics.counter({
+  name: 'tool_calls_total',
+  help: 'Tool calls by tool, source and outcome',
+  labelNames: ['tool', 'source', 'outcome']
+});
+const toolCallDuration = metrics.histogram({
+  name: 'tool_call_duration_seconds',
+  help: 'Tool call duration in seconds, including cached answers',
+  labelNames: ['tool', 'source']
+});
+const providerFallbacks = metrics.counter({
+  name: 'tool_provider_fallbacks_total',
+  help: 'Providers a chain moved past, by why (error, timeout, empty, unavailable)',
+  labelNames: ['tool', 'provider', 'outcome']
+});
+const upstreamDuration = metrics.histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Upstream API request latency in seconds',
+  labelNames: ['upstream', 'outcome']
+});
+metrics.counter({
+  name: 'tool_cache_hits_total',
+  help: 'Tool calls answered from the cache',
+  collect: counter => counter.set({}, toolCache.stats.hits)
+});
+metrics.counter({
+  name: 'tool_cache_misses_total',
+  help: 'Cacheable tool calls that had to run the tool',
+  collect: counter => counter.set({}, toolCache.stats.misses)
+});
+metrics.gauge({
+  name: 'circuit_breaker_state',
+  help: 'Circuit breaker state per Smithery server (1 for the current state)',
+  labelNames: ['server', 'state'],
+  collect: gauge => {
+    for (const [server, status] of Object.entries(smithery.getStatus())) {
+      for (const state of Object.values(CircuitState)) {
+        gauge.set({ server, state }, status.circuit.state === state ? 1 : 0);
       }
     }
-  ];
-
-  // Add Smithery Brave Search if connected
-  if (smitheryConnected && smitheryClient.isAvailable()) {
-    try {
-      const smitheryTools = await smitheryClient.listTools();
-      // Add Smithery tools to our tools list
-      smitheryTools.forEach(tool => {
-        tools.push({
-          name: tool.name,
-          description: tool.description,
-          parameters: tool.inputSchema,
-          source: 'smithery' // Mark as Smithery tool for identification
-        });
-      });
-      console.log(`✓ Added ${smitheryTools.length} Smithery tools to the list`);
-    } catch (error) {
-      console.error('Error fetching Smithery tools:', error.message);
-      // Try to reconnect for next time
-      smitheryConnected = false;
-      console.log('⚠ Marking Smithery as disconnected, will attempt reconnection on next tool call');
+  }
+});
+metrics.gauge({
+  name: 'smithery_connected',
+  help: 'Whether the pooled connection to a Smithery server is open',
+  labelNames: ['server'],
+  collect: gauge => {
+    for (const [server, status] of Object.entries(smithery.getStatus())) {
+      gauge.set({ server }, status.connected ? 1 : 0);
+    }
+  }
+});
+metrics.counter({
+  name: 'smithery_reconnects_total',
+  help: 'Reconnects after a pooled Smithery connection was lost',
+  labelNames: ['server'],
+  collect: counter => {
+    for (const [server, status] of Object.entries(smithery.getStatus())) {
+      counter.set({ server }, status.reconnects);
     }
   }
+});
 
-  // Add local Brave Search tool if API key is provided (fallback)
-  if (process.env.BRAVE_API_KEY && !smitheryConnected) {
-    tools.push({
-      name: 'brave-search',
-      description: 'Search the web using Brave Search API',
-      parameters: {
-        type: 'object',
-        required: ['query'],
-        properties: {
-          query: {
-            type: 'string',
-            description: 'The search query'
-          },
-          count: {
-            type: 'number',
-            description: 'Number of results to return (max 20)',
-            default: 5
-          },
-          safesearch: {
-            type: 'string',
-            enum: ['strict', 'moderate', 'off'],
-            description: 'SafeSearch filter level',
-            default: 'moderate'
-          }
-        }
-      },
-      source: 'local' // Mark as local tool
-    });
+upstreams.onCall = ({ upstream, outcome, durationMs }) => {
+  upstreamDuration.observe({ upstream, outcome }, durationMs / 1000);
+};
+
+/**
+ * Work out which kind of provider answered a call: smithery, local or hustle,
+ * with a -fallback suffix when a provider chain had to move past its first choice
+ * @param {string} name - Tool name
+ * @param {Object} [result] - Tool result
+ * @returns {string} Source label
+ */
+function sourceLabel(name, result) {
+  const tool = registry.get(name);
+  const source = result?.source || tool?.source || 'local';
+  const type = String(source).split(':')[0];
+  return result?.fallbacks?.length > 0 ? `${type}-fallback` : type;
+}
+
+/**
+ * Classify a failed tool call
+ * @param {Error} error - Error thrown by the call
+ * @returns {string} invalid, timeout, cancelled, unavailable, rate_limited or error
+ */
+function outcomeLabel(error) {
+  if (error instanceof ValidationError) return 'invalid';
+  if (error.status === 504) return 'timeout';
+  if (error.status === 499) return 'cancelled';
+  if (error.status === 503) return 'unavailable';
+  if (error.status === 429) return 'rate_limited';
+  return 'error';
+}
+
+/**
+ * Record a tool call in the metrics
+ * @param {Object} call - { tool, result, error, durationMs, outcome }
+ */
+function recordToolCall({ tool, result, error, durationMs, outcome }) {
+  // Names from clients are only used as labels once they are known tools
+  const name = registry.has(tool) ? tool : 'unknown';
+  const source = sourceLabel(name, result);
+  toolCalls.inc({ tool: name, source, outcome: outcome || (error ? outcomeLabel(error) : 'success') });
+  toolCallDuration.observe({ tool: name, source }, durationMs / 1000);
+  for (const fallback of result?.fallbacks || []) {
+    providerFallbacks.inc({ tool: name, provider: fallback.provider, outcome: fallback.outcome });
   }
+}
 
-  res.json({ tools });
+// Define API endpoints
+app.post('/api/tools/list', async (req, res) => {
+  await syncSmitheryTools();
+  res.json({
+    tools: registry.list()
+      .filter(tool => canUseTool(req.apiClient, tool.name))
+      .map(tool => ({ ...tool, timeoutMs: timeoutFor(tool.name) }))
+  });
 });
 
+/**
+ * Whether a tool result may be cached. Fallback answers are skipped so the next call retries the
+ * primary; empty and error-shaped answers are skipped so an outage is not served for the whole TTL.
+ * @param {*} result - Tool result
+ * @returns {boolean}
+ */
+function isCacheable(result) {
+  if (result?.fallbacks || isEmptyResult(result)) return false;
+  return !result?.error && !/^(error|unable to)\b/i.test(result?.message || '');
+}
+
+/**
+ * Read the cache mode of a call from the request body or its Cache-Control header
+ * @param {Request} req - Express request
+ * @returns {string} 'default', 'bypass' or 'refresh'
+ */
+function cacheModeFor(req) {
+  if (req.body.cache) {
+    return req.body.cache;
+  }
+  const cacheControl = req.get('Cache-Control') || '';
+  if (cacheControl.includes('no-store')) return 'bypass';
+  if (cacheControl.includes('no-cache')) return 'refresh';
+  return 'default';
+}
+
 app.post('/api/tools/call', async (req, res) => {
   const { name, params } = req.body;
+  const startedAt = Date.now();
+
+  // Abort the upstream work if the client goes away (e.g. Ctrl+C in the CLI)
+  const disconnected = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      disconnected.abort();
+    }
+  });
+
+  if (!canUseTool(req.apiClient, name)) {
+    log.warn('Refused tool call outside the allowlist', { tool: name, client: req.apiClient.name });
+    recordToolCall({ tool: name, outcome: 'forbidden', durationMs: Date.now() - startedAt });
+    return res.status(403).json({
+      success: false,
+      error: `Tool ${name} is not allowed for this API key`,
+      tool: name
+    });
+  }
   
   try {
-    let result;
-
-    switch (name) {
-      case 'brave-search':
-      case 'brave_web_search': // Handle Smithery tool name
-        // Use Smithery if connected, otherwise fall back to local implementation
-        if ((smitheryConnected || await initializeSmithery()) && name === 'brave_web_search') {
-          console.log(`Executing Smithery Brave search for query: ${params.query}`);
-          try {
-            const smitheryResult = await smitheryClient.callTool('brave_web_search', params);
-            
-            // Parse the result from Smithery
-            // Smithery returns results as formatted text, not JSON
-            let parsedResults = [];
-            if (smitheryResult.content && smitheryResult.content[0] && smitheryResult.content[0].text) {
-              const text = smitheryResult.content[0].text;
-              
-              // Parse the text format: Title: ... Description: ... URL: ...
-              const resultBlocks = text.split('\n\n').filter(block => block.trim());
-              
-              for (const block of resultBlocks) {
-                const lines = block.split('\n');
-                let title = '', description = '', url = '';
-                
-                for (const line of lines) {
-                  if (line.startsWith('Title: ')) {
-                    title = line.substring(7).trim();
-                  } else if (line.startsWith('Description: ')) {
-                    description = line.substring(13).trim();
-                    // Remove HTML tags and decode entities
-                    description = description
-                      .replace(/<[^>]*>/g, '') // Remove HTML tags
-                      .replace(/&quot;/g, '"')
-                      .replace(/&#x27;/g, "'")
-                      .replace(/&lt;/g, '<')
-                      .replace(/&gt;/g, '>')
-                      .replace(/&amp;/g, '&');
-                  } else if (line.startsWith('URL: ')) {
-                    url = line.substring(5).trim();
-                  }
-                }
-                
-                if (title && url) {
-                  parsedResults.push({ title, description, url });
-                }
-              }
-            }
-            
-            // Format the results consistently
-            result = {
-              query: params.query,
-              total: parsedResults.length,
-              results: parsedResults,
-              source: 'smithery'
-            };
-          } catch (error) {
-            console.error('Error in Smithery Brave search:', error);
-            smitheryConnected = false; // Mark as disconnected
-            
-            // Try local fallback if available
-            if (process.env.BRAVE_API_KEY) {
-              console.log('Falling back to local Brave Search...');
-              const braveClient = new BraveSearchClient(process.env.BRAVE_API_KEY);
-              const searchResult = await braveClient.search(params.query, {
-                count: params.count || 5,
-                safesearch: params.safesearch || 'moderate'
-              });
-              
-              result = {
-                query: params.query,
-                total: searchResult.web?.total || 0,
-                results: searchResult.web?.results?.map(r => ({
-                  title: r.title,
-                  description: r.description,
-                  url: r.url
-                })) || [],
-                source: 'local-fallback'
-              };
-            } else {
-              throw new Error(`Smithery Brave Search failed and no local API key available: ${error.message}`);
-            }
-          }
-        } else if (process.env.BRAVE_API_KEY) {
-          // Fallback to local Brave Search implementation
-          console.log(`Executing local Brave search for query: ${params.query}`);
-          try {
-            const braveClient = new BraveSearchClient(process.env.BRAVE_API_KEY);
-            const searchResult = await braveClient.search(params.query, {
-              count: params.count || 5,
-              safesearch: params.safesearch || 'moderate'
-            });
-            
-            // Format the results in a more usable way
-            result = {
-              query: params.query,
-              total: searchResult.web?.total || 0,
-              results: searchResult.web?.results?.map(r => ({
-                title: r.title,
-                description: r.description,
-                url: r.url
-              })) || [],
-              source: 'local'
-            };
-          } catch (error) {
-            console.error('Error in local Brave search:', error);
-            throw new Error(`Local Brave Search failed: ${error.message}`);
-          }
-        } else {
-          throw new Error('Brave Search not available - no Smithery connection and no local API key configured');
-        }
-        break;
-
-      case 'brave_local_search': // Handle Smithery local search
-        if (smitheryConnected || await initializeSmithery()) {
-          console.log(`Executing Smithery local search for query: ${params.query}`);
-          try {
-            const smitheryResult = await smitheryClient.callTool('brave_local_search', params);
-            
-            // Parse the result from Smithery
-            // Smithery returns results as formatted text, not JSON
-            let parsedResults = [];
-            if (smitheryResult.content && smitheryResult.content[0] && smitheryResult.content[0].text) {
-              const text = smitheryResult.content[0].text;
-              
-              // Parse the text format: Title: ... Description: ... URL: ...
-              const resultBlocks = text.split('\n\n').filter(block => block.trim());
-              
-              for (const block of resultBlocks) {
-                const lines = block.split('\n');
-                let title = '', description = '', url = '';
-                
-                for (const line of lines) {
-                  if (line.startsWith('Title: ')) {
-                    title = line.substring(7).trim();
-                  } else if (line.startsWith('Description: ')) {
-                    description = line.substring(13).trim();
-                    // Remove HTML tags and decode entities
-                    description = description
-                      .replace(/<[^>]*>/g, '') // Remove HTML tags
-                      .replace(/&quot;/g, '"')
-                      .replace(/&#x27;/g, "'")
-                      .replace(/&lt;/g, '<')
-                      .replace(/&gt;/g, '>')
-                      .replace(/&amp;/g, '&');
-                  } else if (line.startsWith('URL: ')) {
-                    url = line.substring(5).trim();
-                  }
-                }
-                
-                if (title && url) {
-                  parsedResults.push({ title, description, url });
-                }
-              }
-            }
-            
-            result = {
-              query: params.query,
-              total: parsedResults.length,
-              results: parsedResults,
-              source: 'smithery'
-            };
-          } catch (error) {
-            console.error('Error in Smithery local search:', error);
-            smitheryConnected = false; // Mark as disconnected
-            throw new Error(`Smithery Local Search failed: ${error.message}`);
-          }
-        } else {
-          throw new Error('Smithery Local Search not available - no Smithery connection');
-        }
-        break;
-
-      case 'rugcheck':
-        console.log(`Executing rugcheck for token: ${params.token}`);
-        const rugcheckResponse = await client.headlessChat(
-          `Run a rugcheck for ${params.token}`, 
-          {
-            'rugcheck': async (p) => p
-          },
-          { vaultId }
-        );
-        result = rugcheckResponse.toolResults[0] || { error: 'No results from rugcheck' };
-        break;
-
-      case 'trending-tokens':
-        console.log(`Fetching trending tokens on chain: ${params.chain || 'solana'}`);
-        try {
-          const trendingResponse = await client.headlessChat(
-            `Show me trending tokens on ${params.chain || 'solana'}`, 
-            {
-              'birdeye-trending': async (p) => p
-            },
-            { vaultId }
-          );
-          result = trendingResponse.toolResults[0] || { 
-            tokens: [],
-            message: 'Unable to fetch trending tokens'
-          };
-        } catch (error) {
-          console.error('Error in trending-tokens:', error);
-          result = { 
-            tokens: [],
-            message: `Error: ${error.message}`
-          };
-        }
-        break;
-
-      case 'wallet-balance':
-        console.log(`Checking wallet balance for: ${params.address}`);
-        try {
-          const balanceResponse = await client.headlessChat(
-            `Check wallet balance for ${params.address}`, 
-            {
-              'wallet-balance': async (p) => p
-            },
-            { vaultId }
-          );
-          result = balanceResponse.toolResults[0] || { 
-            address: params.address,
-            balances: [],
-            message: 'Unable to fetch wallet balance'
-          };
-        } catch (error) {
-          console.error('Error in wallet-balance:', error);
-          result = { 
-            address: params.address,
-            balances: [],
-            message: `Error: ${error.message}`
-          };
-        }
-        break;
-
-      case 'crypto-chat':
-        console.log(`Crypto chat: ${params.message}`);
-        try {
-          const chatResponse = await client.chat([
-            { role: 'user', content: params.message }
-          ], { vaultId });
-          
-          result = {
-            response: chatResponse.content,
-            toolsUsed: chatResponse.toolCalls ? chatResponse.toolCalls.map(tool => tool.name) : []
-          };
-        } catch (error) {
-          console.error('Error in crypto-chat:', error);
-          result = {
-            response: `Sorry, I encountered an error: ${error.message}`,
-            toolsUsed: []
-          };
-        }
-        break;
-
-      default:
-        throw new Error(`Unknown tool: ${name}`);
+    const mode = cacheModeFor(req);
+    if (!CACHE_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid cache mode "${mode}" (use ${CACHE_MODES.join(', ')})`,
+        tool: name
+      });
     }
 
+    // Validate first so equivalent params ("5" and 5) share a cache entry
+    const validParams = registry.validate(name, params || {});
+    const { value: result, cache } = await toolCache.wrap(
+      name,
+      validParams,
+      () => runWithTimeout(
+        signal => registry.execute(name, validParams, { signal }),
+        { timeoutMs: timeoutFor(name), signal: disconnected.signal, label: name }
+      ),
+      { mode, cacheable: isCacheable }
+    );
+    log.info('Tool call', {
+      tool: name,
+      outcome: 'success',
+      source: result?.source,
+      cache: cache.status,
+      durationMs: Date.now() - startedAt
+    });
+    recordToolCall({ tool: name, result, durationMs: Date.now() - startedAt });
+
+    res.set('X-Cache', cache.status.toUpperCase());
     res.json({ 
       success: true, 
       result,
-      tool: name
+      tool: name,
+      cache
     });
   } catch (error) {
-    console.error(`Error executing tool ${name}:`, error);
-    res.status(500).json({ 
+    recordToolCall({ tool: name, error, durationMs: Date.now() - startedAt });
+    if (error instanceof ValidationError) {
+      log.info('Tool call', { tool: name, outcome: 'invalid', errors: error.errors });
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        errors: error.errors,
+        tool: name
+      });
+    }
+
+    log.error('Tool call', { tool: name, outcome: outcomeLabel(error), durationMs: Date.now() - startedAt, error });
+    if (disconnected.signal.aborted) {
+      return;
+    }
+    if (error.retryAfterMs !== undefined) {
+      res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    res.status(error.status || 500).json({ 
       success: false, 
       error: error.message || `Failed to execute tool ${name}`,
-      tool: name
+      tool: name,
+      ...(error instanceof TimeoutError && { code: error.code, timeoutMs: error.timeoutMs })
     });
   }
 });
 
+// Model Context Protocol endpoint (Streamable HTTP)
+// Over HTTP the caller's allowlist applies; stdio is a local process with every tool
+const createServer = req => createMcpServer(registry, {
+  beforeListTools: syncSmitheryTools,
+  allowTool: req && (name => canUseTool(req.apiClient, name)),
+  onToolCall: recordToolCall,
+  timeoutFor
+});
+mountStreamableHttp(app, '/mcp', createServer);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
+  const servers = smithery.getStatus();
+  const smitheryConfigured = Boolean(process.env.SMITHERY_API_KEY && process.env.SMITHERY_PROFILE);
+  const degraded = smitheryConfigured &&
+    Object.values(servers).some(server => server.circuit.state !== 'closed');
+
+  res.json({
+    status: degraded ? 'degraded' : 'ok',
+    uptime: Math.round(process.uptime()),
+    tools: registry.list().length,
+    cache: toolCache.stats,
+    smithery: {
+      configured: smitheryConfigured,
+      servers
+    }
+  });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
+// Calls, errors and remaining quota per upstream and client, per UTC day.
+// Clients only see their own usage unless their key is marked admin.
+app.get('/api/usage', (req, res) => {
+  res.json({
+    date: new Date().toISOString().slice(0, 10),
+    upstreams: upstreams.getUsage(),
+    history: upstreams.usage.history(),
+    clients: clientLimiter.usage.history(req.apiClient.admin ? undefined : req.apiClient.name)
+  });
 });
 
+// Close pooled Smithery connections on shutdown
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    await smithery.close();
+    process.exit(0);
+  });
+}
+
 // Start server
 const port = process.env.PORT || 8081;
-app.listen(port, () => {
-  console.log(`MCP Server running on port ${port}`);
-  console.log('\nAvailable tools:');
-  
-  if (smitheryConnected) {
-    console.log('- brave-search: Search the web using Smithery hosted Brave Search');
-  } else if (process.env.BRAVE_API_KEY) {
-    console.log('- brave-search: Search the web using local Brave Search API');
-  }
-  
-  console.log('- rugcheck: Perform a security analysis on a specific token');
-  console.log('- trending-tokens: Get trending tokens on a specific blockchain');
-  console.log('- wallet-balance: Check wallet balance for a specific address');
-  console.log('- crypto-chat: Chat with the AgentHustle AI about crypto and web3 topics');
-  
-  console.log(`\nSmithery Integration: ${smitheryConnected ? '✓ Connected' : '✗ Not connected'}`);
-}); 
\ No newline at end of file
+if (useStdio) {
+  await serveStdio(createServer);
+} else {
+  app.listen(port, () => {
+    log.info('MCP Server running', { port, mcpEndpoint: `http://localhost:${port}/mcp` });
+    registry.list().forEach(tool => {
+      log.info('Tool available', { tool: tool.name, source: tool.source, description: tool.description });
+    });
+    log.info('Smithery integration', { connected: smithery.isAvailable() });
+  });
+}
@@ -1,12 +1,19 @@
 // Brave Search tool implementation
 import axios from 'axios';
+import { callUpstream, RateLimitError } from '../utils/rate-limiter.js';
 
 export class BraveSearchTool {
-  constructor() {
+  /**
+   * @param {Object} [config] - Tool configuration
+   * @param {Upstreams} [config.upstreams] - Rate limiters for upstream APIs
+   */
+  constructor(config = {}) {
     this.name = 'brave-search';
     this.description = 'Search the web using Brave Search API';
     this.apiKey = process.env.BRAVE_API_KEY;
-    this.baseUrl = 'https://api.search.brave.com/res/v1';
+    this.baseUrl = process.env.BRAVE_API_URL || 'https://api.search.brave.com/res/v1';
+    this.source = 'local';
+    this.upstream = config.upstreams?.get('brave');
   }
 
   /**
@@ -33,7 +40,9 @@ export class BraveSearchTool {
         count: {
           type: 'number',
           description: 'Number of results to return (max 20)',
-          default: 5
+          default: 5,
+          minimum: 1,
+          maximum: 20
         },
         safesearch: {
           type: 'string',
@@ -48,32 +57,45 @@ export class BraveSearchTool {
   /**
    * Execute the search
    * @param {Object} params - Search parameters
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request
    * @returns {Promise<Object>} Search results
    */
-  async execute(params) {
+  async execute(params, options = {}) {
     if (!this.isAvailable()) {
       throw new Error('Brave Search API key not configured');
     }
 
     try {
-      const response = await axios.get(`${this.baseUrl}/web/search`, {
+      const response = await callUpstream(this.upstream, () => axios.get(`${this.baseUrl}/web/search`, {
         params: {
           q: params.query,
-          count: params.count || 5,
-          safesearch: params.safesearch || 'moderate'
+          count: params.count,
+          safesearch: params.safesearch
         },
         headers: {
           'Accept': 'application/json',
           'Accept-Encoding': 'gzip',
           'X-Subscription-Token': this.apiKey
-        }
-      });
+        },
+        signal: options.signal
+      }), { signal: options.signal });
 
       return {
-        results: response.data.web.results,
-        total: response.data.web.total
+        query: params.query,
+        total: response.data.web?.total || 0,
+        results: response.data.web?.results?.map(r => ({
+          title: r.title,
+          description: r.description,
+          url: r.url
+        })) || [],
+        source: 'local'
       };
     } catch (error) {
+      // Keeps its 429 status and retry delay for the server's response
+      if (error instanceof RateLimitError) {
+        throw error;
+      }
       throw new Error(`Brave Search API error: ${error.message}`);
     }
   }
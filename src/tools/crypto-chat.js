@@ -0,0 +1,82 @@
+// CryptoChat tool implementation
+import { HustleIncognitoClient } from 'hustle-incognito';
+import { callUpstream } from '../utils/rate-limiter.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child('crypto-chat');
+
+export class CryptoChatTool {
+  /**
+   * @param {Object} [config] - Tool configuration
+   * @param {HustleIncognitoClient} [config.client] - Shared AgentHustle client
+   * @param {string} [config.vaultId] - Vault ID used for chats
+   * @param {Upstreams} [config.upstreams] - Rate limiters for upstream APIs
+   */
+  constructor(config = {}) {
+    this.name = 'crypto-chat';
+    this.description = 'Chat with the AgentHustle AI about crypto and web3 topics';
+    this.source = 'hustle';
+    this.vaultId = config.vaultId || process.env.VAULT_ID;
+    this.upstream = config.upstreams?.get('hustle');
+    this.client = config.client || new HustleIncognitoClient({
+      apiKey: process.env.HUSTLE_API_KEY,
+      hustleApiUrl: process.env.HUSTLE_API_URL || 'https://agenthustle.ai',
+      debug: logger.isLevelEnabled('debug')
+    });
+  }
+
+  /**
+   * Check if the tool is available
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return Boolean(process.env.HUSTLE_API_KEY && this.vaultId);
+  }
+
+  /**
+   * Get tool parameters schema
+   * @returns {Object}
+   */
+  getParameters() {
+    return {
+      type: 'object',
+      required: ['message'],
+      properties: {
+        message: {
+          type: 'string',
+          description: 'The message to send to the crypto assistant'
+        }
+      }
+    };
+  }
+
+  /**
+   * Send a message to the crypto assistant
+   * @param {Object} params - Chat parameters
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Stops waiting for the rate limiter. It cannot abort a request
+   * already sent: chat() takes no signal, so that request runs on and its answer is dropped
+   * @returns {Promise<Object>} Assistant response and the tools it used
+   */
+  async execute(params, options = {}) {
+    log.debug('Crypto chat', { message: params.message });
+
+    try {
+      // The Hustle client has no per-call headers or metadata, so the request ID stays in our logs
+      const response = await callUpstream(this.upstream, () => this.client.chat([
+        { role: 'user', content: params.message }
+      ], { vaultId: this.vaultId }), { signal: options.signal });
+
+      return {
+        response: response.content,
+        toolsUsed: response.toolCalls ? response.toolCalls.map(tool => tool.name) : []
+      };
+    } catch (error) {
+      log.error('Crypto chat failed', { error });
+      return {
+        response: `Sorry, I encountered an error: ${error.message}`,
+        toolsUsed: []
+      };
+    }
+  }
+}
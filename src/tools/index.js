@@ -3,48 +3,42 @@ import { BraveSearchTool } from './brave-search.js';
 import { RugcheckTool } from './rugcheck.js';
 import { WalletBalanceTool } from './wallet-balance.js';
 import { TrendingTokensTool } from './trending-tokens.js';
+import { CryptoChatTool } from './crypto-chat.js';
+import { ToolRegistry } from './registry.js';
+
+export { ToolRegistry } from './registry.js';
+export { SmitheryTool } from './smithery-tool.js';
+export { ProviderChainTool, createProviderResolver, loadToolChains, isChainProvider, isEmptyResult, TOOL_CHAINS } from './provider-chain.js';
+export { BraveSearchTool, RugcheckTool, WalletBalanceTool, TrendingTokensTool, CryptoChatTool };
+
+/**
+ * Create a registry holding the built-in AgentHustle tools
+ * @param {Object} config - Shared tool configuration
+ * @param {HustleIncognitoClient} config.client - AgentHustle client
+ * @param {string} config.vaultId - Vault ID used for AgentHustle calls
+ * @param {Upstreams} [config.upstreams] - Rate limiters for upstream APIs
+ * @returns {ToolRegistry} Registry with the built-in tools
+ */
+export function createToolRegistry(config) {
+  return new ToolRegistry()
+    .register(new RugcheckTool(config))
+    .register(new TrendingTokensTool(config))
+    .register(new WalletBalanceTool(config))
+    .register(new CryptoChatTool(config));
+}
 
 /**
- * Setup and initialize all available tools
- * @param {MCPClient} mcpClient - MCP client instance
- * @returns {Promise<Array>} List of initialized tools
+ * Fetch the tools offered by the server behind an MCP client
+ * @param {MCPClient|NativeMCPClient} mcpClient - MCP client instance
+ * @returns {Promise<Array>} Tool descriptions ({ name, description, parameters, source })
  */
 export async function setupTools(mcpClient) {
   // Check MCP server availability
   const isServerAvailable = await mcpClient.isAvailable();
   if (!isServerAvailable) {
-    throw new Error('MCP server is not available');
+    throw new Error(`${mcpClient.describe()} is not available`);
   }
 
-  // Initialize tool instances with their canonical names
-  const tools = [
-    { instance: new BraveSearchTool(), name: 'brave-search' },
-    { instance: new RugcheckTool(), name: 'rugcheck' },
-    { instance: new WalletBalanceTool(), name: 'wallet-balance' },
-    { instance: new TrendingTokensTool(), name: 'trending-tokens' }
-  ];
-
-  try {
-    // Fetch tool configurations from server
-    const serverTools = await mcpClient.listTools();
-
-    // Map server configurations to tool instances
-    return tools
-      .map(tool => {
-        const serverTool = serverTools.find(t => t.name === tool.name);
-        if (serverTool) {
-          return {
-            ...tool.instance,
-            ...serverTool,
-            name: tool.name, // Ensure the name is preserved
-            isAvailable: () => true // Mark as available if we found a server match
-          };
-        }
-        return null;
-      })
-      .filter(Boolean); // Remove any tools that weren't found on the server
-  } catch (error) {
-    console.error('Error setting up tools:', error);
-    return []; // Return empty array if tool setup fails
-  }
-} 
\ No newline at end of file
+  // The server already resolves names, schemas and sources (local vs Smithery)
+  return mcpClient.listTools();
+}
@@ -0,0 +1,436 @@
+// Logical tools backed by an ordered list of providers
+import fs from 'fs';
+import path from 'path';
+import { validateParams, ValidationError } from '../utils/schema-validator.js';
+import { runWithTimeout, TimeoutError } from '../utils/timeout.js';
+import { callUpstream, RateLimitError } from '../utils/rate-limiter.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child('provider-chain');
+
+// Outcomes that move on to the next provider unless a chain says otherwise
+export const DEFAULT_FALL_THROUGH = ['error', 'timeout', 'empty'];
+export const DEFAULT_PROVIDER_TIMEOUT_MS = 15000;
+
+// Default chains, keyed by the tool name they are registered under. Providers are tried in order:
+//   { type: 'smithery', tool, server? }  tool on a connected Smithery server
+//   { type: 'local', tool }              local tool class (e.g. BraveSearchTool)
+//   { type: 'hustle', tool, prompt }     AgentHustle headless tool; prompt may use {param} placeholders
+//   { type: 'fixture', file }            recorded JSON response
+export const TOOL_CHAINS = {
+  'brave-search': {
+    providers: [
+      { type: 'smithery', tool: 'brave_web_search' },
+      { type: 'local', tool: 'brave-search' }
+    ]
+  }
+};
+
+/**
+ * Check whether a Smithery tool is a provider in one of the chains
+ * @param {Object<string, Object>} chains - Chains keyed by tool name
+ * @param {Object} tool - Smithery tool with remoteName and server
+ * @returns {boolean}
+ */
+export function isChainProvider(chains, tool) {
+  return Object.values(chains).some(chain => chain.providers.some(spec =>
+    spec.type === 'smithery' && spec.tool === tool.remoteName && (!spec.server || spec.server === tool.server)
+  ));
+}
+
+/**
+ * Load the provider chains. Chains from the JSON file named by TOOL_CHAINS_CONFIG
+ * (default: tool-chains.json) replace the default chain of the same name.
+ * @param {Object} [env] - Environment variables
+ * @returns {Object<string, Object>} Chains keyed by tool name
+ */
+export function loadToolChains(env = process.env) {
+  const chains = { ...TOOL_CHAINS };
+
+  const configPath = env.TOOL_CHAINS_CONFIG || 'tool-chains.json';
+  if (fs.existsSync(configPath)) {
+    try {
+      const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      Object.assign(chains, fileConfig.chains || fileConfig);
+    } catch (error) {
+      throw new Error(`Invalid tool chain config in ${configPath}: ${error.message}`);
+    }
+  } else if (env.TOOL_CHAINS_CONFIG) {
+    throw new Error(`Tool chain config file not found: ${configPath}`);
+  }
+
+  for (const [name, chain] of Object.entries(chains)) {
+    if (!Array.isArray(chain.providers) || chain.providers.length === 0) {
+      throw new Error(`Tool chain ${name} needs at least one provider`);
+    }
+  }
+  return chains;
+}
+
+/**
+ * Check whether a tool result carries no data
+ * @param {any} result - Tool result
+ * @returns {boolean}
+ */
+export function isEmptyResult(result) {
+  if (result === null || result === undefined) return true;
+  if (Array.isArray(result)) return result.length === 0;
+  if (typeof result === 'string') return result.trim() === '';
+  if (Array.isArray(result.results)) return result.results.length === 0;
+  if (Array.isArray(result.tokens)) return result.tokens.length === 0;
+  if (typeof result.output === 'string') return result.output.trim() === '';
+  return false;
+}
+
+/**
+ * Fill {param} placeholders in a prompt template
+ * @param {string} template - e.g. "Search the web for {query}"
+ * @param {Object} params - Tool parameters
+ * @returns {string} Prompt
+ */
+function renderPrompt(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+export class HustleToolProvider {
+  /**
+   * @param {Object} spec - Provider spec: { tool, prompt }
+   * @param {Object} config - Shared tool configuration
+   * @param {HustleIncognitoClient} config.client - AgentHustle client
+   * @param {string} config.vaultId - Vault ID used for headless chats
+   * @param {Upstreams} [config.upstreams] - Rate limiters for upstream APIs
+   */
+  constructor(spec, config) {
+    if (!spec.tool || !spec.prompt) {
+      throw new Error('A hustle provider needs a tool and a prompt');
+    }
+    this.name = spec.tool;
+    this.prompt = spec.prompt;
+    this.source = 'hustle';
+    this.client = config.client;
+    this.vaultId = config.vaultId;
+    this.upstream = config.upstreams?.get('hustle');
+  }
+
+  /**
+   * Check if the provider is available (has a client and vault)
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return Boolean(this.client && this.vaultId);
+  }
+
+  /**
+   * Headless tools take whatever the chain's schema allows
+   * @returns {undefined}
+   */
+  getParameters() {
+    return undefined;
+  }
+
+  /**
+   * Ask AgentHustle to run its tool
+   * @param {Object} params - Tool parameters
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Stops waiting for the rate limiter. It cannot abort a request
+   * already sent: headlessChat() takes no signal, so that request runs on and its answer is dropped
+   * @returns {Promise<Object>} First tool result
+   */
+  async execute(params, options = {}) {
+    const response = await callUpstream(this.upstream, () => this.client.headlessChat(
+      renderPrompt(this.prompt, params),
+      {
+        [this.name]: async (p) => p
+      },
+      { vaultId: this.vaultId }
+    ), { signal: options.signal });
+
+    if (!response.toolResults?.length) {
+      throw new Error(`AgentHustle did not run ${this.name}`);
+    }
+    return response.toolResults[0];
+  }
+}
+
+export class FixtureProvider {
+  /**
+   * @param {Object} spec - Provider spec: { file }. The file holds a result, or an array of
+   * { params, result } entries where the first entry whose params all match is used
+   * (an entry without params matches anything).
+   */
+  constructor(spec) {
+    if (!spec.file) {
+      throw new Error('A fixture provider needs a file');
+    }
+    this.name = path.basename(spec.file);
+    this.file = spec.file;
+    this.source = 'fixture';
+  }
+
+  /**
+   * Check if the provider is available (the fixture file exists)
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return fs.existsSync(this.file);
+  }
+
+  /**
+   * Fixtures accept any parameters
+   * @returns {undefined}
+   */
+  getParameters() {
+    return undefined;
+  }
+
+  /**
+   * Replay the recorded response for the given parameters
+   * @param {Object} params - Tool parameters
+   * @returns {Promise<Object>} Recorded result
+   */
+  async execute(params) {
+    const recorded = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    if (!Array.isArray(recorded)) {
+      return recorded;
+    }
+
+    const entry = recorded.find(candidate =>
+      Object.entries(candidate.params || {}).every(([name, value]) => params[name] === value)
+    );
+    if (!entry) {
+      throw new Error(`No recorded response in ${this.file} matches these parameters`);
+    }
+    return entry.result;
+  }
+}
+
+/**
+ * Create the function that turns provider specs into providers
+ * @param {Object} config - Provider sources
+ * @param {Function} config.smitheryTools - () => iterable of registered SmitheryTool instances
+ * @param {Map<string, Object>} config.localTools - Local tool instances keyed by name
+ * @param {HustleIncognitoClient} config.client - AgentHustle client
+ * @param {string} config.vaultId - Vault ID used for headless chats
+ * @param {Upstreams} [config.upstreams] - Rate limiters for upstream APIs
+ * @returns {Function} (spec) => { id, provider } or null when the provider does not exist (yet)
+ */
+export function createProviderResolver(config) {
+  const built = new Map();
+
+  return spec => {
+    switch (spec.type) {
+      case 'smithery': {
+        const tool = [...config.smitheryTools()].find(candidate =>
+          candidate.remoteName === spec.tool && (!spec.server || candidate.server === spec.server)
+        );
+        return tool ? { id: `smithery:${tool.server}`, provider: tool } : null;
+      }
+
+      case 'local': {
+        const tool = config.localTools.get(spec.tool);
+        return tool ? { id: `local:${tool.name}`, provider: tool } : null;
+      }
+
+      case 'hustle':
+      case 'fixture': {
+        if (!built.has(spec)) {
+          built.set(spec, spec.type === 'hustle'
+            ? new HustleToolProvider(spec, config)
+            : new FixtureProvider(spec));
+        }
+        const provider = built.get(spec);
+        return { id: `${spec.type}:${provider.name}`, provider };
+      }
+
+      default:
+        throw new Error(`Unknown provider type: ${spec.type}`);
+    }
+  };
+}
+
+/**
+ * Prepare parameters for one provider: keep the properties its schema declares,
+ * then apply its defaults and coercion
+ * @param {Object} provider - Provider
+ * @param {Object} params - Parameters validated against the chain's schema
+ * @returns {Object} Provider parameters
+ */
+function paramsFor(provider, params) {
+  const schema = provider.getParameters();
+  if (!schema?.properties) {
+    return params;
+  }
+
+  const declared = Object.fromEntries(
+    Object.entries(params).filter(([name]) => name in schema.properties)
+  );
+  const { valid, errors, value } = validateParams(schema, declared, { coerce: true });
+  if (!valid) {
+    throw new ValidationError(errors, provider.name);
+  }
+  return value;
+}
+
+/**
+ * Merge provider schemas into one the whole chain accepts: every property some
+ * provider declares (the first declaration wins), required only where every provider requires it
+ * @param {Array<Object>} schemas - Provider parameter schemas, in chain order
+ * @returns {Object} Merged schema
+ */
+function mergeSchemas(schemas) {
+  const properties = {};
+  for (const schema of schemas) {
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      properties[name] = properties[name] || property;
+    }
+  }
+
+  const required = Object.keys(properties).filter(name =>
+    schemas.length > 0 && schemas.every(schema => (schema.required || []).includes(name))
+  );
+  return { type: 'object', ...(required.length > 0 && { required }), properties };
+}
+
+export class ProviderChainTool {
+  /**
+   * @param {string} name - Name the tool is registered under
+   * @param {Object} chain - Chain config
+   * @param {Array<Object>} chain.providers - Provider specs, tried in order
+   * @param {string} [chain.description] - Tool description (default: the first provider's)
+   * @param {Object} [chain.parameters] - Parameters schema (default: the first provider's)
+   * @param {Array<string>} [chain.fallThrough] - Outcomes that move on to the next provider:
+   * 'error', 'timeout' and/or 'empty'
+   * @param {number} [chain.timeoutMs] - Time limit per provider
+   * @param {Function} resolveProvider - See createProviderResolver()
+   */
+  constructor(name, chain, resolveProvider) {
+    this.name = name;
+    this.chain = chain;
+    this.fallThrough = chain.fallThrough || DEFAULT_FALL_THROUGH;
+    this.timeoutMs = chain.timeoutMs ?? DEFAULT_PROVIDER_TIMEOUT_MS;
+    this.resolveProvider = resolveProvider;
+  }
+
+  /**
+   * Resolve the providers that currently exist, in chain order
+   * @returns {Array<{id: string, provider: Object}>}
+   */
+  providers() {
+    return this.chain.providers.map(this.resolveProvider).filter(Boolean);
+  }
+
+  /**
+   * The provider that would answer right now
+   * @returns {Object|undefined}
+   */
+  activeProvider() {
+    return this.providers().find(({ provider }) => provider.isAvailable())?.provider;
+  }
+
+  get description() {
+    return this.chain.description || this.activeProvider()?.description || this.providers()[0]?.provider.description;
+  }
+
+  get source() {
+    return this.activeProvider()?.source;
+  }
+
+  /**
+   * Check if any provider can answer
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return Boolean(this.activeProvider());
+  }
+
+  /**
+   * Get tool parameters schema: the chain's own, or the providers' schemas merged
+   * @returns {Object}
+   */
+  getParameters() {
+    return this.chain.parameters ||
+      mergeSchemas(this.providers().map(({ provider }) => provider.getParameters()).filter(Boolean));
+  }
+
+  /**
+   * Try each provider in turn until one answers
+   * @param {Object} params - Tool parameters
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Aborts the running provider and stops the chain
+   * @returns {Promise<Object>} Result of the provider that answered, with source set to its id
+   * @throws {Error} When no provider answered, with status 503 if none could run
+   * and 429 if every one that ran was rate limited
+   */
+  async execute(params, options = {}) {
+    const attempts = [];
+    const failures = [];
+    let emptyAnswer = null;
+
+    for (const { id, provider } of this.providers()) {
+      if (!provider.isAvailable()) {
+        attempts.push({ provider: id, outcome: 'unavailable' });
+        continue;
+      }
+
+      try {
+        const result = await runWithTimeout(
+          signal => provider.execute(paramsFor(provider, params), { signal }),
+          { timeoutMs: this.timeoutMs, signal: options.signal, label: `${this.name} via ${id}` }
+        );
+
+        if (this.fallThrough.includes('empty') && isEmptyResult(result)) {
+          log.warn('Provider returned nothing, trying the next one', { tool: this.name, provider: id });
+          attempts.push({ provider: id, outcome: 'empty' });
+          emptyAnswer = emptyAnswer || { id, result };
+          continue;
+        }
+        return this.tag(result, id, attempts);
+      } catch (error) {
+        // The whole call was cancelled or ran out of time: no point trying the next provider
+        if (options.signal?.aborted) {
+          throw error;
+        }
+        const outcome = error instanceof TimeoutError ? 'timeout' : 'error';
+        if (!this.fallThrough.includes(outcome)) {
+          throw error;
+        }
+        log.warn('Provider failed, trying the next one', { tool: this.name, provider: id, outcome, error });
+        attempts.push({ provider: id, outcome, error: error.message });
+        failures.push(error);
+      }
+    }
+
+    // Every provider came back empty (or failed): an empty answer is still an answer
+    if (emptyAnswer) {
+      return this.tag(emptyAnswer.result, emptyAnswer.id, attempts.filter(attempt => attempt.provider !== emptyAnswer.id));
+    }
+
+    const tried = attempts.map(attempt => `${attempt.provider} ${attempt.outcome}${attempt.error ? ` (${attempt.error})` : ''}`);
+    const error = new Error(`No provider could run ${this.name}: ${tried.join(', ') || 'no providers available'}`);
+    if (failures.length === 0) {
+      error.status = 503;
+    } else if (failures.every(failure => failure instanceof RateLimitError)) {
+      // Every provider that ran was rate limited: the caller can retry once the first one frees up
+      error.status = 429;
+      const delays = failures.map(failure => failure.retryAfterMs).filter(delay => delay !== undefined);
+      error.retryAfterMs = delays.length > 0 ? Math.min(...delays) : undefined;
+    }
+    throw error;
+  }
+
+  /**
+   * Report which provider answered, and which were passed over
+   * @param {any} result - Provider result
+   * @param {string} id - Provider id, e.g. smithery:brave-search or local:brave-search
+   * @param {Array<Object>} attempts - Providers tried before it
+   * @returns {Object} Tagged result
+   */
+  tag(result, id, attempts) {
+    const body = result && typeof result === 'object' && !Array.isArray(result) ? result : { output: result };
+    return {
+      ...body,
+      source: id,
+      ...(attempts.length > 0 && { fallbacks: attempts })
+    };
+  }
+}
@@ -0,0 +1,140 @@
+// Tool registry shared by the server endpoints
+import { validateParams, ValidationError } from '../utils/schema-validator.js';
+
+/**
+ * Describe a tool in the format returned by /api/tools/list
+ * @param {Object} tool - Tool instance
+ * @returns {Object} Tool description
+ */
+function describeTool(tool) {
+  return {
+    name: tool.name,
+    description: tool.description,
+    parameters: tool.getParameters(),
+    ...(tool.source && { source: tool.source })
+  };
+}
+
+export class UnknownToolError extends Error {
+  /**
+   * @param {string} name - Tool name that is not registered
+   */
+  constructor(name) {
+    super(`Unknown tool: ${name}`);
+    this.name = 'UnknownToolError';
+    this.status = 404;
+  }
+}
+
+export class ToolRegistry {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Register a tool. Registering a name twice replaces the earlier tool.
+   * @param {Object} tool - Tool with name, description, getParameters() and execute()
+   * @param {Object} [options] - Registration options
+   * @param {Function} [options.visible] - Predicate deciding whether the tool is listed
+   * @returns {ToolRegistry} The registry, for chaining
+   */
+  register(tool, options = {}) {
+    if (!tool?.name || typeof tool.execute !== 'function' || typeof tool.getParameters !== 'function') {
+      throw new Error('A tool needs a name, getParameters() and execute()');
+    }
+
+    this.entries.set(tool.name, {
+      tool,
+      visible: options.visible || (() => true)
+    });
+    return this;
+  }
+
+  /**
+   * Remove a tool from the registry
+   * @param {string} name - Tool name
+   * @returns {boolean} True if a tool was removed
+   */
+  unregister(name) {
+    return this.entries.delete(name);
+  }
+
+  /**
+   * Look up a tool by name
+   * @param {string} name - Tool name
+   * @returns {Object|undefined} Tool instance
+   */
+  get(name) {
+    return this.entries.get(name)?.tool;
+  }
+
+  /**
+   * Look up a tool by name, failing if it is not registered
+   * @param {string} name - Tool name
+   * @returns {Object} Tool instance
+   * @throws {UnknownToolError} If no tool has that name
+   */
+  require(name) {
+    const tool = this.get(name);
+    if (!tool) {
+      throw new UnknownToolError(name);
+    }
+    return tool;
+  }
+
+  /**
+   * Check whether a tool is registered
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  /**
+   * Get the names of all registered tools
+   * @returns {Array<string>} Tool names
+   */
+  names() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * List the tools that are currently available and visible
+   * @returns {Array<Object>} Tool descriptions
+   */
+  list() {
+    return [...this.entries.values()]
+      .filter(({ tool, visible }) => tool.isAvailable?.() !== false && visible())
+      .map(({ tool }) => describeTool(tool));
+  }
+
+  /**
+   * Validate parameters against a tool's schema and fill in defaults
+   * @param {string} name - Tool name
+   * @param {Object} params - Tool parameters
+   * @returns {Object} Validated parameters
+   * @throws {UnknownToolError} If no tool has that name
+   * @throws {ValidationError} If the parameters violate the schema
+   */
+  validate(name, params = {}) {
+    const { valid, errors, value } = validateParams(this.require(name).getParameters(), params, { coerce: true });
+    if (!valid) {
+      throw new ValidationError(errors, name);
+    }
+    return value;
+  }
+
+  /**
+   * Execute a registered tool. Callers validate the parameters first with validate().
+   * @param {string} name - Tool name
+   * @param {Object} params - Parameters returned by validate()
+   * @param {Object} [options] - Call options passed to the tool
+   * @param {AbortSignal} [options.signal] - Aborted when the call times out or is cancelled
+   * @returns {Promise<Object>} Tool result
+   * @throws {UnknownToolError} If no tool has that name
+   */
+  async execute(name, params = {}, options = {}) {
+    return this.require(name).execute(params, options);
+  }
+}
@@ -1,14 +1,27 @@
 // Rugcheck tool implementation
 import { HustleIncognitoClient } from 'hustle-incognito';
+import { callUpstream, RateLimitError } from '../utils/rate-limiter.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child('rugcheck');
 
 export class RugcheckTool {
-  constructor() {
+  /**
+   * @param {Object} [config] - Tool configuration
+   * @param {HustleIncognitoClient} [config.client] - Shared AgentHustle client
+   * @param {string} [config.vaultId] - Vault ID used for headless chats
+   * @param {Upstreams} [config.upstreams] - Rate limiters for upstream APIs
+   */
+  constructor(config = {}) {
     this.name = 'rugcheck';
     this.description = 'Perform a security analysis (rugcheck) on a specific token';
-    this.client = new HustleIncognitoClient({
+    this.source = 'hustle';
+    this.vaultId = config.vaultId || process.env.VAULT_ID;
+    this.upstream = config.upstreams?.get('hustle');
+    this.client = config.client || new HustleIncognitoClient({
       apiKey: process.env.HUSTLE_API_KEY,
       hustleApiUrl: process.env.HUSTLE_API_URL || 'https://agenthustle.ai',
-      debug: process.env.DEBUG === 'true'
+      debug: logger.isLevelEnabled('debug')
     });
   }
 
@@ -17,7 +30,7 @@ export class RugcheckTool {
    * @returns {boolean}
    */
   isAvailable() {
-    return Boolean(process.env.HUSTLE_API_KEY && process.env.VAULT_ID);
+    return Boolean(process.env.HUSTLE_API_KEY && this.vaultId);
   }
 
   /**
@@ -46,24 +59,27 @@ export class RugcheckTool {
   /**
    * Execute the rugcheck analysis
    * @param {Object} params - Analysis parameters
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Stops waiting for the rate limiter. It cannot abort a request
+   * already sent: headlessChat() takes no signal, so that request runs on and its answer is dropped
    * @returns {Promise<Object>} Analysis results
    */
-  async execute(params) {
+  async execute(params, options = {}) {
+    log.debug('Checking token', { token: params.token });
     try {
-      const response = await this.client.headlessChat(
+      const response = await callUpstream(this.upstream, () => this.client.headlessChat(
         `Run a rugcheck for ${params.token}`,
         {
           'rugcheck': async (p) => p
         },
-        { vaultId: process.env.VAULT_ID }
-      );
+        { vaultId: this.vaultId }
+      ), { signal: options.signal });
 
-      const result = response.toolResults[0] || {
-        token: params.token,
-        score: 0,
-        risk: 'unknown',
-        message: 'Unable to perform rugcheck'
-      };
+      // An 'unknown' risk answer would be cached for the full TTL, so fail instead
+      const result = response.toolResults[0];
+      if (!result) {
+        throw new Error('no analysis returned');
+      }
 
       return {
         token: params.token,
@@ -71,6 +87,10 @@ export class RugcheckTool {
         ...result
       };
     } catch (error) {
+      // A 429 from the limiter stays a 429 at the server
+      if (error instanceof RateLimitError) {
+        throw error;
+      }
       throw new Error(`Rugcheck analysis failed: ${error.message}`);
     }
   }
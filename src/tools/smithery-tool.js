@@ -0,0 +1,74 @@
+// Smithery hosted tool wrapper
+import { RESULT_PARSERS, parseTextResult } from '../utils/response-parsers.js';
+import { CircuitOpenError } from '../utils/circuit-breaker.js';
+import { RateLimitError } from '../utils/rate-limiter.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child('smithery');
+
+export class SmitheryTool {
+  /**
+   * @param {Object} definition - Tool definition from SmitheryManager.listTools()
+   * @param {Object} options - Tool options
+   * @param {SmitheryClient} options.client - Client connected to the owning Smithery server
+   * @param {Function} [options.parse] - Converts the MCP result into our result shape
+   */
+  constructor(definition, options) {
+    this.name = definition.name;
+    this.remoteName = definition.originalName || definition.name;
+    this.server = definition.server;
+    this.description = definition.description;
+    this.inputSchema = definition.inputSchema;
+    this.source = 'smithery';
+    this.client = options.client;
+    this.parse = options.parse || RESULT_PARSERS[this.remoteName] || parseTextResult;
+  }
+
+  /**
+   * Check if the owning Smithery server is connected
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.client.isAvailable();
+  }
+
+  /**
+   * Get tool parameters schema
+   * @returns {Object}
+   */
+  getParameters() {
+    return this.inputSchema;
+  }
+
+  /**
+   * Execute the tool on Smithery. Fallbacks to other providers are declared
+   * as provider chains (see provider-chain.js).
+   * @param {Object} params - Tool parameters
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Cancels the request on the Smithery server
+   * @returns {Promise<Object>} Tool result
+   */
+  async execute(params, options = {}) {
+    // While the server's circuit is open calls fail fast; the breaker probes
+    // the server in the background instead of reconnecting here
+    if (!this.client.isAvailable()) {
+      throw new CircuitOpenError(`Smithery server ${this.server}`, this.client.breaker.lastError);
+    }
+
+    log.debug('Calling Smithery tool', { tool: this.name, server: this.server, params });
+    try {
+      const result = await this.client.callTool(this.remoteName, params, { signal: options.signal });
+      return {
+        ...this.parse(result, params),
+        source: 'smithery'
+      };
+    } catch (error) {
+      log.error('Smithery tool failed', { tool: this.name, server: this.server, error });
+      // Rate limits (429) and a circuit that opened mid-call (503) keep their status
+      if (error instanceof RateLimitError || error instanceof CircuitOpenError) {
+        throw error;
+      }
+      throw new Error(`Smithery ${this.name} failed: ${error.message}`);
+    }
+  }
+}
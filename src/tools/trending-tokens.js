@@ -1,10 +1,28 @@
 // TrendingTokens tool implementation
-import axios from 'axios';
+import { HustleIncognitoClient } from 'hustle-incognito';
+import { callUpstream } from '../utils/rate-limiter.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child('trending-tokens');
 
 export class TrendingTokensTool {
-  constructor() {
+  /**
+   * @param {Object} [config] - Tool configuration
+   * @param {HustleIncognitoClient} [config.client] - Shared AgentHustle client
+   * @param {string} [config.vaultId] - Vault ID used for headless chats
+   * @param {Upstreams} [config.upstreams] - Rate limiters for upstream APIs
+   */
+  constructor(config = {}) {
     this.name = 'trending-tokens';
     this.description = 'Get trending tokens on a specific blockchain';
+    this.source = 'hustle';
+    this.vaultId = config.vaultId || process.env.VAULT_ID;
+    this.upstream = config.upstreams?.get('hustle');
+    this.client = config.client || new HustleIncognitoClient({
+      apiKey: process.env.HUSTLE_API_KEY,
+      hustleApiUrl: process.env.HUSTLE_API_URL || 'https://agenthustle.ai',
+      debug: logger.isLevelEnabled('debug')
+    });
   }
 
   /**
@@ -49,59 +67,26 @@ export class TrendingTokensTool {
   /**
    * Execute the trending tokens search
    * @param {Object} params - Search parameters
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Stops waiting for the rate limiter. It cannot abort a request
+   * already sent: headlessChat() takes no signal, so that request runs on and its answer is dropped
    * @returns {Promise<Object>} Trending tokens information
    */
-  async execute(params) {
-    try {
-      // Simulate trending tokens search
-      const trendingData = await this.getTrendingTokens(
-        params.chain || 'solana',
-        params.limit || 10,
-        params.timeframe || '24h'
-      );
-      
-      return {
-        chain: params.chain,
-        timeframe: params.timeframe,
-        timestamp: new Date().toISOString(),
-        tokens: trendingData
-      };
-    } catch (error) {
-      throw new Error(`Trending tokens search failed: ${error.message}`);
-    }
-  }
+  async execute(params, options = {}) {
+    log.debug('Fetching trending tokens', { chain: params.chain });
 
-  /**
-   * Get trending tokens (simulated)
-   * @private
-   */
-  async getTrendingTokens(chain, limit, timeframe) {
-    // Simulate API call delay
-    await new Promise(resolve => setTimeout(resolve, 1500));
+    const response = await callUpstream(this.upstream, () => this.client.headlessChat(
+      `Show me trending tokens on ${params.chain}`,
+      {
+        'birdeye-trending': async (p) => p
+      },
+      { vaultId: this.vaultId }
+    ), { signal: options.signal });
 
-    // Sample token data
-    const tokenPool = [
-      { symbol: 'SOL', name: 'Solana' },
-      { symbol: 'BONK', name: 'Bonk' },
-      { symbol: 'RAY', name: 'Raydium' },
-      { symbol: 'SAMO', name: 'Samoyedcoin' },
-      { symbol: 'DUST', name: 'Dust Protocol' },
-      { symbol: 'PYTH', name: 'Pyth Network' },
-      { symbol: 'ORCA', name: 'Orca' },
-      { symbol: 'MNGO', name: 'Mango Markets' },
-      { symbol: 'ATLAS', name: 'Star Atlas' },
-      { symbol: 'COPE', name: 'Cope' }
-    ];
-
-    // Generate random trending data
-    return tokenPool.slice(0, limit).map(token => ({
-      ...token,
-      price: Math.random() * 100,
-      priceChange: (Math.random() * 40) - 20, // -20% to +20%
-      volume: Math.random() * 1000000,
-      marketCap: Math.random() * 1000000000,
-      socialScore: Math.floor(Math.random() * 100),
-      trendingRank: Math.floor(Math.random() * 100)
-    }));
+    // Throw rather than answer with an empty list, so the outage is not cached
+    if (!response.toolResults[0]) {
+      throw new Error('Unable to fetch trending tokens');
+    }
+    return response.toolResults[0];
   }
-} 
\ No newline at end of file
+}
@@ -1,10 +1,28 @@
 // WalletBalance tool implementation
-import axios from 'axios';
+import { HustleIncognitoClient } from 'hustle-incognito';
+import { callUpstream } from '../utils/rate-limiter.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child('wallet-balance');
 
 export class WalletBalanceTool {
-  constructor() {
+  /**
+   * @param {Object} [config] - Tool configuration
+   * @param {HustleIncognitoClient} [config.client] - Shared AgentHustle client
+   * @param {string} [config.vaultId] - Vault ID used for headless chats
+   * @param {Upstreams} [config.upstreams] - Rate limiters for upstream APIs
+   */
+  constructor(config = {}) {
     this.name = 'wallet-balance';
     this.description = 'Check wallet balance for a specific address';
+    this.source = 'hustle';
+    this.vaultId = config.vaultId || process.env.VAULT_ID;
+    this.upstream = config.upstreams?.get('hustle');
+    this.client = config.client || new HustleIncognitoClient({
+      apiKey: process.env.HUSTLE_API_KEY,
+      hustleApiUrl: process.env.HUSTLE_API_URL || 'https://agenthustle.ai',
+      debug: logger.isLevelEnabled('debug')
+    });
   }
 
   /**
@@ -41,50 +59,26 @@ export class WalletBalanceTool {
   /**
    * Execute the wallet balance check
    * @param {Object} params - Check parameters
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Stops waiting for the rate limiter. It cannot abort a request
+   * already sent: headlessChat() takes no signal, so that request runs on and its answer is dropped
    * @returns {Promise<Object>} Balance information
    */
-  async execute(params) {
-    try {
-      // Simulate wallet balance check
-      const balanceInfo = await this.checkBalance(params.address, params.chain);
-      return {
-        address: params.address,
-        chain: params.chain,
-        ...balanceInfo
-      };
-    } catch (error) {
-      throw new Error(`Wallet balance check failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Check wallet balance (simulated)
-   * @private
-   */
-  async checkBalance(address, chain) {
-    // Simulate API call delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    // Simulate balance data
-    const tokens = [
-      { symbol: 'SOL', balance: Math.random() * 100 },
-      { symbol: 'USDC', balance: Math.random() * 1000 },
-      { symbol: 'RAY', balance: Math.random() * 500 }
-    ];
+  async execute(params, options = {}) {
+    log.debug('Checking wallet balance', { address: params.address });
 
-    const nfts = [
-      { collection: 'DeGods', tokenId: '#1234' },
-      { collection: 'Okay Bears', tokenId: '#5678' }
-    ];
+    const response = await callUpstream(this.upstream, () => this.client.headlessChat(
+      `Check wallet balance for ${params.address}`,
+      {
+        'wallet-balance': async (p) => p
+      },
+      { vaultId: this.vaultId }
+    ), { signal: options.signal });
 
-    return {
-      nativeBalance: Math.random() * 50,
-      tokens: tokens.map(token => ({
-        ...token,
-        value: token.balance * (Math.random() * 10)
-      })),
-      nfts: Math.random() > 0.5 ? nfts : [],
-      lastUpdated: new Date().toISOString()
-    };
+    // Throw rather than answer with no balances, so the outage is not cached
+    if (!response.toolResults[0]) {
+      throw new Error(`Unable to fetch wallet balance for ${params.address}`);
+    }
+    return response.toolResults[0];
   }
-} 
\ No newline at end of file
+}
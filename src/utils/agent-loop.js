@@ -0,0 +1,157 @@
+// Multi-step agent loop: reply → run tools → feed results back, until the model
+// answers without tools or a limit is reached
+
+export const DEFAULT_AGENT_LIMITS = {
+  // Rounds of tool calls per question
+  maxIterations: 5,
+  // Tool calls per question, across all rounds
+  maxToolCalls: 20,
+  // Wall-clock time per question, checked before each round of tools
+  maxDurationMs: 5 * 60 * 1000
+};
+
+// Why the loop stopped, as recorded in the trace
+export const STOP_REASONS = {
+  answered: 'The agent answered without calling more tools',
+  max_iterations: 'Reached the limit on rounds of tool calls',
+  max_tool_calls: 'Reached the limit on tool calls',
+  max_duration: 'Reached the time limit',
+  cancelled: 'Cancelled by the user',
+  error: 'The agent could not be reached'
+};
+
+/**
+ * Read agent loop limits from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {{maxIterations: number, maxToolCalls: number, maxDurationMs: number}}
+ */
+export function loadAgentLimits(env = process.env) {
+  const positive = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return number > 0 ? number : fallback;
+  };
+
+  return {
+    maxIterations: positive(env.AGENT_MAX_ITERATIONS, DEFAULT_AGENT_LIMITS.maxIterations),
+    maxToolCalls: positive(env.AGENT_MAX_TOOL_CALLS, DEFAULT_AGENT_LIMITS.maxToolCalls),
+    maxDurationMs: positive(env.AGENT_MAX_DURATION_MS, DEFAULT_AGENT_LIMITS.maxDurationMs)
+  };
+}
+
+export class AgentLoop {
+  /**
+   * @param {Object} options - Loop configuration
+   * @param {Function} options.reply - async (message, { step, final, remainingToolCalls, deadline }) =>
+   * { content, toolCalls, cancelled, error }; asks the model. `final` means tool calls in the answer will not be run;
+   * replies that start tools while streaming use the remaining budget to stay within the limits
+   * @param {Function} options.runTools - async (toolCalls, { step }) => tool results in call order
+   * @param {Function} options.followUp - (toolResults, { final, reason }) => next message for the model
+   * @param {Object} [options.limits] - See DEFAULT_AGENT_LIMITS
+   * @param {Function} [options.onStep] - (step) => void, called as each trace step is recorded
+   */
+  constructor(options) {
+    this.reply = options.reply;
+    this.runTools = options.runTools;
+    this.followUp = options.followUp;
+    this.limits = { ...DEFAULT_AGENT_LIMITS, ...options.limits };
+    this.onStep = options.onStep;
+  }
+
+  /**
+   * Answer a message, running tools for as many rounds as the model needs
+   * @param {Object} message - First message, e.g. { role: 'user', content }
+   * @returns {Promise<Object>} Trace: { startedAt, durationMs, iterations, toolCalls, stopReason, steps }
+   */
+  async run(message) {
+    const startedAt = Date.now();
+    const trace = { startedAt: new Date(startedAt).toISOString(), iterations: 0, toolCalls: 0, stopReason: null, steps: [] };
+    const record = step => {
+      trace.steps.push(step);
+      this.onStep?.(step);
+    };
+
+    let final = false;
+    for (let step = 1; ; step++) {
+      const replyStartedAt = Date.now();
+      const reply = await this.reply(message, {
+        step,
+        final,
+        remainingToolCalls: this.limits.maxToolCalls - trace.toolCalls,
+        deadline: startedAt + this.limits.maxDurationMs
+      });
+      const toolCalls = reply.toolCalls || [];
+      record({
+        step,
+        type: 'reply',
+        durationMs: Date.now() - replyStartedAt,
+        toolCalls: toolCalls.map(call => call.name),
+        ...(final && toolCalls.length > 0 && { ignoredToolCalls: toolCalls.length }),
+        ...(reply.error && { error: reply.error.message || String(reply.error) })
+      });
+
+      if (reply.cancelled || reply.error) {
+        trace.stopReason = reply.cancelled ? 'cancelled' : 'error';
+        break;
+      }
+      if (final) {
+        break;
+      }
+      if (toolCalls.length === 0) {
+        trace.stopReason = 'answered';
+        break;
+      }
+
+      // Limits are checked before each round so the model always gets to answer with what it has
+      const remaining = this.limits.maxToolCalls - trace.toolCalls;
+      if (Date.now() - startedAt >= this.limits.maxDurationMs || remaining <= 0) {
+        trace.stopReason = remaining <= 0 ? 'max_tool_calls' : 'max_duration';
+        record({ step, type: 'limit', reason: trace.stopReason, skippedToolCalls: toolCalls.length });
+        final = true;
+        message = this.followUp([], { final, reason: STOP_REASONS[trace.stopReason] });
+        continue;
+      }
+
+      const toolsStartedAt = Date.now();
+      const allowed = toolCalls.slice(0, remaining);
+      const toolResults = [
+        ...await this.runTools(allowed, { step }),
+        ...toolCalls.slice(remaining).map(call => ({
+          toolName: call.name,
+          success: false,
+          skipped: true,
+          error: `Not run: the limit of ${this.limits.maxToolCalls} tool calls was reached`
+        }))
+      ];
+      trace.iterations++;
+      trace.toolCalls += allowed.length;
+      record({
+        step,
+        type: 'tools',
+        durationMs: Date.now() - toolsStartedAt,
+        results: toolResults.map(result => ({
+          tool: result.toolName,
+          success: result.success,
+          ...(result.durationMs !== undefined && { durationMs: result.durationMs }),
+          ...(result.cancelled && { cancelled: true }),
+          ...(result.skipped && { skipped: true }),
+          ...(result.error && { error: result.error })
+        }))
+      });
+
+      if (toolResults.some(result => result.cancelled)) {
+        trace.stopReason = 'cancelled';
+      } else if (toolCalls.length > allowed.length || trace.toolCalls >= this.limits.maxToolCalls) {
+        trace.stopReason = 'max_tool_calls';
+      } else if (trace.iterations >= this.limits.maxIterations) {
+        trace.stopReason = 'max_iterations';
+      } else if (Date.now() - startedAt >= this.limits.maxDurationMs) {
+        trace.stopReason = 'max_duration';
+      }
+      final = trace.stopReason !== null;
+      message = this.followUp(toolResults, { final, reason: final ? STOP_REASONS[trace.stopReason] : undefined });
+    }
+
+    trace.durationMs = Date.now() - startedAt;
+    return trace;
+  }
+}
@@ -0,0 +1,144 @@
+// Approval policy for tool calls the agent makes: run them right away, ask the
+// user first, or never run them
+import fs from 'fs';
+
+export const APPROVAL_DECISIONS = ['auto', 'confirm', 'deny'];
+
+/**
+ * Check a rule's decision
+ * @param {string} decision - auto, confirm or deny
+ * @param {string} where - Where the rule came from, for the error message
+ * @returns {string} The decision
+ * @throws {Error} If the decision is unknown
+ */
+function checkDecision(decision, where) {
+  if (!APPROVAL_DECISIONS.includes(decision)) {
+    throw new Error(`Invalid approval "${decision}" in ${where} (use ${APPROVAL_DECISIONS.join(', ')})`);
+  }
+  return decision;
+}
+
+/**
+ * Load the project's approval rules. Reads the JSON file named by TOOL_APPROVALS_CONFIG
+ * (default: tool-approvals.json in the working directory), shaped like
+ * { "default": "auto", "rules": { "rugcheck": "auto", "source:smithery": "confirm" } },
+ * and TOOL_APPROVAL_DEFAULT for the decision when no rule matches.
+ * @param {Object} [env] - Environment variables
+ * @returns {{defaultDecision: string, rules: Object<string, string>}}
+ */
+export function loadApprovalRules(env = process.env) {
+  let fileConfig = {};
+  const configPath = env.TOOL_APPROVALS_CONFIG || 'tool-approvals.json';
+  if (fs.existsSync(configPath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid tool approval config in ${configPath}: ${error.message}`);
+    }
+  } else if (env.TOOL_APPROVALS_CONFIG) {
+    throw new Error(`Tool approval config file not found: ${configPath}`);
+  }
+
+  const rules = {};
+  for (const [pattern, decision] of Object.entries(fileConfig.rules || {})) {
+    rules[pattern] = checkDecision(decision, configPath);
+  }
+
+  return {
+    defaultDecision: checkDecision(env.TOOL_APPROVAL_DEFAULT || fileConfig.default || 'auto', 'the default approval'),
+    rules
+  };
+}
+
+/**
+ * Rank how specifically a rule pattern matches a tool: exact name, then the longest
+ * name prefix ("wallet-*"), then the tool's source ("source:smithery"), then "*"
+ * @param {string} pattern - Rule pattern
+ * @param {Object} tool - Tool with name and source
+ * @returns {number} Rank, or -1 if the pattern does not match
+ */
+function matchRank(pattern, tool) {
+  if (pattern === tool.name) {
+    return 3000;
+  }
+  if (pattern.endsWith('*') && pattern.length > 1 && tool.name.startsWith(pattern.slice(0, -1))) {
+    return 2000 + pattern.length;
+  }
+  if (pattern.startsWith('source:')) {
+    return pattern.slice('source:'.length) === (tool.source || 'local') ? 1000 : -1;
+  }
+  return pattern === '*' ? 0 : -1;
+}
+
+export class ApprovalPolicy {
+  /**
+   * @param {Object} [config] - Result of loadApprovalRules()
+   * @param {string} [config.defaultDecision='auto'] - Decision when no rule matches
+   * @param {Object} [config.rules] - Project rules: decisions by tool pattern
+   */
+  constructor(config = {}) {
+    this.defaultDecision = config.defaultDecision || 'auto';
+    this.projectRules = config.rules || {};
+    this.sessionRules = {};
+  }
+
+  /**
+   * Decide how a call to a tool is approved. Session rules take precedence over
+   * project rules; within each, the most specific pattern wins.
+   * @param {Object} tool - Tool with name and source
+   * @returns {{decision: string, rule: string|null, scope: string}} Decision and the rule that made it
+   */
+  decide(tool) {
+    for (const [scope, rules] of [['session', this.sessionRules], ['project', this.projectRules]]) {
+      let best = null;
+      for (const [pattern, decision] of Object.entries(rules)) {
+        const rank = matchRank(pattern, tool);
+        if (rank >= 0 && (!best || rank > best.rank)) {
+          best = { rank, pattern, decision };
+        }
+      }
+      if (best) {
+        return { decision: best.decision, rule: best.pattern, scope };
+      }
+    }
+    return { decision: this.defaultDecision, rule: null, scope: 'default' };
+  }
+
+  /**
+   * Set a rule for this session
+   * @param {string} pattern - Tool name, "prefix*", "source:<source>" or "*"
+   * @param {string} decision - auto, confirm or deny
+   */
+  setSessionRule(pattern, decision) {
+    this.sessionRules[pattern] = checkDecision(decision, 'the session rule');
+  }
+
+  /**
+   * Remove a session rule
+   * @param {string} pattern - Rule pattern
+   * @returns {boolean} Whether the rule existed
+   */
+  removeSessionRule(pattern) {
+    const existed = pattern in this.sessionRules;
+    delete this.sessionRules[pattern];
+    return existed;
+  }
+
+  /**
+   * Session rules, for saving with the session
+   * @returns {Object<string, string>}
+   */
+  toJSON() {
+    return { ...this.sessionRules };
+  }
+
+  /**
+   * Replace the session rules with saved ones, dropping any that are no longer valid
+   * @param {Object<string, string>} [rules] - Saved session rules
+   */
+  restore(rules = {}) {
+    this.sessionRules = Object.fromEntries(
+      Object.entries(rules).filter(([, decision]) => APPROVAL_DECISIONS.includes(decision))
+    );
+  }
+}
@@ -0,0 +1,107 @@
+// API key authentication for the tool server
+import crypto from 'crypto';
+import fs from 'fs';
+
+/**
+ * Hash an API key so keys are only compared as fixed-length digests
+ * @param {string} key - API key
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Load the API clients allowed to use the server.
+ * Reads the JSON file named by API_KEYS_CONFIG (default: api-keys.json) and the
+ * API_KEYS variable ("name=key,name=key", clients with access to every tool).
+ * @param {Object} [env] - Environment variables
+ * @returns {Array<Object>} Clients: { name, keyHash, tools, rateLimit, admin }
+ */
+export function loadApiClients(env = process.env) {
+  const clients = {};
+
+  const configPath = env.API_KEYS_CONFIG || 'api-keys.json';
+  if (fs.existsSync(configPath)) {
+    try {
+      const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      Object.assign(clients, fileConfig.clients || fileConfig);
+    } catch (error) {
+      throw new Error(`Invalid API key config in ${configPath}: ${error.message}`);
+    }
+  } else if (env.API_KEYS_CONFIG) {
+    throw new Error(`API key config file not found: ${configPath}`);
+  }
+
+  if (env.API_KEYS) {
+    for (const pair of env.API_KEYS.split(',')) {
+      const [name, ...key] = pair.split('=');
+      if (name.trim() && key.length) {
+        clients[name.trim()] = { key: key.join('=').trim() };
+      }
+    }
+  }
+
+  return Object.entries(clients).map(([name, client]) => {
+    if (!client.key && !client.keySha256) {
+      throw new Error(`API client ${name} needs a key or keySha256`);
+    }
+    if (client.keySha256 && !/^[0-9a-f]{64}$/i.test(client.keySha256)) {
+      throw new Error(`API client ${name} has an invalid keySha256 (expected 64 hex characters)`);
+    }
+    return {
+      name,
+      keyHash: client.keySha256 || hashApiKey(client.key),
+      tools: client.tools || ['*'],
+      rateLimit: client.rateLimit,
+      admin: client.admin === true
+    };
+  });
+}
+
+/**
+ * Check whether a client may use a tool
+ * @param {Object} client - Authenticated client
+ * @param {string} toolName - Tool name
+ * @returns {boolean}
+ */
+export function canUseTool(client, toolName) {
+  return client.tools.some(pattern =>
+    pattern === '*' ||
+    pattern === toolName ||
+    (pattern.endsWith('*') && Boolean(toolName?.startsWith(pattern.slice(0, -1))))
+  );
+}
+
+export class ApiKeyAuth {
+  /**
+   * @param {Array<Object>} clients - Clients from loadApiClients()
+   */
+  constructor(clients) {
+    this.clients = clients;
+  }
+
+  /**
+   * Authentication is only enforced when at least one key is configured
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.clients.length > 0;
+  }
+
+  /**
+   * Find the client a bearer token belongs to
+   * @param {string} token - Bearer token from the request
+   * @returns {Object|null} Client, or null if the token is unknown
+   */
+  authenticate(token) {
+    if (!token) {
+      return null;
+    }
+
+    const digest = Buffer.from(hashApiKey(token), 'hex');
+    return this.clients.find(client =>
+      crypto.timingSafeEqual(digest, Buffer.from(client.keyHash, 'hex'))
+    ) || null;
+  }
+}
@@ -0,0 +1,221 @@
+// Circuit breaker guarding calls to an upstream service
+import { logger } from './logger.js';
+
+const log = logger.child('circuit-breaker');
+
+export const CircuitState = {
+  CLOSED: 'closed', // Requests flow normally
+  OPEN: 'open', // Requests fail fast until a probe succeeds
+  HALF_OPEN: 'half-open' // A single trial request decides whether to close again
+};
+
+export class CircuitOpenError extends Error {
+  /**
+   * @param {string} name - Name of the circuit
+   * @param {Error} [lastError] - Failure that opened the circuit
+   */
+  constructor(name, lastError) {
+    super(`${name} is unavailable (circuit open${lastError ? `: ${lastError.message}` : ''})`);
+    this.name = 'CircuitOpenError';
+    this.status = 503;
+  }
+}
+
+/**
+ * Read breaker settings from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Settings that are set, as numbers
+ */
+export function loadBreakerOptions(env = process.env) {
+  const options = {};
+  if (!isNaN(parseInt(env.CIRCUIT_FAILURE_THRESHOLD, 10))) {
+    options.failureThreshold = parseInt(env.CIRCUIT_FAILURE_THRESHOLD, 10);
+  }
+  if (!isNaN(parseInt(env.CIRCUIT_RESET_TIMEOUT_MS, 10))) {
+    options.resetTimeoutMs = parseInt(env.CIRCUIT_RESET_TIMEOUT_MS, 10);
+  }
+  return options;
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} config - Breaker configuration
+   * @param {string} config.name - Name used in logs and errors
+   * @param {number} [config.failureThreshold=3] - Consecutive failures that open the circuit
+   * @param {number} [config.resetTimeoutMs=30000] - Time the circuit stays open before a probe
+   * @param {Function} [config.probe] - async () => void, run in the background to test recovery.
+   * Without a probe, the first request after the timeout is the trial.
+   * @param {Function} [config.isFailure] - (error) => boolean, errors that count against the upstream
+   * @param {Function} [config.onStateChange] - (from, to, reason) => void
+   */
+  constructor(config) {
+    this.name = config.name;
+    this.failureThreshold = config.failureThreshold || 3;
+    this.resetTimeoutMs = config.resetTimeoutMs || 30000;
+    this.probe = config.probe;
+    this.isFailure = config.isFailure || (() => true);
+    this.onStateChange = config.onStateChange;
+
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.lastError = null;
+    this.openedAt = null;
+    this.changedAt = Date.now();
+    this.trialInFlight = false;
+    this.probeTimer = null;
+  }
+
+  /**
+   * Check whether a request may be sent now
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === CircuitState.CLOSED) {
+      return true;
+    }
+    if (this.state === CircuitState.OPEN && !this.probe && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.transition(CircuitState.HALF_OPEN, 'reset timeout elapsed');
+    }
+    return this.state === CircuitState.HALF_OPEN && !this.probe && !this.trialInFlight;
+  }
+
+  /**
+   * Run a request through the breaker
+   * @param {Function} request - async () => result
+   * @returns {Promise<any>} Request result
+   * @throws {CircuitOpenError} When the circuit does not allow requests
+   */
+  async execute(request) {
+    if (!this.canRequest()) {
+      throw new CircuitOpenError(this.name, this.lastError);
+    }
+
+    const trial = this.state === CircuitState.HALF_OPEN;
+    if (trial) this.trialInFlight = true;
+    try {
+      const result = await request();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.recordFailure(error);
+      } else if (trial) {
+        // The upstream answered, so it is reachable again
+        this.recordSuccess();
+      }
+      throw error;
+    } finally {
+      if (trial) this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state !== CircuitState.CLOSED) {
+      this.transition(CircuitState.CLOSED, 'upstream recovered');
+    }
+  }
+
+  /**
+   * Record a failed request, opening the circuit once the threshold is reached
+   * @param {Error} error - The failure
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error;
+
+    if (this.state === CircuitState.HALF_OPEN) {
+      this.open(`trial failed: ${error.message}`);
+    } else if (this.state === CircuitState.CLOSED && this.failures >= this.failureThreshold) {
+      this.open(`${this.failures} consecutive failures, last: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open the circuit right away (e.g. when the upstream cannot be reached at all)
+   * @param {Error} error - The failure
+   */
+  trip(error) {
+    this.failures++;
+    this.lastError = error;
+    if (this.state !== CircuitState.OPEN) {
+      this.open(error.message);
+    }
+  }
+
+  /**
+   * Move to the open state and schedule the next probe
+   * @param {string} reason - Why the circuit opened
+   */
+  open(reason) {
+    this.openedAt = Date.now();
+    this.transition(CircuitState.OPEN, reason);
+    this.scheduleProbe();
+  }
+
+  /**
+   * Probe the upstream in the background once the reset timeout has passed
+   */
+  scheduleProbe() {
+    if (!this.probe) {
+      return;
+    }
+
+    clearTimeout(this.probeTimer);
+    this.probeTimer = setTimeout(async () => {
+      this.probeTimer = null;
+      this.transition(CircuitState.HALF_OPEN, 'probing upstream');
+      try {
+        await this.probe();
+        this.recordSuccess();
+      } catch (error) {
+        this.recordFailure(error);
+      }
+    }, this.resetTimeoutMs);
+    this.probeTimer.unref?.();
+  }
+
+  /**
+   * Change state and log the transition
+   * @param {string} to - New state
+   * @param {string} reason - Why the state changed
+   */
+  transition(to, reason) {
+    const from = this.state;
+    if (from === to) {
+      return;
+    }
+
+    this.state = to;
+    this.changedAt = Date.now();
+    log.log(to === CircuitState.OPEN ? 'warn' : 'info', 'Circuit state changed', { circuit: this.name, from, to, reason });
+    this.onStateChange?.(from, to, reason);
+  }
+
+  /**
+   * Describe the breaker for health checks
+   * @returns {Object} State, failure count, last error and next probe time
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastError: this.lastError?.message || null,
+      since: new Date(this.changedAt).toISOString(),
+      nextProbeAt: this.state === CircuitState.OPEN
+        ? new Date(this.openedAt + this.resetTimeoutMs).toISOString()
+        : null
+    };
+  }
+
+  /**
+   * Stop background probes
+   */
+  close() {
+    clearTimeout(this.probeTimer);
+    this.probeTimer = null;
+  }
+}
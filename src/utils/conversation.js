@@ -0,0 +1,134 @@
+// Conversation history for multi-turn chat
+import { logger } from './logger.js';
+
+const log = logger.child('conversation');
+
+/**
+ * Rough token estimate (about four characters per token)
+ * @param {Array<Object>} messages - Chat messages
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(messages) {
+  return Math.ceil(messages.reduce((total, message) => total + message.content.length, 0) / 4);
+}
+
+export class Conversation {
+  /**
+   * @param {Object} [config] - History configuration
+   * @param {number} [config.maxTurns=20] - Maximum number of turns sent to the model
+   * @param {number} [config.maxTokens=8000] - Estimated token budget for the history
+   * @param {Function} [config.summarize] - async (droppedMessages, previousSummary) => summary.
+   * When set, turns that fall out of the budget are summarized instead of discarded.
+   */
+  constructor(config = {}) {
+    this.maxTurns = config.maxTurns || 20;
+    this.maxTokens = config.maxTokens || 8000;
+    this.summarize = config.summarize;
+    this.turns = [];
+    this.summary = null;
+  }
+
+  /**
+   * Start a new turn, usually a user message and the assistant reply
+   * @param {...Object} messages - Messages with role and content
+   */
+  addTurn(...messages) {
+    this.turns.push(messages);
+  }
+
+  /**
+   * Append messages (tool results, follow-up replies) to the current turn
+   * @param {...Object} messages - Messages with role and content
+   */
+  appendToTurn(...messages) {
+    if (this.turns.length === 0) {
+      this.turns.push([]);
+    }
+    this.turns[this.turns.length - 1].push(...messages);
+  }
+
+  /**
+   * Get every message currently kept in the history
+   * @returns {Array<Object>} Messages, oldest first
+   */
+  getMessages() {
+    return this.turns.flat();
+  }
+
+  /**
+   * Build the message list for the next model call, trimming the history to
+   * the budget first
+   * @param {Array<Object>} pending - Messages for this call that are not recorded yet
+   * @param {Object} [options] - Build options
+   * @param {boolean} [options.newTurn=true] - Whether the pending messages start a new turn
+   * @returns {Promise<Array<Object>>} Messages to send
+   */
+  async buildMessages(pending, options = {}) {
+    const newTurn = options.newTurn !== false;
+    await this.enforceBudget(estimateTokens(pending), newTurn ? 1 : 0);
+
+    const summary = this.summary
+      ? [{ role: 'system', content: `Summary of the earlier conversation:\n${this.summary}` }]
+      : [];
+    return [...summary, ...this.getMessages(), ...pending];
+  }
+
+  /**
+   * Drop (or summarize) the oldest turns until the history fits the budget
+   * @param {number} reservedTokens - Tokens needed by the pending messages
+   * @param {number} reservedTurns - Turns needed by the pending messages
+   */
+  async enforceBudget(reservedTokens = 0, reservedTurns = 0) {
+    const dropped = [];
+    // Never drop the current turn when appending to it
+    const keep = reservedTurns === 0 ? 1 : 0;
+
+    while (this.turns.length > keep && (
+      this.turns.length + reservedTurns > this.maxTurns ||
+      estimateTokens(this.getMessages()) + reservedTokens > this.maxTokens
+    )) {
+      dropped.push(...this.turns.shift());
+    }
+
+    if (dropped.length > 0 && this.summarize) {
+      try {
+        this.summary = await this.summarize(dropped, this.summary);
+      } catch (error) {
+        log.warn('Could not summarize earlier conversation', { error });
+      }
+    }
+  }
+
+  /**
+   * Forget the whole conversation
+   */
+  clear() {
+    this.turns = [];
+    this.summary = null;
+  }
+
+  /**
+   * Serialize the history for a saved session
+   * @returns {Object} Turns and summary
+   */
+  toJSON() {
+    return { turns: this.turns, summary: this.summary };
+  }
+
+  /**
+   * Replace the history with a serialized one
+   * @param {Object} data - Output of toJSON()
+   */
+  restore(data) {
+    this.turns = Array.isArray(data?.turns) ? data.turns : [];
+    this.summary = data?.summary || null;
+  }
+
+  /**
+   * Number of turns currently kept
+   * @returns {number}
+   */
+  get length() {
+    return this.turns.length;
+  }
+}
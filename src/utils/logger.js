@@ -0,0 +1,228 @@
+// Structured logging with levels and per-request context
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import chalk from 'chalk';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const LEVEL_COLORS = {
+  debug: chalk.gray,
+  info: chalk.cyan,
+  warn: chalk.yellow,
+  error: chalk.red
+};
+
+// Request IDs from clients are echoed into logs and headers, so keep them to safe characters
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Holds { requestId } for the request being handled, across awaits
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Create a new request ID
+ * @returns {string} Random 16-character hex ID
+ */
+export function createRequestId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Accept a request ID sent by a client, or create one if it is missing or malformed
+ * @param {string} [requestId] - ID from the X-Request-Id header
+ * @returns {string} Request ID
+ */
+export function ensureRequestId(requestId) {
+  return requestId && REQUEST_ID_PATTERN.test(requestId) ? requestId : createRequestId();
+}
+
+/**
+ * Run a function with a request context; everything it logs carries the context
+ * @param {Object} context - e.g. { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {any} Return value of fn
+ */
+export function withRequestContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+/**
+ * Get the ID of the request being handled
+ * @returns {string|undefined}
+ */
+export function getRequestId() {
+  return requestContext.getStore()?.requestId;
+}
+
+/**
+ * Read logger settings from the environment
+ * @param {Object} [env] - Environment variables
+ * @param {Object} [stream] - Stream the logs go to, used to pick the default format
+ * @returns {{level: string, format: string}}
+ */
+export function loadLoggerOptions(env = process.env, stream = process.stdout) {
+  const level = (env.LOG_LEVEL || (env.DEBUG === 'true' ? 'debug' : 'info')).toLowerCase();
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`Invalid LOG_LEVEL "${level}" (use ${Object.keys(LOG_LEVELS).join(', ')})`);
+  }
+
+  return {
+    level,
+    // Pretty output for people at a terminal, JSON lines for log collectors
+    format: env.LOG_FORMAT || (stream.isTTY ? 'pretty' : 'json')
+  };
+}
+
+/**
+ * Make a field value JSON-friendly (errors lose their fields in JSON.stringify)
+ * @param {any} value - Field value
+ * @param {boolean} withStack - Include error stacks
+ * @returns {any}
+ */
+function serializeValue(value, withStack) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.status && { status: value.status }),
+      ...(value.code && { code: value.code }),
+      ...(withStack && { stack: value.stack })
+    };
+  }
+  return value;
+}
+
+/**
+ * Format an entry as one line of JSON
+ * @param {Object} entry - Log entry
+ * @returns {string}
+ */
+export function formatJson(entry) {
+  return JSON.stringify(entry);
+}
+
+/**
+ * Format an entry for reading at a terminal: time, level, logger name, message, then fields
+ * @param {Object} entry - Log entry
+ * @returns {string}
+ */
+export function formatPretty(entry) {
+  const { time, level, name, msg, ...fields } = entry;
+  const color = LEVEL_COLORS[level] || (text => text);
+  const details = Object.entries(fields)
+    .map(([key, value]) => {
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      return chalk.gray(`${key}=`) + text;
+    })
+    .join(' ');
+
+  return [
+    chalk.gray(time.slice(11, 23)),
+    color(level.toUpperCase().padEnd(5)),
+    name && chalk.magenta(`[${name}]`),
+    msg,
+    details
+  ].filter(Boolean).join(' ');
+}
+
+export class Logger {
+  /**
+   * @param {Object} [config] - Logger configuration
+   * @param {string} [config.name] - Component name shown with each entry
+   * @param {string} [config.level='info'] - Lowest level written
+   * @param {string} [config.format='json'] - 'json' or 'pretty'
+   * @param {Object} [config.stream] - Writable stream (default: stdout)
+   * @param {Object} [config.bindings] - Fields added to every entry
+   * @param {Logger} [parent] - Logger this one was derived from; settings are shared with it
+   */
+  constructor(config = {}, parent = null) {
+    this.root = parent?.root || this;
+    this.name = config.name;
+    this.bindings = config.bindings || {};
+    if (!parent) {
+      this.level = config.level || 'info';
+      this.format = config.format || 'json';
+      this.stream = config.stream || process.stdout;
+    }
+  }
+
+  /**
+   * Change the level, format or stream of this logger and every child
+   * @param {Object} options - { level, format, stream }
+   */
+  configure(options) {
+    for (const key of ['level', 'format', 'stream']) {
+      if (options[key] !== undefined) {
+        this.root[key] = options[key];
+      }
+    }
+  }
+
+  /**
+   * Derive a logger for a component, adding fields to each entry
+   * @param {string|Object} nameOrBindings - Component name, or fields
+   * @returns {Logger}
+   */
+  child(nameOrBindings) {
+    const bindings = typeof nameOrBindings === 'string' ? { name: nameOrBindings } : nameOrBindings;
+    const { name = this.name, ...fields } = bindings;
+    return new Logger({ name, bindings: { ...this.bindings, ...fields } }, this);
+  }
+
+  /**
+   * Check whether entries at a level are written
+   * @param {string} level - Log level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.root.level];
+  }
+
+  /**
+   * Write an entry
+   * @param {string} level - debug, info, warn or error
+   * @param {string} msg - Message
+   * @param {Object} [fields] - Structured fields; Error values are serialized
+   */
+  log(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const withStack = this.isLevelEnabled('debug');
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      ...(this.name && { name: this.name }),
+      msg,
+      ...(getRequestId() && { requestId: getRequestId() }),
+      ...this.bindings
+    };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        entry[key] = serializeValue(value, withStack);
+      }
+    }
+
+    const format = this.root.format === 'pretty' ? formatPretty : formatJson;
+    this.root.stream.write(`${format(entry)}\n`);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+// Shared root logger; each process configures it at startup (see loadLoggerOptions)
+export const logger = new Logger();
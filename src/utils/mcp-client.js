@@ -1,12 +1,19 @@
 // MCP Client utility for interacting with the MCP server
 import axios from 'axios';
+import { CancelledError, CLIENT_CALL_TIMEOUT_MS } from './timeout.js';
 
 export class MCPClient {
+  /**
+   * @param {Object} config - Client configuration
+   * @param {string} config.serverUrl - Base URL of the tool server
+   * @param {string} [config.apiKey] - API key sent as a bearer token
+   */
   constructor(config) {
     this.serverUrl = config.serverUrl;
     this.axios = axios.create({
       baseURL: this.serverUrl,
-      timeout: 30000
+      timeout: 30000,
+      headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}
     });
   }
 
@@ -19,7 +26,7 @@ export class MCPClient {
       const response = await this.axios.post('/api/tools/list');
       return response.data.tools || [];
     } catch (error) {
-      throw new Error(`Failed to list tools: ${error.message}`);
+      throw new Error(`Failed to list tools: ${error.response?.data?.error || error.message}`);
     }
   }
 
@@ -27,16 +34,34 @@ export class MCPClient {
    * Call a specific tool with parameters
    * @param {string} toolName - Name of the tool to call
    * @param {Object} params - Tool parameters
+   * @param {Object} [options] - Call options
+   * @param {string} [options.cache] - Cache mode: default, bypass or refresh
+   * @param {string} [options.requestId] - Sent as X-Request-Id so the call can be found in the server log
+   * @param {AbortSignal} [options.signal] - Cancels the call; the server then aborts its upstream requests
    * @returns {Promise<any>} Tool execution result
+   * @throws {CancelledError} When the signal aborts
    */
-  async callTool(toolName, params) {
+  async callTool(toolName, params, options = {}) {
     try {
       const response = await this.axios.post('/api/tools/call', {
         name: toolName,
-        params
+        params,
+        ...(options.cache && options.cache !== 'default' && { cache: options.cache })
+      }, {
+        headers: options.requestId ? { 'X-Request-Id': options.requestId } : {},
+        signal: options.signal,
+        // The server enforces each tool's own time limit
+        timeout: CLIENT_CALL_TIMEOUT_MS
       });
       return response.data;
     } catch (error) {
+      if (axios.isCancel(error)) {
+        throw new CancelledError(toolName);
+      }
+      // Tool failures (400/500) and refused keys (401/403) still carry a { success: false, error } body
+      if (error.response?.data?.success === false) {
+        return error.response.data;
+      }
       throw new Error(`Failed to call tool ${toolName}: ${error.message}`);
     }
   }
@@ -53,4 +78,37 @@ export class MCPClient {
       return false;
     }
   }
+
+  /**
+   * Describe the server this client talks to
+   * @returns {string}
+   */
+  describe() {
+    return `MCP server at ${this.serverUrl}`;
+  }
+
+  /**
+   * Close the client (nothing to release for HTTP)
+   */
+  async close() {}
+}
+
+/**
+ * Create the tool client used by the CLI.
+ * A command or mcpUrl selects a native MCP connection; otherwise the REST API
+ * of our own server is used.
+ * @param {Object} config - Client configuration
+ * @param {string} [config.serverUrl] - Base URL of our REST tool server
+ * @param {string} [config.command] - Command line starting an MCP server on stdio
+ * @param {string} [config.mcpUrl] - Streamable HTTP URL of an MCP server
+ * @param {string} [config.apiKey] - API key for the REST API or the Streamable HTTP endpoint
+ * @returns {Promise<MCPClient|NativeMCPClient>} Tool client
+ */
+export async function createMCPClient(config) {
+  if (config.command || config.mcpUrl) {
+    // Loaded lazily so the REST client does not pull in the MCP SDK transports
+    const { NativeMCPClient } = await import('./native-mcp-client.js');
+    return new NativeMCPClient({ command: config.command, url: config.mcpUrl, apiKey: config.apiKey });
+  }
+  return new MCPClient({ serverUrl: config.serverUrl, apiKey: config.apiKey });
 } 
\ No newline at end of file
@@ -0,0 +1,143 @@
+// Model Context Protocol front end for the tool registry
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { logger, ensureRequestId, getRequestId, withRequestContext } from './logger.js';
+import { runWithTimeout } from './timeout.js';
+
+const log = logger.child('mcp');
+
+/**
+ * Convert a tool result into MCP CallToolResult content
+ * @param {any} result - Result returned by the tool
+ * @returns {Object} CallToolResult
+ */
+function toCallToolResult(result) {
+  const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+  return { content: [{ type: 'text', text }] };
+}
+
+/**
+ * Create an MCP server exposing the tools of a registry
+ * @param {ToolRegistry} registry - Tool registry
+ * @param {Object} [options] - Server options
+ * @param {Function} [options.beforeListTools] - async hook run before tools are listed
+ * (e.g. to refresh Smithery tools)
+ * @param {Function} [options.allowTool] - (name) => boolean, limits the tools the caller may list and call
+ * @param {Function} [options.onToolCall] - Called after each call with { tool, result, error, durationMs }
+ * @param {Function} [options.timeoutFor] - (name) => milliseconds a call to the tool may take
+ * @returns {Server} MCP server, not yet connected to a transport
+ */
+export function createMcpServer(registry, options = {}) {
+  const server = new Server(
+    { name: 'enhanced-cli-tools', version: '1.0.0' },
+    { capabilities: { tools: {} } }
+  );
+
+  const allowTool = options.allowTool || (() => true);
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    await options.beforeListTools?.();
+    return {
+      tools: registry.list().filter(tool => allowTool(tool.name)).map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: { type: 'object', ...tool.parameters }
+      }))
+    };
+  });
+
+  // extra.signal aborts when the client cancels the request or disconnects
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    if (!allowTool(name)) {
+      return {
+        content: [{ type: 'text', text: `Tool ${name} is not allowed for this API key` }],
+        isError: true
+      };
+    }
+
+    // Over HTTP the request already has an ID; stdio clients may send one in _meta
+    const requestId = getRequestId() || ensureRequestId(request.params._meta?.requestId);
+    return withRequestContext({ requestId }, async () => {
+      const startedAt = Date.now();
+      try {
+        const validParams = registry.validate(name, args || {});
+        const result = await runWithTimeout(
+          signal => registry.execute(name, validParams, { signal }),
+          { timeoutMs: options.timeoutFor?.(name), signal: extra.signal, label: name }
+        );
+        const durationMs = Date.now() - startedAt;
+        log.info('Tool call', { tool: name, outcome: 'success', durationMs });
+        options.onToolCall?.({ tool: name, result, durationMs });
+        return toCallToolResult(result);
+      } catch (error) {
+        const durationMs = Date.now() - startedAt;
+        log.error('Tool call', { tool: name, outcome: 'error', durationMs, error });
+        options.onToolCall?.({ tool: name, error, durationMs });
+        return {
+          content: [{ type: 'text', text: error.message || `Failed to execute tool ${name}` }],
+          isError: true
+        };
+      }
+    });
+  });
+
+  return server;
+}
+
+/**
+ * Serve MCP over stdio (stdout carries protocol messages only)
+ * @param {Function} createServer - Factory returning a new MCP server
+ * @returns {Promise<void>}
+ */
+export async function serveStdio(createServer) {
+  const server = createServer();
+  await server.connect(new StdioServerTransport());
+  log.info('MCP server listening on stdio');
+}
+
+/**
+ * Mount a stateless Streamable HTTP MCP endpoint on an Express app.
+ * Each POST gets its own server and transport, so no session state is kept.
+ * @param {Express} app - Express app (with express.json() installed)
+ * @param {string} path - Endpoint path, e.g. /mcp
+ * @param {Function} createServer - (req) => new MCP server for the request
+ */
+export function mountStreamableHttp(app, path, createServer) {
+  app.post(path, async (req, res) => {
+    const server = createServer(req);
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+
+    res.on('close', () => {
+      transport.close();
+      server.close();
+    });
+
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      log.error('Error handling MCP request', { error });
+      if (!res.headersSent) {
+        res.status(500).json({
+          jsonrpc: '2.0',
+          error: { code: -32603, message: 'Internal server error' },
+          id: null
+        });
+      }
+    }
+  });
+
+  // Stateless mode has no server-initiated streams or sessions to end
+  const methodNotAllowed = (req, res) => {
+    res.status(405).json({
+      jsonrpc: '2.0',
+      error: { code: -32000, message: 'Method not allowed.' },
+      id: null
+    });
+  };
+  app.get(path, methodNotAllowed);
+  app.delete(path, methodNotAllowed);
+}
@@ -0,0 +1,219 @@
+// In-process metrics in the Prometheus text exposition format
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; covers cached answers (milliseconds) up to slow upstream chats
+export const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escape a label value for the exposition format
+ * @param {any} value - Label value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set, e.g. {tool="rugcheck",outcome="success"}
+ * @param {Object} labels - Label values by name
+ * @returns {string} Rendered labels, empty when there are none
+ */
+function renderLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+  /**
+   * @param {Object} config - Metric configuration
+   * @param {string} config.name - Metric name
+   * @param {string} config.help - Description shown in # HELP
+   * @param {Array<string>} [config.labelNames] - Label names, in output order
+   * @param {Function} [config.collect] - (metric) => void, refreshes the values before each scrape
+   */
+  constructor(config) {
+    this.name = config.name;
+    this.help = config.help;
+    this.labelNames = config.labelNames || [];
+    this.collect = config.collect;
+    this.series = new Map();
+  }
+
+  /**
+   * Get the series for a label set, creating it on first use
+   * @param {Object} labels - Label values by name
+   * @param {Function} create - () => initial series state
+   * @returns {Object} Series state
+   */
+  seriesFor(labels, create) {
+    const values = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: values, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Drop every series (for collectors that rebuild their values on each scrape)
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * Render the metric with its HELP and TYPE lines
+   * @returns {Array<string>} Lines
+   */
+  render() {
+    this.collect?.(this);
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...[...this.series.values()].flatMap(series => this.renderSeries(series))
+    ];
+  }
+}
+
+export class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} [labels] - Label values
+   * @param {number} [value=1] - Amount to add
+   */
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * Set the counter to a total counted elsewhere (for collectors)
+   * @param {Object} labels - Label values
+   * @param {number} value - Current total
+   */
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${renderLabels(series.labels)} ${series.value}`];
+  }
+}
+
+export class Gauge extends Metric {
+  get type() {
+    return 'gauge';
+  }
+
+  /**
+   * Set the gauge
+   * @param {Object} labels - Label values
+   * @param {number} value - Current value
+   */
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${renderLabels(series.labels)} ${series.value}`];
+  }
+}
+
+export class Histogram extends Metric {
+  get type() {
+    return 'histogram';
+  }
+
+  /**
+   * @param {Object} config - Metric configuration (see Metric)
+   * @param {Array<number>} [config.buckets] - Upper bounds of the buckets
+   */
+  constructor(config) {
+    super(config);
+    this.buckets = [...(config.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries(series) {
+    return [
+      ...this.buckets.map((bound, index) =>
+        `${this.name}_bucket${renderLabels({ ...series.labels, le: bound })} ${series.counts[index]}`
+      ),
+      `${this.name}_bucket${renderLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+      `${this.name}_sum${renderLabels(series.labels)} ${series.sum}`,
+      `${this.name}_count${renderLabels(series.labels)} ${series.count}`
+    ];
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Add a metric, or return the one already registered under its name
+   * @param {Metric} metric - Metric to register
+   * @returns {Metric}
+   */
+  register(metric) {
+    if (!this.metrics.has(metric.name)) {
+      this.metrics.set(metric.name, metric);
+    }
+    return this.metrics.get(metric.name);
+  }
+
+  /**
+   * Register a counter
+   * @param {Object} config - See Metric
+   * @returns {Counter}
+   */
+  counter(config) {
+    return this.register(new Counter(config));
+  }
+
+  /**
+   * Register a gauge
+   * @param {Object} config - See Metric
+   * @returns {Gauge}
+   */
+  gauge(config) {
+    return this.register(new Gauge(config));
+  }
+
+  /**
+   * Register a histogram
+   * @param {Object} config - See Histogram
+   * @returns {Histogram}
+   */
+  histogram(config) {
+    return this.register(new Histogram(config));
+  }
+
+  /**
+   * Render every metric for a scrape
+   * @returns {string} Exposition text
+   */
+  render() {
+    return `${[...this.metrics.values()].flatMap(metric => metric.render()).join('\n')}\n`;
+  }
+}
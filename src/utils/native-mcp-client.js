@@ -0,0 +1,188 @@
+// MCP client for standard Model Context Protocol servers (stdio or Streamable HTTP)
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { CancelledError, CLIENT_CALL_TIMEOUT_MS } from './timeout.js';
+
+/**
+ * Split a command line into the command and its arguments, honouring quotes
+ * @param {string} commandLine - e.g. node src/server.js --stdio
+ * @returns {{command: string, args: Array<string>}}
+ */
+export function splitCommandLine(commandLine) {
+  const parts = [...commandLine.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)]
+    .map(match => match[1] ?? match[2] ?? match[3]);
+  const [command, ...args] = parts;
+  return { command, args };
+}
+
+/**
+ * Convert MCP CallToolResult content into a plain result value.
+ * A single JSON text block (as returned by our own server) is parsed back into an object.
+ * @param {Object} result - MCP CallToolResult
+ * @returns {any} Result value
+ */
+function fromCallToolResult(result) {
+  if (result.structuredContent) {
+    return result.structuredContent;
+  }
+
+  const content = result.content || [];
+  if (content.length === 1 && content[0].type === 'text') {
+    try {
+      return JSON.parse(content[0].text);
+    } catch {
+      return { response: content[0].text };
+    }
+  }
+  return { content };
+}
+
+export class NativeMCPClient {
+  /**
+   * @param {Object} config - Client configuration
+   * @param {string} [config.command] - Command line starting an MCP server on stdio
+   * @param {string} [config.url] - Streamable HTTP URL of an MCP server
+   * @param {string} [config.apiKey] - API key sent as a bearer token over Streamable HTTP
+   */
+  constructor(config) {
+    if (!config.command && !config.url) {
+      throw new Error('NativeMCPClient needs a command or a url');
+    }
+    this.commandLine = config.command;
+    this.url = config.url;
+    this.apiKey = config.apiKey;
+    this.client = null;
+    this.connecting = null;
+  }
+
+  /**
+   * Create the transport to the configured server
+   * @returns {Transport} stdio transport for a command, Streamable HTTP transport for a URL
+   */
+  createTransport() {
+    if (this.commandLine) {
+      return new StdioClientTransport({ ...splitCommandLine(this.commandLine), env: process.env, stderr: 'ignore' });
+    }
+    return new StreamableHTTPClientTransport(new URL(this.url), {
+      requestInit: this.apiKey ? { headers: { Authorization: `Bearer ${this.apiKey}` } } : undefined
+    });
+  }
+
+  /**
+   * Connect once and reuse the connection for later calls
+   * @returns {Promise<Client>} Connected MCP client
+   */
+  async connect() {
+    if (this.client) {
+      return this.client;
+    }
+
+    if (!this.connecting) {
+      this.connecting = (async () => {
+        const transport = this.createTransport();
+        const client = new Client(
+          { name: 'enhanced-cli', version: '1.0.0' },
+          { capabilities: {} }
+        );
+        await client.connect(transport);
+        this.client = client;
+        return client;
+      })().finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    return this.connecting;
+  }
+
+  /**
+   * List all available tools from the MCP server
+   * @returns {Promise<Array>} Tools in the same shape as the REST API
+   */
+  async listTools() {
+    try {
+      const client = await this.connect();
+      const { tools } = await client.listTools();
+      return tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.inputSchema,
+        source: 'mcp'
+      }));
+    } catch (error) {
+      throw new Error(`Failed to list tools: ${error.message}`);
+    }
+  }
+
+  /**
+   * Call a specific tool with parameters
+   * @param {string} toolName - Name of the tool to call
+   * @param {Object} params - Tool parameters
+   * @param {Object} [options] - Call options
+   * @param {string} [options.requestId] - Request ID sent in _meta for log correlation
+   * @param {AbortSignal} [options.signal] - Cancels the call (the server is sent notifications/cancelled)
+   * @returns {Promise<Object>} { success, result | error, tool } like the REST API
+   * @throws {CancelledError} When the signal aborts
+   */
+  async callTool(toolName, params, options = {}) {
+    try {
+      const client = await this.connect();
+      const result = await client.callTool({
+        name: toolName,
+        arguments: params,
+        ...(options.requestId && { _meta: { requestId: options.requestId } })
+      }, undefined, {
+        signal: options.signal,
+        // Replaces the SDK's 60s default; the server enforces each tool's own time limit
+        timeout: CLIENT_CALL_TIMEOUT_MS
+      });
+
+      if (result.isError) {
+        const message = (result.content || [])
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('\n');
+        return { success: false, error: message || `Tool ${toolName} failed`, tool: toolName };
+      }
+      return { success: true, result: fromCallToolResult(result), tool: toolName };
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw new CancelledError(toolName);
+      }
+      throw new Error(`Failed to call tool ${toolName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if the MCP server is reachable
+   * @returns {Promise<boolean>} True if server is available
+   */
+  async isAvailable() {
+    try {
+      const client = await this.connect();
+      await client.ping();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Describe the server this client talks to
+   * @returns {string}
+   */
+  describe() {
+    return this.commandLine ? `MCP server "${this.commandLine}" (stdio)` : `MCP server at ${this.url}`;
+  }
+
+  /**
+   * Close the connection (and stop a stdio server process)
+   */
+  async close() {
+    if (this.client) {
+      await this.client.close();
+      this.client = null;
+    }
+  }
+}
@@ -0,0 +1,135 @@
+// Output of the CLI's non-interactive commands as text, JSON or Markdown
+
+export const OUTPUT_FORMATS = ['text', 'json', 'markdown'];
+
+/**
+ * Reduce a tool result to the fields worth printing
+ * @param {Object} toolResult - Result from the CLI's tool call
+ * @returns {Object} { tool, success, result | error, ... }
+ */
+export function summarizeToolResult(toolResult) {
+  return {
+    tool: toolResult.toolName,
+    success: toolResult.success,
+    ...(toolResult.success ? { result: toolResult.result } : { error: toolResult.error }),
+    ...(toolResult.errors && { errors: toolResult.errors }),
+    ...(toolResult.durationMs !== undefined && { durationMs: toolResult.durationMs }),
+    ...(toolResult.requestId && { requestId: toolResult.requestId }),
+    ...(toolResult.cache?.status && { cache: toolResult.cache.status }),
+    ...(toolResult.timedOut && { timedOut: true }),
+    ...(toolResult.cancelled && { cancelled: true }),
+    ...(toolResult.denied && { denied: true }),
+    ...(toolResult.skipped && { skipped: true })
+  };
+}
+
+/**
+ * Render a value in a fenced code block, as text if it is a string
+ * @param {any} value - Value to show
+ * @returns {string}
+ */
+function codeBlock(value) {
+  return typeof value === 'string'
+    ? `\`\`\`\n${value}\n\`\`\``
+    : `\`\`\`json\n${JSON.stringify(value, null, 2)}\n\`\`\``;
+}
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string}
+ */
+function tableCell(text) {
+  return String(text ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Format the tool list
+ * @param {Array<Object>} tools - Tools with name, description, source and parameters
+ * @param {string} format - text, json or markdown
+ * @returns {string}
+ */
+export function formatToolList(tools, format) {
+  if (format === 'json') {
+    return JSON.stringify(tools.map(({ name, description, source, parameters }) => ({
+      name,
+      description,
+      source: source || 'local',
+      parameters
+    })), null, 2);
+  }
+  if (format === 'markdown') {
+    return [
+      '| Tool | Source | Description |',
+      '|------|--------|-------------|',
+      ...tools.map(tool => `| \`${tool.name}\` | ${tool.source || 'local'} | ${tableCell(tool.description)} |`)
+    ].join('\n');
+  }
+  return tools.map(tool => `${tool.name}\t${tool.source || 'local'}\t${tool.description}`).join('\n');
+}
+
+/**
+ * Format the result of a single tool call
+ * @param {Object} toolResult - Result from the CLI's tool call
+ * @param {string} format - text, json or markdown
+ * @returns {string} Formatted result; in text format failures have no output (the error goes to stderr)
+ */
+export function formatToolResult(toolResult, format) {
+  if (format === 'json') {
+    return JSON.stringify(summarizeToolResult(toolResult), null, 2);
+  }
+  if (format === 'markdown') {
+    const heading = `### \`${toolResult.toolName}\``;
+    return toolResult.success
+      ? `${heading}\n\n${codeBlock(toolResult.result)}`
+      : `${heading}\n\n**Error:** ${toolResult.error}`;
+  }
+  if (!toolResult.success) {
+    return '';
+  }
+  return typeof toolResult.result === 'string' ? toolResult.result : JSON.stringify(toolResult.result, null, 2);
+}
+
+/**
+ * Format the answer to a prompt
+ * @param {Object} run - { prompt, answer, toolResults, trace, error }
+ * @param {string} format - text, json or markdown
+ * @param {Object} [options] - Formatting options
+ * @param {boolean} [options.compact] - One line of JSON, for JSON Lines output
+ * @returns {string}
+ */
+export function formatAnswer(run, format, options = {}) {
+  const { prompt, answer, toolResults = [], trace, error } = run;
+
+  if (format === 'json') {
+    const output = {
+      prompt,
+      success: !error,
+      answer: answer ?? null,
+      ...(error && { error }),
+      tools: toolResults.map(summarizeToolResult),
+      ...(trace && {
+        iterations: trace.iterations,
+        toolCalls: trace.toolCalls,
+        stopReason: trace.stopReason,
+        durationMs: trace.durationMs
+      })
+    };
+    return options.compact ? JSON.stringify(output) : JSON.stringify(output, null, 2);
+  }
+
+  if (format === 'markdown') {
+    const sections = [`## ${prompt}`, error ? `**Error:** ${error}` : answer];
+    if (toolResults.length > 0) {
+      sections.push('### Tools', ...toolResults.map(toolResult => {
+        const status = toolResult.success ? 'ok' : `failed: ${toolResult.error}`;
+        const timing = toolResult.durationMs !== undefined ? `, ${toolResult.durationMs}ms` : '';
+        const line = `- \`${toolResult.toolName}\` (${status}${timing})`;
+        return toolResult.success ? `${line}\n\n${codeBlock(toolResult.result)}` : line;
+      }));
+    }
+    return sections.filter(Boolean).join('\n\n');
+  }
+
+  return error ? '' : answer || '';
+}
@@ -0,0 +1,475 @@
+// Token-bucket rate limits and daily usage accounting for upstream APIs and API clients
+import { logger } from './logger.js';
+import { CancelledError, TimeoutError } from './timeout.js';
+
+const log = logger.child('upstream');
+
+// Limits per upstream. Smithery limits apply to each Smithery server ("smithery:<server>").
+// dailyQuota (calls per UTC day) is optional; calls beyond it are refused until the next day.
+export const UPSTREAM_LIMITS = {
+  brave: { ratePerMinute: 60, burst: 1, dailyQuota: null },
+  hustle: { ratePerMinute: 30, burst: 5, dailyQuota: null },
+  smithery: { ratePerMinute: 60, burst: 10, dailyQuota: null }
+};
+
+// Applied to every upstream unless overridden
+const UPSTREAM_DEFAULTS = {
+  ratePerMinute: 60,
+  burst: 5,
+  dailyQuota: null,
+  maxWaitMs: 30000, // Longest a call queues for a token before it is refused
+  retries: 2, // Retries after a 429 from the upstream
+  maxRetryAfterMs: 60000 // Longest Retry-After that is waited out
+};
+
+const HISTORY_DAYS = 7;
+
+// How often idle client buckets are dropped
+const CLIENT_SWEEP_INTERVAL_MS = 60000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Current UTC day, used to bucket usage
+ * @returns {string} YYYY-MM-DD
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+export class RateLimitError extends Error {
+  /**
+   * @param {string} message - What was limited
+   * @param {number} [retryAfterMs] - When a retry may succeed
+   */
+  constructor(message, retryAfterMs) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.status = 429;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Read rate limit settings from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {{upstreams: Object, clients: Object}} Upstream limits by name and the per-client limit
+ */
+export function loadRateLimitOptions(env = process.env) {
+  const upstreams = structuredClone(UPSTREAM_LIMITS);
+  if (env.UPSTREAM_LIMITS) {
+    try {
+      for (const [name, limits] of Object.entries(JSON.parse(env.UPSTREAM_LIMITS))) {
+        upstreams[name] = { ...upstreams[name], ...limits };
+      }
+    } catch (error) {
+      throw new Error(`Invalid UPSTREAM_LIMITS: ${error.message}`);
+    }
+  }
+
+  return {
+    upstreams,
+    clients: {
+      ratePerMinute: parseInt(env.CLIENT_RATE_LIMIT_PER_MINUTE, 10) || 60,
+      burst: parseInt(env.CLIENT_RATE_LIMIT_BURST, 10) || 10
+    }
+  };
+}
+
+/**
+ * Work out how long an upstream asked us to wait, if it answered 429
+ * @param {Error} error - Error from axios, the MCP SDK or an upstream client
+ * @returns {number|null} Milliseconds to wait, 0 if no Retry-After was given, null if not rate limited
+ */
+export function retryAfterMs(error) {
+  const status = error?.response?.status ?? error?.status;
+  const rateLimited = status === 429 || /\b429\b|too many requests/i.test(error?.message || '');
+  if (!rateLimited || error instanceof RateLimitError) {
+    return null;
+  }
+
+  const header = error.response?.headers?.['retry-after'];
+  if (header === undefined) {
+    return 0;
+  }
+  const seconds = Number(header);
+  if (!isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(header);
+  return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+/**
+ * Check whether a request failed because we gave up on it (cancelled or timed out)
+ * @param {Error} error - Error from axios, the MCP SDK or an upstream client
+ * @returns {boolean}
+ */
+function isCancellation(error) {
+  return error instanceof CancelledError || error instanceof TimeoutError ||
+    ['CanceledError', 'AbortError', 'TimeoutError'].includes(error?.name);
+}
+
+/**
+ * Reject once a signal aborts
+ * @param {AbortSignal} signal - Abort signal
+ * @param {string} name - Name used in the error message
+ * @returns {{promise: Promise<never>, release: Function}} Rejecting promise and a function removing the listener
+ */
+function whenAborted(signal, name) {
+  let onAbort;
+  const promise = new Promise((resolve, reject) => {
+    onAbort = () => reject(signal.reason instanceof Error ? signal.reason : new CancelledError(name));
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+  return { promise, release: () => signal.removeEventListener('abort', onAbort) };
+}
+
+export class TokenBucket {
+  /**
+   * @param {Object} config - Bucket configuration
+   * @param {number} config.ratePerMinute - Tokens added per minute
+   * @param {number} [config.burst=1] - Bucket size
+   */
+  constructor(config) {
+    this.capacity = Math.max(1, config.burst || 1);
+    this.refillPerMs = config.ratePerMinute / 60000;
+    this.tokens = this.capacity;
+    this.refilledAt = Date.now();
+    this.blockedUntil = 0;
+    this.waiting = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.refilledAt) * this.refillPerMs);
+    this.refilledAt = now;
+  }
+
+  /**
+   * Estimate how long a caller behind the current queue would wait
+   * @returns {number} Milliseconds
+   */
+  estimateWait() {
+    this.refill();
+    const blocked = Math.max(0, this.blockedUntil - Date.now());
+    const missing = this.waiting + 1 - this.tokens;
+    return blocked + (missing > 0 ? missing / this.refillPerMs : 0);
+  }
+
+  /**
+   * Take a token if one is free, without waiting
+   * @returns {number} 0 on success, otherwise milliseconds until a token is free
+   */
+  tryTake() {
+    const wait = this.estimateWait();
+    if (wait > 0) {
+      return Math.ceil(wait);
+    }
+    this.tokens -= 1;
+    return 0;
+  }
+
+  /**
+   * Wait for a token; callers are served in arrival order
+   * @param {number} maxWaitMs - Refuse instead of queueing longer than this
+   * @param {string} name - Name used in the error message
+   * @param {AbortSignal} [signal] - Stops waiting (the caller's place is given up)
+   * @returns {Promise<number>} Milliseconds waited
+   */
+  async take(maxWaitMs, name, signal) {
+    const wait = this.estimateWait();
+    if (wait > maxWaitMs) {
+      throw new RateLimitError(`Rate limit for ${name} reached, retry in ${Math.ceil(wait / 1000)}s`, wait);
+    }
+
+    const startedAt = Date.now();
+    this.waiting++;
+    const turn = this.queue.then(async () => {
+      for (;;) {
+        // A caller that gave up while queued leaves the token to the next one
+        if (signal?.aborted) {
+          return;
+        }
+        this.refill();
+        const now = Date.now();
+        if (now < this.blockedUntil) {
+          await sleep(this.blockedUntil - now);
+        } else if (this.tokens >= 1) {
+          this.tokens -= 1;
+          return;
+        } else {
+          await sleep((1 - this.tokens) / this.refillPerMs);
+        }
+      }
+    });
+    this.queue = turn;
+
+    const aborted = signal && whenAborted(signal, name);
+    try {
+      await (aborted ? Promise.race([turn, aborted.promise]) : turn);
+    } finally {
+      aborted?.release();
+      this.waiting--;
+    }
+    return Date.now() - startedAt;
+  }
+
+  /**
+   * Stop handing out tokens for a while (e.g. after a 429 with Retry-After)
+   * @param {number} ms - Milliseconds to pause
+   */
+  pause(ms) {
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+  }
+}
+
+export class UsageTracker {
+  constructor() {
+    this.days = new Map();
+  }
+
+  /**
+   * Add to the counters of a name for today
+   * @param {string} name - Upstream or client
+   * @param {Object<string, number>} counts - e.g. { calls: 1 }
+   */
+  record(name, counts) {
+    const day = today();
+    if (!this.days.has(day)) {
+      this.days.set(day, {});
+      // Keep a week of history
+      for (const oldDay of [...this.days.keys()].slice(0, -HISTORY_DAYS)) {
+        this.days.delete(oldDay);
+      }
+    }
+
+    const usage = this.days.get(day);
+    usage[name] = usage[name] || { calls: 0, errors: 0, rateLimited: 0, retries: 0, queuedMs: 0 };
+    for (const [counter, amount] of Object.entries(counts)) {
+      usage[name][counter] = (usage[name][counter] || 0) + amount;
+    }
+  }
+
+  /**
+   * Get today's counters for a name
+   * @param {string} name - Upstream or client
+   * @returns {Object|undefined}
+   */
+  today(name) {
+    return this.days.get(today())?.[name];
+  }
+
+  /**
+   * Get the counters of every day kept
+   * @param {string} [name] - Only include this name's counters
+   * @returns {Object<string, Object>} Usage keyed by day, then name
+   */
+  history(name) {
+    if (name === undefined) {
+      return Object.fromEntries(this.days);
+    }
+    return Object.fromEntries([...this.days]
+      .filter(([, usage]) => usage[name])
+      .map(([day, usage]) => [day, { [name]: usage[name] }]));
+  }
+}
+
+export class Upstream {
+  /**
+   * @param {string} name - Upstream name, e.g. brave or smithery:brave-search
+   * @param {Object} limits - See UPSTREAM_DEFAULTS
+   * @param {UsageTracker} usage - Shared usage tracker
+   * @param {Function} [onCall] - Called after each request with { upstream, outcome, durationMs }
+   */
+  constructor(name, limits, usage, onCall) {
+    this.name = name;
+    this.limits = { ...UPSTREAM_DEFAULTS, ...limits };
+    this.bucket = new TokenBucket(this.limits);
+    this.usage = usage;
+    this.onCall = onCall;
+  }
+
+  /**
+   * Calls left today, if a daily quota is configured
+   * @returns {number|null}
+   */
+  remaining() {
+    if (!this.limits.dailyQuota) {
+      return null;
+    }
+    return Math.max(0, this.limits.dailyQuota - (this.usage.today(this.name)?.calls || 0));
+  }
+
+  /**
+   * Call the upstream within its rate limit and quota, retrying after 429 responses
+   * @param {Function} request - async () => result
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Stops waiting for a token or a retry once aborted
+   * @returns {Promise<any>} Request result
+   * @throws {RateLimitError} When the quota is used up, the queue is too long or 429s persist
+   */
+  async call(request, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      if (this.remaining() === 0) {
+        throw new RateLimitError(`Daily quota of ${this.limits.dailyQuota} calls to ${this.name} used up`);
+      }
+
+      const queuedMs = await this.bucket.take(this.limits.maxWaitMs, this.name, options.signal);
+      this.usage.record(this.name, { calls: 1, queuedMs });
+
+      const startedAt = Date.now();
+      try {
+        const result = await request();
+        const durationMs = Date.now() - startedAt;
+        log.debug('Upstream call finished', { upstream: this.name, durationMs, queuedMs });
+        this.onCall?.({ upstream: this.name, outcome: 'success', durationMs });
+        return result;
+      } catch (error) {
+        const durationMs = Date.now() - startedAt;
+        // We gave up on the call (timeout or cancel); that is not the upstream's fault
+        if (isCancellation(error)) {
+          this.onCall?.({ upstream: this.name, outcome: 'cancelled', durationMs });
+          throw error;
+        }
+
+        const retryAfter = retryAfterMs(error);
+        this.onCall?.({ upstream: this.name, outcome: retryAfter === null ? 'error' : 'rate_limited', durationMs });
+        if (retryAfter === null) {
+          log.debug('Upstream call failed', { upstream: this.name, durationMs, queuedMs, error });
+          this.usage.record(this.name, { errors: 1 });
+          throw error;
+        }
+
+        this.usage.record(this.name, { rateLimited: 1 });
+        // Without Retry-After, back off exponentially
+        const delay = Math.min(retryAfter || 1000 * 2 ** attempt, this.limits.maxRetryAfterMs);
+        if (attempt >= this.limits.retries) {
+          throw new RateLimitError(`${this.name} is rate limiting us: ${error.message}`, delay);
+        }
+
+        log.warn('Upstream rate limited us, retrying', { upstream: this.name, attempt, delayMs: delay });
+        this.usage.record(this.name, { retries: 1 });
+        // Everyone queued for this upstream waits too
+        this.bucket.pause(delay);
+      }
+    }
+  }
+
+  /**
+   * Describe today's usage
+   * @returns {Object} Counters, limits and remaining quota
+   */
+  getUsage() {
+    return {
+      calls: 0,
+      errors: 0,
+      rateLimited: 0,
+      retries: 0,
+      queuedMs: 0,
+      ...this.usage.today(this.name),
+      ratePerMinute: this.limits.ratePerMinute,
+      dailyQuota: this.limits.dailyQuota,
+      remaining: this.remaining()
+    };
+  }
+}
+
+export class Upstreams {
+  /**
+   * @param {Object<string, Object>} [limits] - Limits by upstream name (see UPSTREAM_LIMITS)
+   */
+  constructor(limits = UPSTREAM_LIMITS) {
+    this.limits = limits;
+    this.usage = new UsageTracker();
+    this.upstreams = new Map();
+    this.onCall = null; // Settable hook, e.g. for latency metrics
+  }
+
+  /**
+   * Get (or create) the limiter for an upstream. "smithery:<server>" falls back to the smithery limits.
+   * @param {string} name - Upstream name
+   * @returns {Upstream}
+   */
+  get(name) {
+    if (!this.upstreams.has(name)) {
+      const limits = this.limits[name] || this.limits[name.split(':')[0]] || {};
+      this.upstreams.set(name, new Upstream(name, limits, this.usage, call => this.onCall?.(call)));
+    }
+    return this.upstreams.get(name);
+  }
+
+  /**
+   * Describe today's usage of every upstream used so far
+   * @returns {Object<string, Object>}
+   */
+  getUsage() {
+    return Object.fromEntries([...this.upstreams].map(([name, upstream]) => [name, upstream.getUsage()]));
+  }
+}
+
+export class ClientRateLimiter {
+  /**
+   * @param {Object} limits - Default per-client limit: { ratePerMinute, burst }
+   */
+  constructor(limits) {
+    this.limits = limits;
+    this.buckets = new Map();
+    this.usage = new UsageTracker();
+    this.sweptAt = Date.now();
+  }
+
+  /**
+   * Count a request from a client and check it against the client's bucket
+   * @param {string} key - Client key
+   * @param {Object} [limits] - Limits for this client, overriding the default
+   * @returns {number} 0 if allowed, otherwise milliseconds until the client may retry
+   */
+  check(key, limits) {
+    this.sweep();
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, new TokenBucket({ ...this.limits, ...limits }));
+    }
+
+    const retryAfter = this.buckets.get(key).tryTake();
+    this.usage.record(key, retryAfter > 0 ? { rateLimited: 1 } : { calls: 1 });
+    return retryAfter;
+  }
+
+  /**
+   * Drop buckets that have refilled: a full bucket behaves like a new one, so this only
+   * frees memory held for idle clients (one per IP when auth is off)
+   */
+  sweep() {
+    const now = Date.now();
+    if (now - this.sweptAt < CLIENT_SWEEP_INTERVAL_MS) {
+      return;
+    }
+    this.sweptAt = now;
+    for (const [key, bucket] of this.buckets) {
+      bucket.refill();
+      if (bucket.tokens >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Wrap a call in an upstream's limits, or run it directly when there is no limiter
+ * @param {Upstream} [upstream] - Upstream limiter
+ * @param {Function} request - async () => result
+ * @param {Object} [options] - Call options, see Upstream#call
+ * @returns {Promise<any>} Request result
+ */
+export function callUpstream(upstream, request, options) {
+  return upstream ? upstream.call(request, options) : request();
+}
@@ -0,0 +1,347 @@
+// Conversation reports for /export: prompts, replies and tool calls as Markdown, JSON or
+// self-contained HTML
+import { summarizeToolResult } from './output-format.js';
+import { renderResult } from './result-renderers.js';
+
+export const REPORT_FORMATS = ['md', 'json', 'html'];
+
+/**
+ * Describe where a tool call ran. Results from provider chains name their provider,
+ * e.g. "smithery:brave" or "hustle:trending"; otherwise the tool's source is used.
+ * @param {Object} entry - Tool history entry
+ * @returns {{source: string, provider?: string}} Source (smithery, local, hustle, mcp, ...) and provider
+ */
+function describeSource(entry) {
+  const reported = typeof entry.result?.source === 'string' ? entry.result.source : null;
+  return {
+    source: (reported || entry.source || 'local').split(':')[0],
+    ...(reported?.includes(':') && { provider: reported })
+  };
+}
+
+/**
+ * Turn a tool history entry into a report tool call
+ * @param {Object} entry - Tool history entry
+ * @returns {Object} { tool, params, source, success, result | error, durationMs, ... }
+ */
+function reportToolCall(entry) {
+  return {
+    ...summarizeToolResult(entry),
+    params: entry.params ?? null,
+    ...describeSource(entry),
+    ...(entry.timestamp && { finishedAt: entry.timestamp }),
+    ...(entry.round && { round: entry.round })
+  };
+}
+
+/**
+ * Split the tool history into runs: the calls made for one prompt, or consecutive calls
+ * made directly with /use or in tools mode
+ * @param {Array<Object>} toolHistory - Tool history entries, oldest first
+ * @returns {Array<{prompt: string|null, calls: Array<Object>}>}
+ */
+function groupToolRuns(toolHistory) {
+  const runs = [];
+  let key;
+  for (const entry of toolHistory) {
+    const entryKey = entry.promptedAt || null;
+    if (runs.length === 0 || entryKey !== key) {
+      runs.push({ prompt: entry.prompt ?? null, calls: [] });
+      key = entryKey;
+    }
+    runs[runs.length - 1].calls.push(reportToolCall(entry));
+  }
+  return runs;
+}
+
+/**
+ * Build the report for a conversation
+ * @param {Object} options - Report contents
+ * @param {Object} options.conversation - Conversation (turns and summary)
+ * @param {Array<Object>} [options.toolHistory] - Tool calls made in the session; entries made
+ * while answering a prompt carry prompt, promptedAt and round
+ * @param {string} [options.session] - Name of the active session
+ * @returns {Object} { title, session, exportedAt, earlierSummary, entries, summary }
+ */
+export function buildReport({ conversation, toolHistory = [], session }) {
+  const runs = groupToolRuns(toolHistory);
+  const toolsEntry = run => ({ type: 'tools', prompt: run.prompt, toolCalls: run.calls });
+  const entries = [];
+  let nextRun = 0;
+
+  for (const [prompt, ...messages] of conversation.turns) {
+    const replies = messages.filter(message => message.role === 'assistant').map(message => message.content);
+    let toolCalls = [];
+
+    // Only turns with a follow-up message ran tools; their calls are the next run for the same
+    // prompt. Runs skipped on the way (direct calls, turns dropped from the history) stand alone.
+    if (messages.some(message => message.role === 'user')) {
+      const index = runs.findIndex((run, i) => i >= nextRun && run.prompt === prompt.content);
+      if (index >= 0) {
+        entries.push(...runs.slice(nextRun, index).map(toolsEntry));
+        toolCalls = runs[index].calls;
+        nextRun = index + 1;
+      }
+    }
+
+    // Step n is the n-th reply and the tool calls it asked for
+    const stepCount = Math.max(replies.length, ...toolCalls.map(call => call.round || 1));
+    const steps = Array.from({ length: stepCount }, (_, index) => ({
+      reply: replies[index] ?? null,
+      toolCalls: toolCalls.filter(call => (call.round || 1) === index + 1)
+    }));
+    entries.push({ type: 'turn', prompt: prompt.content, steps, answer: replies[replies.length - 1] ?? null });
+  }
+  entries.push(...runs.slice(nextRun).map(toolsEntry));
+
+  const allCalls = entries.flatMap(entry => entry.type === 'turn' ? entry.steps.flatMap(step => step.toolCalls) : entry.toolCalls);
+  const sources = {};
+  allCalls.forEach(call => {
+    sources[call.source] = (sources[call.source] || 0) + 1;
+  });
+  const turns = entries.filter(entry => entry.type === 'turn');
+
+  return {
+    title: 'AgentHustle conversation',
+    ...(session && { session }),
+    exportedAt: new Date().toISOString(),
+    earlierSummary: conversation.summary || null,
+    entries,
+    summary: {
+      prompts: turns.length,
+      toolCalls: allCalls.length,
+      failedToolCalls: allCalls.filter(call => !call.success).length,
+      toolTimeMs: allCalls.reduce((total, call) => total + (call.durationMs || 0), 0),
+      sources,
+      finalAnswer: turns.length > 0 ? turns[turns.length - 1].answer : null
+    }
+  };
+}
+
+/**
+ * Format a duration, e.g. 850ms or 2.3s
+ * @param {number} [ms] - Duration in milliseconds
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  if (ms === undefined) return '-';
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Outcome of a tool call in a word or two
+ * @param {Object} call - Report tool call
+ * @returns {string}
+ */
+function callStatus(call) {
+  if (call.success) return 'ok';
+  if (call.cancelled) return 'cancelled';
+  if (call.denied) return 'not run';
+  if (call.skipped) return 'skipped';
+  if (call.timedOut) return 'timed out';
+  return 'failed';
+}
+
+/**
+ * Describe a tool call's source, timing and outcome on one line
+ * @param {Object} call - Report tool call
+ * @returns {string}
+ */
+function callDetails(call) {
+  const cache = call.cache ? `, cache ${call.cache}` : '';
+  return `${call.provider || call.source} · ${formatDuration(call.durationMs)}${cache} · ${callStatus(call)}`;
+}
+
+/**
+ * Render a tool call's result as plain text with the terminal renderers
+ * @param {Object} call - Report tool call
+ * @returns {string}
+ */
+function renderCallResult(call) {
+  return renderResult(call.result, { toolName: call.tool, plain: true });
+}
+
+/**
+ * Sum up the report's totals in a sentence
+ * @param {Object} summary - Report summary
+ * @returns {string}
+ */
+function describeTotals(summary) {
+  const sources = Object.entries(summary.sources).map(([source, count]) => `${source} ${count}`).join(', ');
+  return `${summary.prompts} prompt(s), ${summary.toolCalls} tool call(s) (${summary.failedToolCalls} failed), ` +
+    `${formatDuration(summary.toolTimeMs)} in tools${sources ? `; sources: ${sources}` : ''}`;
+}
+
+/**
+ * Wrap text in a Markdown code fence longer than any backtick run inside it
+ * @param {string} text - Code
+ * @param {string} [language] - Fence language
+ * @returns {string}
+ */
+function fence(text, language = '') {
+  const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const marks = '`'.repeat(longest + 1);
+  return `${marks}${language}\n${text}\n${marks}`;
+}
+
+/**
+ * Format a report as Markdown
+ * @param {Object} report - Output of buildReport()
+ * @returns {string}
+ */
+function toMarkdown(report) {
+  const lines = [`# ${report.title}`, '', `Exported ${report.exportedAt}${report.session ? ` from session "${report.session}"` : ''}.`];
+  const toolCall = call => {
+    lines.push('', `#### \`${call.tool}\` · ${callDetails(call)}`);
+    if (call.params) {
+      lines.push('', 'Parameters:', '', fence(JSON.stringify(call.params, null, 2), 'json'));
+    }
+    if (call.success) {
+      lines.push('', 'Result:', '', fence(renderCallResult(call)));
+    } else {
+      lines.push('', `**Error:** ${call.error}`);
+    }
+  };
+
+  if (report.earlierSummary) {
+    lines.push('', '## Earlier conversation', '', report.earlierSummary);
+  }
+
+  let promptNumber = 0;
+  for (const entry of report.entries) {
+    if (entry.type === 'tools') {
+      lines.push('', entry.prompt ? `## Tool calls for "${entry.prompt}"` : '## Direct tool calls');
+      entry.toolCalls.forEach(toolCall);
+      continue;
+    }
+
+    lines.push('', `## Prompt ${++promptNumber}`, '', ...entry.prompt.split('\n').map(line => `> ${line}`));
+    entry.steps.forEach((step, index) => {
+      if (step.reply !== null) {
+        lines.push('', `### Agent Hustle${entry.steps.length > 1 ? ` (step ${index + 1})` : ''}`, '', step.reply);
+      }
+      step.toolCalls.forEach(toolCall);
+    });
+  }
+
+  lines.push('', '## Summary', '', describeTotals(report.summary));
+  if (report.summary.finalAnswer) {
+    lines.push('', '### Final answer', '', report.summary.finalAnswer);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escape text for HTML
+ * @param {any} text - Text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Inline styles so the page needs nothing but the file itself
+const HTML_STYLE = `
+  body { margin: 0; background: #f6f7f9; color: #1f2328; font: 15px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; }
+  main { max-width: 960px; margin: 0 auto; padding: 24px; }
+  h1 { margin-bottom: 4px; }
+  .meta { color: #656d76; margin-top: 0; }
+  section { background: #fff; border: 1px solid #d0d7de; border-radius: 8px; padding: 16px 20px; margin: 16px 0; }
+  .prompt { border-left: 4px solid #0969da; padding: 4px 12px; background: #f0f6ff; }
+  .reply, .prompt { white-space: pre-wrap; }
+  .reply { margin: 12px 0; }
+  .label { font-weight: 600; color: #656d76; font-size: 13px; text-transform: uppercase; }
+  .tool { border: 1px solid #d0d7de; border-radius: 6px; margin: 12px 0; padding: 8px 12px; }
+  .tool.ok { border-left: 4px solid #1a7f37; }
+  .tool.failed { border-left: 4px solid #cf222e; }
+  .tool h4 { margin: 4px 0; font-family: ui-monospace, Menlo, Consolas, monospace; }
+  .error { color: #cf222e; }
+  pre { background: #f6f8fa; padding: 8px 12px; border-radius: 6px; overflow-x: auto; font: 13px/1.4 ui-monospace, Menlo, Consolas, monospace; }
+  summary { cursor: pointer; color: #656d76; }
+`;
+
+/**
+ * Format a report as a single HTML page with no external assets
+ * @param {Object} report - Output of buildReport()
+ * @returns {string}
+ */
+function toHtml(report) {
+  const toolCall = call => `
+      <div class="tool ${call.success ? 'ok' : 'failed'}">
+        <h4>${escapeHtml(`${call.tool} · ${callDetails(call)}`)}</h4>
+        ${call.params ? `<details><summary>Parameters</summary><pre>${escapeHtml(JSON.stringify(call.params, null, 2))}</pre></details>` : ''}
+        ${call.success
+    ? `<pre>${escapeHtml(renderCallResult(call))}</pre>
+        <details><summary>Raw JSON</summary><pre>${escapeHtml(JSON.stringify(call.result, null, 2))}</pre></details>`
+    : `<p class="error">${escapeHtml(call.error)}</p>`}
+      </div>`;
+
+  const sections = [];
+  if (report.earlierSummary) {
+    sections.push(`<section><h2>Earlier conversation</h2><div class="reply">${escapeHtml(report.earlierSummary)}</div></section>`);
+  }
+
+  let promptNumber = 0;
+  for (const entry of report.entries) {
+    if (entry.type === 'tools') {
+      const heading = entry.prompt ? `Tool calls for “${escapeHtml(entry.prompt)}”` : 'Direct tool calls';
+      sections.push(`<section><h2>${heading}</h2>${entry.toolCalls.map(toolCall).join('')}</section>`);
+      continue;
+    }
+
+    const steps = entry.steps.map((step, index) => [
+      step.reply !== null
+        ? `<div class="label">Agent Hustle${entry.steps.length > 1 ? ` · step ${index + 1}` : ''}</div><div class="reply">${escapeHtml(step.reply)}</div>`
+        : '',
+      ...step.toolCalls.map(toolCall)
+    ].join('')).join('');
+    sections.push(`<section><h2>Prompt ${++promptNumber}</h2><div class="prompt">${escapeHtml(entry.prompt)}</div>${steps}</section>`);
+  }
+
+  const { summary } = report;
+  sections.push(`<section><h2>Summary</h2><p>${escapeHtml(describeTotals(summary))}</p>${summary.finalAnswer
+    ? `<div class="label">Final answer</div><div class="reply">${escapeHtml(summary.finalAnswer)}</div>`
+    : ''}</section>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(report.title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="meta">Exported ${escapeHtml(report.exportedAt)}${report.session ? ` from session “${escapeHtml(report.session)}”` : ''}</p>
+${sections.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Format a report
+ * @param {Object} report - Output of buildReport()
+ * @param {string} format - md, json or html
+ * @returns {string}
+ * @throws {Error} If the format is unknown
+ */
+export function formatReport(report, format) {
+  switch (format) {
+    case 'md':
+      return toMarkdown(report);
+    case 'json':
+      return `${JSON.stringify(report, null, 2)}\n`;
+    case 'html':
+      return toHtml(report);
+    default:
+      throw new Error(`Unknown report format "${format}" (use ${REPORT_FORMATS.join(', ')})`);
+  }
+}
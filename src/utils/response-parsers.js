@@ -0,0 +1,89 @@
+// Parsers for the text content returned by Smithery tools
+
+/**
+ * Get the text of the first content block of an MCP tool result
+ * @param {Object} result - MCP CallToolResult
+ * @returns {string} Text content, or an empty string
+ */
+export function getResultText(result) {
+  return result?.content?.[0]?.text || '';
+}
+
+/**
+ * Remove HTML tags and decode the entities Brave leaves in descriptions
+ * @param {string} text - Raw description
+ * @returns {string} Clean description
+ */
+export function cleanDescription(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse search output made of "Title: / Description: / URL:" blocks
+ * @param {string} text - Raw text content
+ * @returns {Array<Object>} Results with title, description and url
+ */
+export function parseSearchResults(text) {
+  const results = [];
+  const blocks = text.split('\n\n').filter(block => block.trim());
+
+  for (const block of blocks) {
+    let title = '', description = '', url = '';
+
+    for (const line of block.split('\n')) {
+      if (line.startsWith('Title: ')) {
+        title = line.substring(7).trim();
+      } else if (line.startsWith('Description: ')) {
+        description = cleanDescription(line.substring(13).trim());
+      } else if (line.startsWith('URL: ')) {
+        url = line.substring(5).trim();
+      }
+    }
+
+    if (title && url) {
+      results.push({ title, description, url });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Turn a Smithery search result into the shape used by the CLI
+ * @param {Object} result - MCP CallToolResult
+ * @param {Object} params - Parameters the tool was called with
+ * @returns {Object} Search result with query, total and results
+ */
+export function parseSearchResult(result, params) {
+  const results = parseSearchResults(getResultText(result));
+  return {
+    query: params.query,
+    total: results.length,
+    results
+  };
+}
+
+/**
+ * Generic parser for Smithery tools without a dedicated parser
+ * @param {Object} result - MCP CallToolResult
+ * @param {Object} params - Parameters the tool was called with
+ * @returns {Object} Input parameters and raw text output
+ */
+export function parseTextResult(result, params) {
+  return {
+    input: params,
+    output: getResultText(result)
+  };
+}
+
+// Result parsers for known Smithery tools, keyed by tool name. Local search answers with
+// places rather than Title/URL blocks, so brave_local_search keeps the generic parser.
+export const RESULT_PARSERS = {
+  brave_web_search: parseSearchResult
+};
@@ -0,0 +1,300 @@
+// Terminal renderers for tool results, picked by tool name or by the shape of the result
+import chalk from 'chalk';
+
+// Columns the token table can be sorted by, with the fields different providers use for them
+const TOKEN_FIELDS = {
+  symbol: ['symbol', 'name'],
+  price: ['price', 'priceUsd', 'price_usd', 'usdPrice'],
+  change: ['priceChange24h', 'price_change_24h', 'priceChange24hPercent', 'change24h', 'priceChange'],
+  volume: ['volume24h', 'volume24hUSD', 'v24hUSD', 'volume_24h', 'volume'],
+  marketcap: ['marketCap', 'market_cap', 'mc', 'fdv'],
+  liquidity: ['liquidity', 'liquidityUsd']
+};
+
+export const TOKEN_SORT_COLUMNS = Object.keys(TOKEN_FIELDS);
+
+// Compact output (e.g. while the agent works) shows this many list items and characters
+const COMPACT_ITEMS = 5;
+const COMPACT_TEXT_LENGTH = 300;
+
+// Built from a string so the escape character does not sit in a regex literal
+const ANSI_REGEX = new RegExp('\\u001b\\[[0-9;]*m', 'g');
+
+/**
+ * Remove terminal colors
+ * @param {string} text - Rendered text
+ * @returns {string}
+ */
+function stripAnsi(text) {
+  return String(text).replace(ANSI_REGEX, '');
+}
+
+/**
+ * Read the first field that is set
+ * @param {Object} item - Object to read from
+ * @param {Array<string>} names - Candidate field names
+ * @returns {any}
+ */
+function pick(item, names) {
+  const name = names.find(field => item?.[field] !== undefined && item[field] !== null);
+  return name ? item[name] : undefined;
+}
+
+/**
+ * Read a numeric field, accepting numbers sent as strings
+ * @param {Object} item - Object to read from
+ * @param {Array<string>} names - Candidate field names
+ * @returns {number|undefined}
+ */
+function pickNumber(item, names) {
+  const value = Number(pick(item, names));
+  return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Format an amount compactly, e.g. 1234567 → 1.23M
+ * @param {number} value - Amount
+ * @param {string} [prefix] - e.g. "$"
+ * @returns {string}
+ */
+export function formatAmount(value, prefix = '') {
+  if (value === undefined) return chalk.gray('-');
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${prefix}${(value / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `${prefix}${(value / 1e6).toFixed(2)}M`;
+  if (abs >= 1e3) return `${prefix}${(value / 1e3).toFixed(2)}K`;
+  if (abs > 0 && abs < 0.01) return `${prefix}${value.toPrecision(3)}`;
+  return `${prefix}${value.toFixed(2)}`;
+}
+
+/**
+ * Format a percentage change, green when up and red when down
+ * @param {number} value - Change in percent
+ * @returns {string}
+ */
+function formatChange(value) {
+  if (value === undefined) return chalk.gray('-');
+  const text = `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+  return value > 0 ? chalk.green(text) : value < 0 ? chalk.red(text) : text;
+}
+
+/**
+ * Render rows as a table with aligned columns
+ * @param {Array<{title: string, align?: string}>} columns - Column titles; align 'right' for numbers
+ * @param {Array<Array<string>>} rows - Cell text, may contain colors
+ * @returns {string}
+ */
+export function renderTable(columns, rows) {
+  const width = text => stripAnsi(text).length;
+  const widths = columns.map((column, index) =>
+    Math.max(width(column.title), ...rows.map(row => width(row[index] ?? '')))
+  );
+  const line = cells => cells.map((cell, index) => {
+    const text = String(cell ?? '');
+    const padding = ' '.repeat(widths[index] - width(text));
+    return columns[index].align === 'right' ? padding + text : text + padding;
+  }).join('  ');
+
+  return [
+    chalk.bold(line(columns.map(column => column.title))),
+    chalk.gray(widths.map(size => '─'.repeat(size)).join('  ')),
+    ...rows.map(line)
+  ].join('\n');
+}
+
+/**
+ * Note how many items were left out in compact output
+ * @param {number} shown - Items shown
+ * @param {number} total - Items available
+ * @returns {Array<string>} A line to append, or nothing
+ */
+function moreLine(shown, total) {
+  return shown < total ? [chalk.gray(`… ${total - shown} more (/render shows all)`)] : [];
+}
+
+const searchRenderer = {
+  name: 'search',
+  matches: result => Array.isArray(result?.results) && result.results.some(item => item?.url || item?.title),
+  render(result, options) {
+    const items = options.compact ? result.results.slice(0, COMPACT_ITEMS) : result.results;
+    const lines = [chalk.cyan(`📊 ${result.results.length} result(s)${result.query ? ` for "${result.query}"` : ''}`)];
+    items.forEach((item, index) => {
+      lines.push(`${chalk.bold(`${index + 1}. ${item.title || item.url}`)}`);
+      if (item.url) lines.push(`   ${chalk.blue.underline(item.url)}`);
+      if (item.description) lines.push(`   ${chalk.gray(item.description)}`);
+    });
+    return [...lines, ...moreLine(items.length, result.results.length)].join('\n');
+  }
+};
+
+const tokenTableRenderer = {
+  name: 'tokens',
+  tools: ['trending-tokens'],
+  matches: result => Array.isArray(result?.tokens) && result.tokens.length > 0,
+  render(result, options) {
+    if (!result?.tokens?.length) {
+      return chalk.yellow(result?.message || 'No tokens found');
+    }
+
+    const column = TOKEN_FIELDS[options.sort] ? options.sort : null;
+    let tokens = [...result.tokens];
+    if (column === 'symbol') {
+      tokens.sort((a, b) => String(pick(a, TOKEN_FIELDS.symbol)).localeCompare(String(pick(b, TOKEN_FIELDS.symbol))));
+    } else if (column) {
+      // Largest first; tokens without the value go last
+      tokens.sort((a, b) => (pickNumber(b, TOKEN_FIELDS[column]) ?? -Infinity) - (pickNumber(a, TOKEN_FIELDS[column]) ?? -Infinity));
+    }
+    const total = tokens.length;
+    if (options.compact) tokens = tokens.slice(0, COMPACT_ITEMS);
+
+    const rows = tokens.map((token, index) => [
+      String(index + 1),
+      chalk.bold(pick(token, TOKEN_FIELDS.symbol) ?? '?'),
+      formatAmount(pickNumber(token, TOKEN_FIELDS.price), '$'),
+      formatChange(pickNumber(token, TOKEN_FIELDS.change)),
+      formatAmount(pickNumber(token, TOKEN_FIELDS.volume), '$'),
+      formatAmount(pickNumber(token, TOKEN_FIELDS.marketcap), '$')
+    ]);
+    const table = renderTable([
+      { title: '#', align: 'right' },
+      { title: 'Token' },
+      { title: 'Price', align: 'right' },
+      { title: '24h', align: 'right' },
+      { title: 'Volume', align: 'right' },
+      { title: 'Market cap', align: 'right' }
+    ], rows);
+
+    const sortHint = options.plain ? '' : column ? '; /render sort <column> to change' : ' (/render sort <column> to sort)';
+    const sortNote = chalk.gray(column ? ` (sorted by ${column}${sortHint})` : sortHint);
+    return [chalk.cyan(`📈 ${total} token(s)`) + sortNote, table, ...moreLine(tokens.length, total)].join('\n');
+  }
+};
+
+const walletRenderer = {
+  name: 'wallet',
+  tools: ['wallet-balance'],
+  matches: result => Array.isArray(result?.balances),
+  render(result) {
+    if (result.balances.length === 0) {
+      return chalk.yellow(`No holdings found${result.address ? ` for ${result.address}` : ''}${result.message ? `: ${result.message}` : ''}`);
+    }
+
+    let totalUsd = 0;
+    const rows = result.balances.map(holding => {
+      const usd = pickNumber(holding, ['usdValue', 'valueUsd', 'value_usd', 'usd', 'value']);
+      totalUsd += usd ?? 0;
+      return [
+        chalk.bold(pick(holding, ['symbol', 'token', 'name', 'mint']) ?? '?'),
+        formatAmount(pickNumber(holding, ['amount', 'balance', 'uiAmount', 'quantity'])),
+        formatAmount(pickNumber(holding, ['price', 'priceUsd', 'usdPrice']), '$'),
+        formatAmount(usd, '$')
+      ];
+    });
+    rows.push(['', '', chalk.bold('Total'), chalk.bold(formatAmount(totalUsd, '$'))]);
+
+    const table = renderTable([
+      { title: 'Token' },
+      { title: 'Amount', align: 'right' },
+      { title: 'Price', align: 'right' },
+      { title: 'Value', align: 'right' }
+    ], rows);
+    return [chalk.cyan(`👛 ${result.address || 'Wallet'}: ${result.balances.length} holding(s)`), table].join('\n');
+  }
+};
+
+const rugcheckRenderer = {
+  name: 'rugcheck',
+  tools: ['rugcheck'],
+  // An analysis without a score (e.g. an upstream message) is shown as JSON instead
+  accepts: result => result?.score !== undefined,
+  matches: result => result?.score !== undefined && (result.risk !== undefined || Array.isArray(result.risks)),
+  render(result) {
+    const level = String(result.risk ?? result.riskLevel ?? 'unknown').toLowerCase();
+    const color = /high|danger|critical/.test(level) ? chalk.red : /medium|warn/.test(level) ? chalk.yellow : /low|good|safe/.test(level) ? chalk.green : chalk.gray;
+
+    const lines = [
+      chalk.cyan(`🛡️  Rugcheck: ${chalk.bold(result.token ?? '?')}${result.chain ? chalk.gray(` on ${result.chain}`) : ''}`),
+      `   Risk:  ${color.bold(level.toUpperCase())}`,
+      `   Score: ${result.score}`
+    ];
+    for (const risk of Array.isArray(result.risks) ? result.risks : []) {
+      const riskLevel = String(risk.level ?? '').toLowerCase();
+      const mark = /danger|high|critical/.test(riskLevel) ? chalk.red('✗') : /warn|medium/.test(riskLevel) ? chalk.yellow('!') : chalk.gray('·');
+      lines.push(`   ${mark} ${risk.name ?? risk.title ?? risk}${risk.description ? chalk.gray(` - ${risk.description}`) : ''}`);
+    }
+    if (result.message) {
+      lines.push(chalk.gray(`   ${result.message}`));
+    }
+    return lines.join('\n');
+  }
+};
+
+const textRenderer = {
+  name: 'text',
+  matches: result => typeof result === 'string' || typeof result?.response === 'string' || typeof result?.output === 'string',
+  render(result, options) {
+    const text = typeof result === 'string' ? result : result.response ?? result.output;
+    const shown = options.compact && text.length > COMPACT_TEXT_LENGTH ? `${text.slice(0, COMPACT_TEXT_LENGTH)}… ${chalk.gray('(/render shows all)')}` : text;
+    return `${chalk.cyan('💬')} ${shown}`;
+  }
+};
+
+const jsonRenderer = {
+  name: 'json',
+  matches: () => true,
+  render: result => JSON.stringify(result, null, 2)
+};
+
+// Checked in order: renderers registered for the tool (that accept the result) first,
+// then the first whose shape matches
+export const RESULT_RENDERERS = [searchRenderer, tokenTableRenderer, walletRenderer, rugcheckRenderer, textRenderer, jsonRenderer];
+
+/**
+ * Add a renderer, checked before the built-in ones
+ * @param {Object} renderer - Renderer
+ * @param {string} renderer.name - Name shown in /render
+ * @param {Array<string>} [renderer.tools] - Tools whose results it renders
+ * @param {Function} [renderer.accepts] - (result) => boolean, limits the results of those tools it renders
+ * @param {Function} [renderer.matches] - (result) => boolean, for results of other tools
+ * @param {Function} renderer.render - (result, options) => string
+ */
+export function registerRenderer(renderer) {
+  RESULT_RENDERERS.unshift(renderer);
+}
+
+/**
+ * Pick the renderer for a result
+ * @param {any} result - Tool result
+ * @param {string} [toolName] - Tool that produced it
+ * @returns {Object} Renderer
+ */
+export function findRenderer(result, toolName) {
+  return RESULT_RENDERERS.find(renderer =>
+    toolName && renderer.tools?.includes(toolName) && (renderer.accepts?.(result) ?? true)
+  ) || RESULT_RENDERERS.find(renderer => renderer.matches?.(result));
+}
+
+/**
+ * Render a tool result for the terminal
+ * @param {any} result - Tool result
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.toolName] - Tool that produced the result
+ * @param {boolean} [options.raw] - Print the JSON as is
+ * @param {string} [options.sort] - Column to sort token tables by (see TOKEN_SORT_COLUMNS)
+ * @param {boolean} [options.compact] - Show only the first items of lists and the start of long text
+ * @param {boolean} [options.plain] - No colors or REPL hints, e.g. for reports written to a file
+ * @returns {string}
+ */
+export function renderResult(result, options = {}) {
+  if (options.raw) {
+    return jsonRenderer.render(result);
+  }
+  let text;
+  try {
+    text = findRenderer(result, options.toolName).render(result, options);
+  } catch {
+    // A result that does not fit its renderer is still worth seeing
+    text = jsonRenderer.render(result);
+  }
+  return options.plain ? stripAnsi(text) : text;
+}
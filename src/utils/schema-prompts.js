@@ -0,0 +1,219 @@
+// Interactive prompts for tool parameters, generated from their JSON Schema
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { validateParams, formatValidationErrors } from './schema-validator.js';
+
+// Choice value for leaving an optional enum unset
+const SKIP = Symbol('skip');
+
+/**
+ * Check one value with the shared validator
+ * @param {Object} schema - Schema of the value
+ * @param {any} value - Value to check
+ * @param {string} label - Name of the value in messages
+ * @returns {true|string} true, or the validation errors
+ */
+function checkValue(schema, value, label) {
+  const { valid, errors } = validateParams(
+    { type: 'object', properties: { value: schema } },
+    { value },
+    { applyDefaults: false }
+  );
+  return valid || formatValidationErrors(errors.map(error => ({ ...error, field: error.field.replace(/^value/, label) })));
+}
+
+/**
+ * Build the question text: name, constraints and description
+ * @param {Object} schema - Schema of the value
+ * @param {string} label - Name of the value
+ * @param {boolean} required - Whether a value is needed
+ * @returns {string}
+ */
+function questionText(schema, label, required) {
+  const limits = [];
+  if (schema.minimum !== undefined) limits.push(`>= ${schema.minimum}`);
+  if (schema.maximum !== undefined) limits.push(`<= ${schema.maximum}`);
+  if (schema.exclusiveMinimum !== undefined) limits.push(`> ${schema.exclusiveMinimum}`);
+  if (schema.exclusiveMaximum !== undefined) limits.push(`< ${schema.exclusiveMaximum}`);
+
+  return [
+    label,
+    required ? chalk.red('*') : '',
+    limits.length > 0 ? chalk.gray(`(${limits.join(', ')})`) : '',
+    schema.description ? chalk.gray(`- ${schema.description}`) : ''
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Ask a single question
+ * @param {Object} question - inquirer question, without a name
+ * @returns {Promise<any>} Answer
+ */
+async function ask(question) {
+  const { answer } = await inquirer.prompt([{ ...question, name: 'answer' }]);
+  return answer;
+}
+
+/**
+ * Ask for a value typed as text: strings, numbers and objects without declared properties
+ * @param {Object} schema - Schema of the value
+ * @param {string} label - Name of the value
+ * @param {boolean} required - Whether a value is needed
+ * @param {Function} parse - (text) => value; throws if the text cannot be read
+ * @returns {Promise<any>} Value, or undefined when left empty
+ */
+async function askText(schema, label, required, parse) {
+  const read = input => {
+    const text = String(input ?? '').trim();
+    return text === '' ? undefined : parse(text);
+  };
+
+  const answer = await ask({
+    type: 'input',
+    message: questionText(schema, label, required),
+    default: schema.default !== undefined && typeof schema.default !== 'object' ? String(schema.default) : undefined,
+    validate: input => {
+      try {
+        const value = read(input);
+        if (value === undefined) {
+          return required ? `${label} is required` : true;
+        }
+        return checkValue(schema, value, label);
+      } catch (error) {
+        return `${label} ${error.message}`;
+      }
+    }
+  });
+  return read(answer);
+}
+
+/**
+ * Ask for the items of an array, one at a time
+ * @param {Object} schema - Array schema
+ * @param {string} label - Name of the array
+ * @param {boolean} required - Whether a value is needed
+ * @returns {Promise<Array|undefined>} Items, or undefined if none were entered for an optional array
+ */
+async function askArray(schema, label, required) {
+  const itemSchema = schema.items || { type: 'string' };
+  const items = [];
+
+  while (schema.maxItems === undefined || items.length < schema.maxItems) {
+    const needMore = items.length < (schema.minItems || 0);
+    const addItem = needMore || await ask({
+      type: 'confirm',
+      message: `Add ${items.length > 0 ? 'another' : 'an'} item to ${label}?`,
+      default: items.length === 0 && required
+    });
+    if (!addItem) {
+      break;
+    }
+    items.push(await promptValue(itemSchema, `${label}[${items.length}]`, true));
+  }
+
+  return items.length > 0 || required ? items : undefined;
+}
+
+/**
+ * Ask for one value according to its schema
+ * @param {Object} schema - Schema of the value
+ * @param {string} label - Name of the value, e.g. "filters.chain"
+ * @param {boolean} required - Whether a value is needed
+ * @returns {Promise<any>} Value, or undefined when an optional value is left unset
+ */
+export async function promptValue(schema = {}, label, required) {
+  const types = [].concat(schema.type || (schema.properties ? 'object' : 'string'));
+
+  if (schema.enum) {
+    const choices = schema.enum.map(option => ({ name: String(option), value: option }));
+    const answer = await ask({
+      type: 'list',
+      message: questionText(schema, label, required),
+      choices: required ? choices : [...choices, { name: chalk.gray('(none)'), value: SKIP }],
+      default: schema.default
+    });
+    return answer === SKIP ? undefined : answer;
+  }
+
+  if (types.includes('boolean')) {
+    return ask({ type: 'confirm', message: questionText(schema, label, required), default: schema.default ?? false });
+  }
+
+  if (types.includes('number') || types.includes('integer')) {
+    return askText(schema, label, required, text => {
+      if (isNaN(Number(text))) {
+        throw new Error('must be a number');
+      }
+      return Number(text);
+    });
+  }
+
+  if (types.includes('array')) {
+    return askArray(schema, label, required);
+  }
+
+  if (types.includes('object') && schema.properties) {
+    if (!required && !await ask({ type: 'confirm', message: `Set ${label}?`, default: false })) {
+      return undefined;
+    }
+    console.log(chalk.blue(`${label}:`));
+    return promptObject(schema, label);
+  }
+
+  if (types.includes('object')) {
+    return askText(schema, label, required, text => JSON.parse(text));
+  }
+
+  return askText(schema, label, required, text => text);
+}
+
+/**
+ * Ask for every property of an object schema
+ * @param {Object} schema - Object schema
+ * @param {string} [prefix] - Path of the object, for nested labels
+ * @returns {Promise<Object>} Entered properties; unset optional ones are left out
+ */
+async function promptObject(schema, prefix) {
+  const values = {};
+  for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+    const value = await promptValue(propertySchema, prefix ? `${prefix}.${name}` : name, Boolean(schema.required?.includes(name)));
+    if (value !== undefined) {
+      values[name] = value;
+    }
+  }
+  return values;
+}
+
+/**
+ * Ask for a tool's parameters. After the questions the parameters are validated as a
+ * whole, and the fields that fail are asked again.
+ * @param {Object} schema - Tool parameters schema (type: object)
+ * @returns {Promise<Object>} Valid parameters, with defaults applied
+ * @throws {Error} If the parameters are invalid in a way no question can fix
+ */
+export async function promptForParams(schema = {}) {
+  const params = await promptObject(schema);
+
+  while (true) {
+    const validation = validateParams(schema, params);
+    if (validation.valid) {
+      return validation.value;
+    }
+
+    console.log(chalk.red(`Invalid parameters: ${formatValidationErrors(validation.errors)}`));
+    const fields = [...new Set(validation.errors.map(error => error.field.split(/[.[]/)[0]))]
+      .filter(name => schema.properties?.[name]);
+    if (fields.length === 0) {
+      throw new Error(`Invalid parameters: ${formatValidationErrors(validation.errors)}`);
+    }
+
+    for (const name of fields) {
+      const value = await promptValue(schema.properties[name], name, Boolean(schema.required?.includes(name)));
+      if (value === undefined) {
+        delete params[name];
+      } else {
+        params[name] = value;
+      }
+    }
+  }
+}
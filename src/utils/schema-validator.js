@@ -0,0 +1,204 @@
+// Minimal JSON Schema validation for tool parameters
+
+export class ValidationError extends Error {
+  /**
+   * @param {Array<{field: string, message: string}>} errors - Violations, one per field
+   * @param {string} [toolName] - Tool whose parameters were rejected
+   */
+  constructor(errors, toolName) {
+    super(`Invalid parameters${toolName ? ` for ${toolName}` : ''}: ${formatValidationErrors(errors)}`);
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {any} value - Value to inspect
+ * @returns {string} JSON Schema type
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value against a single JSON Schema type
+ * @param {any} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Convert string input (e.g. from a prompt or query string) to the schema type
+ * @param {any} value - Value to convert
+ * @param {Array<string>} types - Allowed schema types
+ * @returns {any} Converted value, or the original value if it cannot be converted
+ */
+function coerce(value, types) {
+  if (typeof value !== 'string' || types.includes('string')) {
+    return value;
+  }
+
+  const text = value.trim();
+  if ((types.includes('number') || types.includes('integer')) && text !== '' && !isNaN(Number(text))) {
+    return Number(text);
+  }
+  if (types.includes('boolean') && /^(true|false)$/i.test(text)) {
+    return text.toLowerCase() === 'true';
+  }
+  if (types.includes('null') && text === 'null') {
+    return null;
+  }
+  if ((types.includes('array') && text.startsWith('[')) || (types.includes('object') && text.startsWith('{'))) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return value;
+    }
+  }
+  return value;
+}
+
+/**
+ * Describe a value for an error message
+ * @param {any} value - Value to describe
+ * @returns {string}
+ */
+function describe(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+/**
+ * Validate a value against a schema, collecting errors
+ * @param {Object} schema - JSON Schema
+ * @param {any} value - Value to validate
+ * @param {string} field - Path of the value, used in error messages
+ * @param {Object} options - Validation options
+ * @param {Array<Object>} errors - Collected errors
+ * @returns {any} The value with defaults applied and types coerced
+ */
+function validateValue(schema, value, field, options, errors) {
+  if (!schema || typeof schema !== 'object') {
+    return value;
+  }
+
+  const types = schema.type ? [].concat(schema.type) : [];
+  if (options.coerce && types.length > 0) {
+    value = coerce(value, types);
+  }
+
+  const report = message => errors.push({ field: field || '(root)', message });
+
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    report(`must be of type ${types.join(' or ')}, got ${typeOf(value)}`);
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    report(`must be one of ${schema.enum.map(describe).join(', ')}, got ${describe(value)}`);
+  }
+  if (schema.const !== undefined && schema.const !== value) {
+    report(`must be ${describe(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) report(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) report(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) report(`must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) report(`must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) report(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) report(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) report(`must match pattern ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) report(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) report(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value = value.map((item, index) => validateValue(schema.items, item, `${field}[${index}]`, options, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.required || schema.additionalProperties === false)) {
+    value = validateObject(schema, value, field, options, errors);
+  }
+
+  return value;
+}
+
+/**
+ * Validate the properties of an object value
+ * @param {Object} schema - Object schema
+ * @param {Object} value - Object to validate
+ * @param {string} field - Path of the object, used in error messages
+ * @param {Object} options - Validation options
+ * @param {Array<Object>} errors - Collected errors
+ * @returns {Object} Object with defaults applied and properties coerced
+ */
+function validateObject(schema, value, field, options, errors) {
+  const properties = schema.properties || {};
+  const result = { ...value };
+  const path = name => (field ? `${field}.${name}` : name);
+
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    if (result[name] === undefined && options.applyDefaults && propertySchema.default !== undefined) {
+      result[name] = structuredClone(propertySchema.default);
+    }
+  }
+
+  for (const name of schema.required || []) {
+    if (result[name] === undefined || result[name] === null || result[name] === '') {
+      errors.push({ field: path(name), message: 'is required' });
+    }
+  }
+
+  for (const [name, propertyValue] of Object.entries(result)) {
+    if (propertyValue === undefined) continue;
+
+    if (properties[name]) {
+      result[name] = validateValue(properties[name], propertyValue, path(name), options, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ field: path(name), message: 'is not an allowed property' });
+    } else if (typeof schema.additionalProperties === 'object') {
+      result[name] = validateValue(schema.additionalProperties, propertyValue, path(name), options, errors);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate tool parameters against a JSON Schema
+ * @param {Object} schema - Parameters schema (type: object)
+ * @param {Object} params - Parameters to validate
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.applyDefaults=true] - Fill in missing properties from schema defaults
+ * @param {boolean} [options.coerce=false] - Convert string input to the declared type
+ * @returns {{valid: boolean, errors: Array<{field: string, message: string}>, value: Object}}
+ */
+export function validateParams(schema, params, options = {}) {
+  const settings = { applyDefaults: true, coerce: false, ...options };
+  const errors = [];
+  const value = validateValue(schema || { type: 'object' }, params ?? {}, '', settings, errors);
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Format validation errors as a single readable message
+ * @param {Array<{field: string, message: string}>} errors - Validation errors
+ * @returns {string}
+ */
+export function formatValidationErrors(errors) {
+  return errors.map(error => `${error.field} ${error.message}`).join('; ');
+}
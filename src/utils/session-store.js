@@ -0,0 +1,120 @@
+// File-based store for named CLI sessions
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const SESSION_NAME_REGEX = /^[\w.-]+$/;
+
+/**
+ * Default directory for saved sessions
+ * @returns {string} ENHANCED_CLI_HOME/sessions or ~/.enhanced-cli/sessions
+ */
+export function defaultSessionDirectory() {
+  const home = process.env.ENHANCED_CLI_HOME || path.join(os.homedir(), '.enhanced-cli');
+  return path.join(home, 'sessions');
+}
+
+export class SessionStore {
+  /**
+   * @param {Object} [config] - Store configuration
+   * @param {string} [config.directory] - Directory holding one JSON file per session
+   */
+  constructor(config = {}) {
+    this.directory = config.directory || defaultSessionDirectory();
+  }
+
+  /**
+   * Get the file path for a session, rejecting names that could escape the directory
+   * @param {string} name - Session name
+   * @returns {string} File path
+   */
+  pathFor(name) {
+    if (!name || !SESSION_NAME_REGEX.test(name) || name.startsWith('.')) {
+      throw new Error(`Invalid session name "${name}" (use letters, numbers, "-", "_" and ".")`);
+    }
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  /**
+   * Save a session, replacing any session with the same name
+   * @param {string} name - Session name
+   * @param {Object} data - Session state
+   * @returns {Promise<Object>} The saved session
+   */
+  async save(name, data) {
+    const file = this.pathFor(name);
+    const session = { ...data, name, savedAt: new Date().toISOString() };
+
+    await fs.mkdir(this.directory, { recursive: true });
+    // Write to a temporary file first so a crash never leaves a half-written session
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(session, null, 2));
+    await fs.rename(tempFile, file);
+    return session;
+  }
+
+  /**
+   * Load a saved session
+   * @param {string} name - Session name
+   * @returns {Promise<Object>} Session state
+   */
+  async load(name) {
+    try {
+      return JSON.parse(await fs.readFile(this.pathFor(name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Session "${name}" not found`);
+      }
+      throw new Error(`Failed to load session "${name}": ${error.message}`);
+    }
+  }
+
+  /**
+   * List saved sessions, most recently saved first
+   * @returns {Promise<Array<Object>>} Session names, save times, modes and turn counts
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const sessions = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(async file => {
+        try {
+          const session = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+          return {
+            name: session.name || path.basename(file, '.json'),
+            savedAt: session.savedAt,
+            mode: session.mode,
+            turns: session.conversation?.turns?.length || 0
+          };
+        } catch {
+          return null; // Skip unreadable files
+        }
+      }));
+
+    return sessions
+      .filter(Boolean)
+      .sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+  }
+
+  /**
+   * Delete a saved session
+   * @param {string} name - Session name
+   * @returns {Promise<boolean>} True if a session was deleted
+   */
+  async delete(name) {
+    try {
+      await fs.unlink(this.pathFor(name));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
@@ -1,104 +1,392 @@
 // Smithery MCP client utility
+import fs from 'fs';
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { createTransport } from '@smithery/sdk/client/transport.js';
+import { ErrorCode, McpError, ToolListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { CircuitBreaker, CircuitState } from './circuit-breaker.js';
+import { callUpstream, RateLimitError } from './rate-limiter.js';
+import { logger, getRequestId } from './logger.js';
+import { TimeoutError, CancelledError } from './timeout.js';
+
+// Default Smithery servers, keyed by server name. Values are either a base URL
+// or an object with url and optional apiKey/profile overrides.
+export const TOOL_CONFIGS = {
+  'brave-search': 'https://server.smithery.ai/@smithery-ai/brave-search'
+};
+
+/**
+ * Normalize a TOOL_CONFIGS entry into an object
+ * @param {string|Object} entry - Base URL or server config
+ * @returns {Object} Server config with url, apiKey and profile
+ */
+function normalizeServerConfig(entry) {
+  return typeof entry === 'string' ? { url: entry } : { ...entry };
+}
+
+/**
+ * Load the Smithery servers to connect to.
+ * Reads the JSON file named by SMITHERY_CONFIG (default: smithery.config.json)
+ * and the SMITHERY_SERVERS variable ("name=url,name=url"). Entries from the
+ * environment override the file; TOOL_CONFIGS is used when neither is set.
+ * @param {Object} [env] - Environment variables
+ * @returns {Object<string, Object>} Server configs keyed by server name
+ */
+export function loadServerConfigs(env = process.env) {
+  const servers = {};
+
+  const configPath = env.SMITHERY_CONFIG || 'smithery.config.json';
+  if (fs.existsSync(configPath)) {
+    try {
+      const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      Object.assign(servers, fileConfig.servers || fileConfig);
+    } catch (error) {
+      throw new Error(`Invalid Smithery config in ${configPath}: ${error.message}`);
+    }
+  } else if (env.SMITHERY_CONFIG) {
+    throw new Error(`Smithery config file not found: ${configPath}`);
+  }
+
+  if (env.SMITHERY_SERVERS) {
+    for (const pair of env.SMITHERY_SERVERS.split(',')) {
+      const [name, ...url] = pair.split('=');
+      if (name.trim() && url.length) {
+        servers[name.trim()] = url.join('=').trim();
+      }
+    }
+  }
+
+  const configs = Object.keys(servers).length > 0 ? servers : TOOL_CONFIGS;
+  return Object.fromEntries(
+    Object.entries(configs).map(([name, entry]) => [name, normalizeServerConfig(entry)])
+  );
+}
+
+// Connection defaults, overridable per manager (see SmitheryManager)
+export const POOL_DEFAULTS = {
+  keepAliveMs: 30000, // Ping interval while a connection is open
+  idleTimeoutMs: 300000, // Close connections unused for this long
+  toolsTtlMs: 300000, // Re-fetch the tool list after this long
+  reconnectBaseMs: 500, // First reconnect delay, doubled on every attempt
+  reconnectMaxMs: 30000,
+  maxReconnectAttempts: 5
+};
+
+/**
+ * Read pool settings from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Settings that are set, as numbers
+ */
+export function loadPoolOptions(env = process.env) {
+  const variables = {
+    keepAliveMs: 'SMITHERY_KEEP_ALIVE_MS',
+    idleTimeoutMs: 'SMITHERY_IDLE_TIMEOUT_MS',
+    toolsTtlMs: 'SMITHERY_TOOLS_TTL_MS',
+    maxReconnectAttempts: 'SMITHERY_MAX_RECONNECT_ATTEMPTS'
+  };
+  return Object.fromEntries(
+    Object.entries(variables)
+      .filter(([, variable]) => env[variable] !== undefined && !isNaN(parseInt(env[variable], 10)))
+      .map(([option, variable]) => [option, parseInt(env[variable], 10)])
+  );
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check whether an error means the server (or the connection to it) failed.
+ * Protocol errors such as unknown tools or bad arguments come over a working connection,
+ * and calls our caller cancelled say nothing about the server.
+ * @param {Error} error - Error thrown by the MCP client
+ * @returns {boolean}
+ */
+function isUpstreamFailure(error) {
+  if (error instanceof CancelledError) {
+    return false;
+  }
+  return !(error instanceof McpError) ||
+    error.code === ErrorCode.ConnectionClosed ||
+    error.code === ErrorCode.RequestTimeout;
+}
 
 export class SmitheryClient {
+  /**
+   * @param {Object} config - Client configuration
+   * @param {string} config.name - Server name, used in logs
+   * @param {string} config.baseUrl - Smithery server URL
+   * @param {string} config.apiKey - Smithery API key
+   * @param {string} config.profile - Smithery profile
+   * @param {Object} [config.pool] - Connection settings (see POOL_DEFAULTS)
+   * @param {Object} [config.breaker] - Circuit breaker settings (see CircuitBreaker)
+   * @param {Upstream} [config.upstream] - Rate limiter for tool calls to this server
+   * @param {Function} [config.onToolsChanged] - Called when the server reports a new tool list
+   * or becomes reachable again
+   */
   constructor(config) {
+    this.name = config.name || config.baseUrl;
     this.baseUrl = config.baseUrl;
     this.apiKey = config.apiKey;
     this.profile = config.profile;
-    this._isAvailable = true; // Assume available if credentials are provided
+    this.options = { ...POOL_DEFAULTS, ...config.pool };
+    this.onToolsChanged = config.onToolsChanged;
+    this.upstream = config.upstream;
+    this.log = logger.child({ name: 'smithery', server: this.name });
+
+    // Fails fast while the server is down and probes it in the background
+    this.breaker = new CircuitBreaker({
+      ...config.breaker,
+      name: `smithery:${this.name}`,
+      probe: () => this.fetchTools(),
+      isFailure: isUpstreamFailure,
+      onStateChange: (from, to) => {
+        if (to === CircuitState.CLOSED) {
+          this.onToolsChanged?.();
+        }
+      }
+    });
+
+    this.connection = null; // Open MCP client, reused by every request
+    this.connecting = null; // Pending connect, shared by concurrent callers
+    this.keepAliveTimer = null;
+    this.idleTimer = null;
+    this.closing = false;
+    this.reconnects = 0;
+
+    this.toolsCache = null;
+    this.toolsFetchedAt = 0;
   }
 
   /**
-   * Create a fresh transport and client for each request (stateless)
-   * @returns {Promise<{client: Client, transport: Transport}>} Fresh client and transport
+   * Create a transport to the Smithery server
+   * @returns {Transport} Streamable HTTP transport carrying the API key and profile
    */
-  async createFreshConnection() {
-    try {
-      // Create fresh transport for this request
-      const transport = createTransport(this.baseUrl, {
-        apiKey: this.apiKey,
-        profile: this.profile
-      });
-
-      // Create fresh MCP client
-      const client = new Client({
-        name: 'enhanced-cli-client',
-        version: '1.0.0'
-      }, {
-        capabilities: {}
-      });
-
-      // Connect to the transport
-      await client.connect(transport);
-      
-      return { client, transport };
-    } catch (error) {
-      console.error('Failed to create Smithery connection:', error.message);
-      throw error;
+  createTransport() {
+    return createTransport(this.baseUrl, {
+      apiKey: this.apiKey,
+      profile: this.profile
+    });
+  }
+
+  /**
+   * Open a new transport and do the MCP handshake
+   * @returns {Promise<Client>} Connected client
+   */
+  async createConnection() {
+    const transport = this.createTransport();
+    const client = new Client({
+      name: 'enhanced-cli-client',
+      version: '1.0.0'
+    }, {
+      capabilities: {}
+    });
+
+    client.setNotificationHandler(ToolListChangedNotificationSchema, () => {
+      this.log.info('Tool list changed');
+      this.invalidateTools();
+      this.onToolsChanged?.();
+    });
+    client.onclose = () => this.handleConnectionLost(client);
+
+    await client.connect(transport);
+    return client;
+  }
+
+  /**
+   * Get the open connection, connecting first if needed
+   * @param {Object} [options] - Connect options
+   * @param {boolean} [options.retry=false] - Retry with backoff instead of failing on the first error
+   * @returns {Promise<Client>} Connected client
+   */
+  async getConnection(options = {}) {
+    if (this.connection) {
+      this.touch();
+      return this.connection;
     }
+
+    if (!this.connecting) {
+      this.closing = false;
+      this.connecting = (options.retry ? this.connectWithBackoff() : this.createConnection())
+        .then(client => {
+          this.connection = client;
+          this.startKeepAlive();
+          this.touch();
+          return client;
+        })
+        .finally(() => {
+          this.connecting = null;
+        });
+    }
+
+    return this.connecting;
   }
 
   /**
-   * Initialize the Smithery client (just validate credentials)
-   * @returns {Promise<boolean>} True if credentials are valid
+   * Connect, retrying with exponential backoff
+   * @returns {Promise<Client>} Connected client
    */
-  async initialize() {
-    try {
-      // Test connection by trying to list tools
-      const { client, transport } = await this.createFreshConnection();
-      
+  async connectWithBackoff() {
+    const { reconnectBaseMs, reconnectMaxMs, maxReconnectAttempts } = this.options;
+
+    for (let attempt = 1; ; attempt++) {
       try {
-        await client.listTools();
-        console.log('✓ Connected to Smithery MCP server');
-        this._isAvailable = true;
-        return true;
-      } finally {
-        // Always clean up the test connection
-        try {
-          await client.close();
-        } catch (closeError) {
-          // Ignore close errors
+        return await this.createConnection();
+      } catch (error) {
+        if (attempt >= maxReconnectAttempts || this.closing) {
+          throw error;
         }
+        const delay = Math.min(reconnectBaseMs * 2 ** (attempt - 1), reconnectMaxMs);
+        this.log.warn('Server unreachable, retrying', { attempt, delayMs: delay, error });
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Forget a connection that closed without close() being called and reconnect in the background
+   * @param {Client} client - The client whose transport closed
+   */
+  handleConnectionLost(client) {
+    if (this.connection !== client) {
+      return;
+    }
+
+    this.dropConnection();
+    if (this.closing) {
+      return;
+    }
+
+    this.log.warn('Lost connection, reconnecting');
+    this.reconnects++;
+    this.getConnection({ retry: true }).then(
+      () => this.log.info('Reconnected', { reconnects: this.reconnects }),
+      error => {
+        this.log.error('Reconnect failed', { error });
+        this.breaker.trip(error);
+      }
+    );
+  }
+
+  /**
+   * Stop the timers and forget the current connection
+   * @returns {Client|null} The connection that was dropped
+   */
+  dropConnection() {
+    const client = this.connection;
+    clearInterval(this.keepAliveTimer);
+    clearTimeout(this.idleTimer);
+    this.keepAliveTimer = null;
+    this.idleTimer = null;
+    this.connection = null;
+    return client;
+  }
+
+  /**
+   * Ping the server periodically so dead connections are noticed between requests
+   */
+  startKeepAlive() {
+    clearInterval(this.keepAliveTimer);
+    this.keepAliveTimer = setInterval(async () => {
+      const client = this.connection;
+      try {
+        await client?.ping();
+      } catch (error) {
+        this.log.warn('Keep-alive ping failed', { error });
+        // Closing fires onclose, which reconnects
+        client?.close().catch(() => {});
       }
+    }, this.options.keepAliveMs);
+    this.keepAliveTimer.unref?.();
+  }
+
+  /**
+   * Record activity and restart the idle timer
+   */
+  touch() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      this.log.info('Closing idle connection');
+      this.closing = true;
+      this.dropConnection()?.close().catch(() => {});
+    }, this.options.idleTimeoutMs);
+    this.idleTimer.unref?.();
+  }
+
+  /**
+   * Run a request on the pooled connection. A connection that fails is
+   * dropped so the next request reconnects.
+   * @param {Function} request - async (client) => result
+   * @returns {Promise<any>} Request result
+   */
+  async withConnection(request) {
+    const client = await this.getConnection();
+    try {
+      return await request(client);
+    } finally {
+      this.touch();
+    }
+  }
+
+  /**
+   * Initialize the Smithery client and fetch its tool list
+   * @returns {Promise<boolean>} True if the server is reachable
+   */
+  async initialize() {
+    try {
+      await this.fetchTools();
+      this.log.info('Connected');
+      this.breaker.recordSuccess();
+      return true;
     } catch (error) {
-      console.error('Failed to connect to Smithery:', error.message);
-      this._isAvailable = false;
+      this.log.error('Connect failed', { error });
+      // Unreachable at startup: open right away and let the probes bring it back
+      this.breaker.trip(error);
       return false;
     }
   }
 
   /**
-   * List available tools from Smithery
+   * Forget the cached tool list
+   */
+  invalidateTools() {
+    this.toolsCache = null;
+    this.toolsFetchedAt = 0;
+  }
+
+  /**
+   * List available tools from Smithery. The list is cached until the server
+   * reports a change or the TTL runs out.
+   * @param {Object} [options] - Listing options
+   * @param {boolean} [options.force=false] - Bypass the cache
    * @returns {Promise<Array>} List of available tools
    */
-  async listTools() {
-    if (!this._isAvailable) {
-      throw new Error('Smithery client not available');
+  async listTools(options = {}) {
+    const fresh = Date.now() - this.toolsFetchedAt < this.options.toolsTtlMs;
+    if (this.toolsCache && fresh && !options.force) {
+      return this.toolsCache;
     }
-    
-    let client, transport;
+
+    try {
+      return await this.breaker.execute(() => this.fetchTools());
+    } catch (error) {
+      this.log.error('Listing tools failed', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the tool list over the pooled connection and cache it
+   * @returns {Promise<Array>} List of available tools
+   */
+  async fetchTools() {
     try {
-      // Create fresh connection for this request
-      ({ client, transport } = await this.createFreshConnection());
-      
-      const result = await client.listTools();
+      const result = await this.withConnection(client => client.listTools());
+      this.toolsCache = result.tools;
+      this.toolsFetchedAt = Date.now();
       return result.tools;
     } catch (error) {
-      console.error('Error listing Smithery tools:', error);
-      // Mark as unavailable if connection fails
-      this._isAvailable = false;
-      throw new Error(`Failed to list tools: ${error.message}`);
-    } finally {
-      // Always clean up the connection
-      if (client) {
-        try {
-          await client.close();
-        } catch (closeError) {
-          // Ignore close errors
-        }
+      if (isUpstreamFailure(error)) {
+        this.dropConnection()?.close().catch(() => {});
       }
+      throw new Error(`Failed to list tools: ${error.message}`);
     }
   }
 
@@ -106,54 +394,69 @@ export class SmitheryClient {
    * Call a tool via Smithery
    * @param {string} name - Tool name
    * @param {Object} args - Tool arguments
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Cancels the request (the server is sent notifications/cancelled)
    * @returns {Promise<Object>} Tool execution result
    */
-  async callTool(name, args) {
-    if (!this._isAvailable) {
-      throw new Error('Smithery client not available');
-    }
-    
-    let client, transport;
-    try {
-      // Create fresh connection for this request
-      ({ client, transport } = await this.createFreshConnection());
-      
-      const result = await client.callTool({
-        name,
-        arguments: args
-      });
-      
-      return result;
-    } catch (error) {
-      console.error(`Error calling Smithery tool ${name}:`, error);
-      // Mark as unavailable if connection fails
-      this._isAvailable = false;
-      throw new Error(`Failed to call tool ${name}: ${error.message}`);
-    } finally {
-      // Always clean up the connection
-      if (client) {
-        try {
-          await client.close();
-        } catch (closeError) {
-          // Ignore close errors
+  async callTool(name, args, options = {}) {
+    return this.breaker.execute(async () => {
+      try {
+        // The request ID travels in _meta so the call can be matched with Smithery's logs
+        const requestId = getRequestId();
+        return await callUpstream(this.upstream, () => this.withConnection(client => client.callTool({
+          name,
+          arguments: args,
+          ...(requestId && { _meta: { requestId } })
+        }, undefined, { signal: options.signal })), { signal: options.signal });
+      } catch (error) {
+        this.log.error('Tool call failed', { tool: name, error });
+        // A slow or cancelled call leaves the connection usable; keep-alive pings catch dead ones
+        const connectionFailed = isUpstreamFailure(error) &&
+          !(error instanceof RateLimitError || error instanceof TimeoutError);
+        if (connectionFailed) {
+          this.dropConnection()?.close().catch(() => {});
         }
+        throw error;
       }
-    }
+    });
   }
 
   /**
-   * Check if client is available
+   * Check if client is available: credentials are set and the circuit lets requests through
    * @returns {boolean} Availability status
    */
   isAvailable() {
-    return this._isAvailable && Boolean(this.apiKey && this.profile);
+    return Boolean(this.apiKey && this.profile) && this.breaker.canRequest();
   }
 
   /**
-   * Close any persistent connections (not needed in stateless mode)
+   * Describe the pooled connection and its circuit
+   * @returns {Object} Availability, connection state, reconnect count, cached tools and breaker state
+   */
+  getStatus() {
+    return {
+      available: this.isAvailable(),
+      connected: Boolean(this.connection),
+      reconnects: this.reconnects,
+      cachedTools: this.toolsCache ? this.toolsCache.length : null,
+      circuit: this.breaker.getStatus()
+    };
+  }
+
+  /**
+   * Close the pooled connection and stop probing
    */
   async close() {
-    // No persistent connections to close in stateless mode
-    console.log('✓ Smithery client closed (stateless mode)');
+    this.closing = true;
+    this.breaker.close();
+    const client = this.dropConnection();
+    if (client) {
+      try {
+        await client.close();
+      } catch (closeError) {
+        // Ignore close errors
+      }
+    }
+    this.log.info('Closed');
   }
-} 
\ No newline at end of file
+}
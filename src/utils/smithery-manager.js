@@ -0,0 +1,137 @@
+// Aggregates several Smithery servers behind one tool namespace
+import { SmitheryClient } from './smithery-client.js';
+import { logger } from './logger.js';
+
+const log = logger.child('smithery');
+
+/**
+ * Build the namespaced name used when two servers expose the same tool
+ * @param {string} server - Server name
+ * @param {string} toolName - Tool name on that server
+ * @returns {string} Namespaced tool name
+ */
+export function namespaceToolName(server, toolName) {
+  return `${server.replace(/[^A-Za-z0-9_]/g, '_')}__${toolName}`;
+}
+
+export class SmitheryManager {
+  /**
+   * @param {Object} config - Manager configuration
+   * @param {Object<string, Object>} config.servers - Server configs keyed by name (see loadServerConfigs)
+   * @param {string} config.apiKey - Default Smithery API key
+   * @param {string} config.profile - Default Smithery profile
+   * @param {Object} [config.pool] - Connection settings shared by every server (see POOL_DEFAULTS)
+   * @param {Object} [config.breaker] - Circuit breaker settings shared by every server
+   * @param {Upstreams} [config.upstreams] - Rate limiters; each server uses "smithery:<name>"
+   */
+  constructor(config) {
+    this.clients = new Map();
+    // Set by the owner to re-sync tools when a server reports a new tool list
+    this.onToolsChanged = null;
+
+    for (const [name, server] of Object.entries(config.servers)) {
+      this.clients.set(name, new SmitheryClient({
+        name,
+        baseUrl: server.url,
+        apiKey: server.apiKey || config.apiKey,
+        profile: server.profile || config.profile,
+        pool: config.pool,
+        breaker: config.breaker,
+        upstream: config.upstreams?.get(`smithery:${name}`),
+        onToolsChanged: () => this.onToolsChanged?.(name)
+      }));
+    }
+  }
+
+  /**
+   * Connect to every configured server
+   * @returns {Promise<Array<string>>} Names of the servers that connected
+   */
+  async initialize() {
+    const names = [...this.clients.keys()];
+    const results = await Promise.all(names.map(name => this.clients.get(name).initialize()));
+    return names.filter((_, index) => results[index]);
+  }
+
+  /**
+   * Get the client for a server
+   * @param {string} name - Server name
+   * @returns {SmitheryClient|undefined}
+   */
+  getClient(name) {
+    return this.clients.get(name);
+  }
+
+  /**
+   * Check if at least one server is available
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return [...this.clients.values()].some(client => client.isAvailable());
+  }
+
+  /**
+   * Summarize the connection state of each server
+   * @returns {Object<string, Object>} Connection status keyed by server name
+   */
+  getStatus() {
+    return Object.fromEntries(
+      [...this.clients].map(([name, client]) => [name, client.getStatus()])
+    );
+  }
+
+  /**
+   * List tools from every available server (each server caches its own list).
+   * Tool names exposed by more than one server, or listed in reservedNames,
+   * are namespaced by server name.
+   * @param {Object} [options] - Listing options
+   * @param {Array<string>} [options.reservedNames] - Names already taken by other tools
+   * @returns {Promise<Array<Object>>} Tool definitions with server and originalName
+   */
+  async listTools(options = {}) {
+    const reserved = new Set(options.reservedNames || []);
+    const available = [...this.clients].filter(([, client]) => client.isAvailable());
+
+    const listings = await Promise.allSettled(
+      available.map(([, client]) => client.listTools())
+    );
+
+    const owners = new Map();
+    const tools = [];
+    listings.forEach((listing, index) => {
+      const [server] = available[index];
+      if (listing.status === 'rejected') {
+        log.error('Listing tools failed', { server, error: listing.reason });
+        return;
+      }
+
+      for (const tool of listing.value) {
+        tools.push({ ...tool, server, originalName: tool.name });
+        owners.set(tool.name, [...(owners.get(tool.name) || []), server]);
+      }
+    });
+
+    for (const [toolName, servers] of owners) {
+      if (servers.length > 1) {
+        log.warn('Tool exposed by several servers, namespacing it', { tool: toolName, servers });
+      } else if (reserved.has(toolName)) {
+        log.warn('Tool clashes with a local tool, namespacing it', { tool: toolName });
+      }
+    }
+
+    for (const tool of tools) {
+      if (owners.get(tool.originalName).length > 1 || reserved.has(tool.originalName)) {
+        tool.name = namespaceToolName(tool.server, tool.originalName);
+      }
+    }
+
+    return tools;
+  }
+
+  /**
+   * Close every server connection
+   */
+  async close() {
+    await Promise.all([...this.clients.values()].map(client => client.close()));
+  }
+}
@@ -0,0 +1,108 @@
+// Time limits and cancellation for tool calls and upstream calls
+
+// Milliseconds a tool call may take on the server; tools not listed use TOOL_TIMEOUT_MS
+export const DEFAULT_TOOL_TIMEOUT_MS = 30000;
+export const DEFAULT_TOOL_TIMEOUTS = {
+  'crypto-chat': 60000
+};
+
+// Clients leave tool time limits to the server; this only guards against a server that never answers
+export const CLIENT_CALL_TIMEOUT_MS = 10 * 60 * 1000;
+
+export class TimeoutError extends Error {
+  /**
+   * @param {string} label - What timed out, e.g. a tool or provider name
+   * @param {number} timeoutMs - The limit that was exceeded
+   */
+  constructor(label, timeoutMs) {
+    super(`${label} timed out after ${timeoutMs}ms`);
+    this.name = 'TimeoutError';
+    this.code = 'TIMEOUT';
+    this.status = 504;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+export class CancelledError extends Error {
+  /**
+   * @param {string} label - What was cancelled
+   */
+  constructor(label) {
+    super(`${label} was cancelled`);
+    this.name = 'CancelledError';
+    this.code = 'CANCELLED';
+    // Client Closed Request, as used by nginx
+    this.status = 499;
+  }
+}
+
+/**
+ * Read tool timeouts from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {{defaultMs: number, tools: Object<string, number>}} Default and per-tool limits in milliseconds
+ */
+export function loadTimeoutOptions(env = process.env) {
+  const tools = { ...DEFAULT_TOOL_TIMEOUTS };
+  if (env.TOOL_TIMEOUTS) {
+    for (const pair of env.TOOL_TIMEOUTS.split(',')) {
+      const [name, ms] = pair.split('=').map(part => part?.trim());
+      if (name && !isNaN(parseInt(ms, 10))) {
+        tools[name] = parseInt(ms, 10);
+      }
+    }
+  }
+
+  return {
+    defaultMs: parseInt(env.TOOL_TIMEOUT_MS, 10) || DEFAULT_TOOL_TIMEOUT_MS,
+    tools
+  };
+}
+
+/**
+ * Get the time limit of a tool
+ * @param {Object} options - Result of loadTimeoutOptions()
+ * @param {string} name - Tool name
+ * @returns {number} Milliseconds
+ */
+export function toolTimeoutMs(options, name) {
+  return options.tools[name] ?? options.defaultMs;
+}
+
+/**
+ * Run a task with its own AbortSignal, aborted when the time limit passes or the
+ * caller's signal aborts. The returned promise settles right away in either case,
+ * even if the task ignores its signal.
+ * @param {Function} task - (signal) => Promise
+ * @param {Object} options - Limits
+ * @param {number} [options.timeoutMs] - Time limit; 0 or undefined disables it
+ * @param {AbortSignal} [options.signal] - Caller's signal, e.g. aborted when the client disconnects
+ * @param {string} options.label - Name used in error messages
+ * @returns {Promise<any>} Result of the task
+ * @throws {TimeoutError|CancelledError}
+ */
+export function runWithTimeout(task, options) {
+  const { timeoutMs, signal, label } = options;
+  if (signal?.aborted) {
+    return Promise.reject(new CancelledError(label));
+  }
+
+  const controller = new AbortController();
+  let timer;
+  let onAbort;
+  const stopped = new Promise((_, reject) => {
+    const stop = error => {
+      controller.abort(error);
+      reject(error);
+    };
+    if (timeoutMs) {
+      timer = setTimeout(() => stop(new TimeoutError(label, timeoutMs)), timeoutMs);
+    }
+    onAbort = () => stop(new CancelledError(label));
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([Promise.resolve().then(() => task(controller.signal)), stopped]).finally(() => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  });
+}
@@ -0,0 +1,319 @@
+// Response cache for tool calls
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+const log = logger.child('tool-cache');
+
+// Seconds a result stays fresh, per tool. Tools not listed here are not cached.
+export const DEFAULT_TTLS = {
+  'wallet-balance': 30,
+  'trending-tokens': 120,
+  rugcheck: 600,
+  'brave-search': 3600,
+  brave_web_search: 3600,
+  brave_local_search: 3600
+};
+
+// Per-call cache modes: use the cache, skip it entirely, or fetch and replace the cached entry
+export const CACHE_MODES = ['default', 'bypass', 'refresh'];
+
+/**
+ * Read cache settings from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} ToolCache configuration
+ */
+export function loadCacheOptions(env = process.env) {
+  const ttls = { ...DEFAULT_TTLS };
+  if (env.TOOL_CACHE_TTLS) {
+    for (const pair of env.TOOL_CACHE_TTLS.split(',')) {
+      const [name, seconds] = pair.split('=').map(part => part?.trim());
+      if (name && !isNaN(parseInt(seconds, 10))) {
+        ttls[name] = parseInt(seconds, 10);
+      }
+    }
+  }
+
+  return {
+    ttls,
+    maxEntries: parseInt(env.TOOL_CACHE_MAX_ENTRIES, 10) || 500,
+    directory: env.TOOL_CACHE_DIR || null,
+    enabled: env.TOOL_CACHE !== 'false'
+  };
+}
+
+/**
+ * Serialize a value with object keys sorted, so equal params give equal keys
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Build the cache key for a tool call
+ * @param {string} name - Tool name
+ * @param {Object} params - Validated tool parameters
+ * @returns {string} Cache key
+ */
+export function cacheKey(name, params) {
+  return `${name}:${stableStringify(params || {})}`;
+}
+
+export class MemoryCache {
+  /**
+   * @param {Object} [config] - Cache configuration
+   * @param {number} [config.maxEntries=500] - Least recently used entries are evicted beyond this
+   */
+  constructor(config = {}) {
+    this.maxEntries = config.maxEntries || 500;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get an entry and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Entry
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // Re-insert to mark as most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Store an entry, evicting the least recently used beyond maxEntries
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry with value, storedAt and expiresAt
+   */
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+export class DiskCache {
+  /**
+   * @param {Object} config - Cache configuration
+   * @param {string} config.directory - Directory holding one JSON file per entry
+   */
+  constructor(config) {
+    this.directory = config.directory;
+  }
+
+  /**
+   * Get the file path for a key
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   */
+  pathFor(key) {
+    return path.join(this.directory, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  /**
+   * Read an entry from disk
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Entry, or undefined if missing or unreadable
+   */
+  async get(key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.pathFor(key), 'utf8'));
+      return entry.key === key ? entry : undefined;
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Write an entry to disk
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry with value, storedAt and expiresAt
+   */
+  async set(key, entry) {
+    const file = this.pathFor(key);
+    await fs.mkdir(this.directory, { recursive: true });
+    // Write to a temporary file first so readers never see a half-written entry
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify({ ...entry, key }));
+    await fs.rename(tempFile, file);
+  }
+
+  /**
+   * Remove an entry file
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    await fs.rm(this.pathFor(key), { force: true });
+  }
+
+  /**
+   * Remove the cache directory
+   */
+  async clear() {
+    await fs.rm(this.directory, { recursive: true, force: true });
+  }
+}
+
+export class ToolCache {
+  /**
+   * @param {Object} [config] - Cache configuration (see loadCacheOptions)
+   * @param {Object<string, number>} [config.ttls] - Seconds a result stays fresh, per tool
+   * @param {number} [config.maxEntries] - Size of the in-memory LRU
+   * @param {string} [config.directory] - Also keep entries on disk in this directory
+   * @param {boolean} [config.enabled=true] - Set to false to turn caching off
+   */
+  constructor(config = {}) {
+    this.ttls = config.ttls || DEFAULT_TTLS;
+    this.enabled = config.enabled !== false;
+    this.memory = new MemoryCache({ maxEntries: config.maxEntries });
+    this.disk = config.directory ? new DiskCache({ directory: config.directory }) : null;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Get the TTL for a tool
+   * @param {string} name - Tool name
+   * @returns {number} Seconds, 0 when the tool is not cached
+   */
+  ttlFor(name) {
+    return this.enabled ? this.ttls[name] || 0 : 0;
+  }
+
+  /**
+   * Look up a fresh entry, checking memory first and then disk
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Entry with value, storedAt and expiresAt
+   */
+  async lookup(key) {
+    let entry = await this.memory.get(key);
+    if (!entry && this.disk) {
+      entry = await this.disk.get(key);
+      if (entry) {
+        await this.memory.set(key, entry);
+      }
+    }
+
+    if (entry && entry.expiresAt <= Date.now()) {
+      await this.memory.delete(key);
+      await this.disk?.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Store a result
+   * @param {string} key - Cache key
+   * @param {any} value - Result to store
+   * @param {number} ttl - Seconds the result stays fresh
+   * @returns {Promise<Object>} The stored entry
+   */
+  async store(key, value, ttl) {
+    const storedAt = Date.now();
+    const entry = { value, storedAt, expiresAt: storedAt + ttl * 1000 };
+    await this.memory.set(key, entry);
+    if (this.disk) {
+      try {
+        await this.disk.set(key, entry);
+      } catch (error) {
+        log.error('Could not write cache entry to disk', { error });
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Return a cached result, or compute and cache it
+   * @param {string} name - Tool name
+   * @param {Object} params - Validated tool parameters
+   * @param {Function} compute - async () => result, called on a miss
+   * @param {Object} [options] - Call options
+   * @param {string} [options.mode='default'] - 'default', 'bypass' or 'refresh'
+   * @param {Function} [options.cacheable] - (result) => boolean, whether a result may be stored
+   * @returns {Promise<{value: any, cache: Object}>} Result and cache metadata
+   */
+  async wrap(name, params, compute, options = {}) {
+    const mode = options.mode || 'default';
+    const ttl = this.ttlFor(name);
+
+    if (ttl === 0 || mode === 'bypass') {
+      return { value: await compute(), cache: { status: ttl === 0 ? 'disabled' : 'bypass' } };
+    }
+
+    const key = cacheKey(name, params);
+    if (mode !== 'refresh') {
+      const entry = await this.lookup(key);
+      if (entry) {
+        this.stats.hits++;
+        return { value: entry.value, cache: this.describe('hit', entry, ttl) };
+      }
+    }
+
+    this.stats.misses++;
+    const value = await compute();
+    if (options.cacheable && !options.cacheable(value)) {
+      return { value, cache: { status: mode === 'refresh' ? 'refresh' : 'miss', stored: false, ttl } };
+    }
+
+    const entry = await this.store(key, value, ttl);
+    return { value, cache: this.describe(mode === 'refresh' ? 'refresh' : 'miss', entry, ttl) };
+  }
+
+  /**
+   * Build the cache metadata returned with a result
+   * @param {string} status - 'hit', 'miss' or 'refresh'
+   * @param {Object} entry - Cache entry
+   * @param {number} ttl - Tool TTL in seconds
+   * @returns {Object} Status, age and expiry
+   */
+  describe(status, entry, ttl) {
+    return {
+      status,
+      ttl,
+      age: Math.round((Date.now() - entry.storedAt) / 1000),
+      expiresAt: new Date(entry.expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Drop every cached result
+   */
+  async clear() {
+    await this.memory.clear();
+    await this.disk?.clear();
+  }
+}
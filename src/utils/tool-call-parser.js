@@ -0,0 +1,349 @@
+// Parser for <tool>name(...)</tool> blocks in model replies. Arguments are read
+// as JSON or JavaScript-style literals without evaluating any code.
+// Blocks may carry dependency hints: <tool id="search" after="other">.
+
+const TOOL_BLOCK_REGEX = /<tool(\s[^>]*)?>([\s\S]*?)<\/tool>/g;
+const TOOL_ATTRIBUTE_REGEX = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const TOOL_CALL_REGEX = /^\s*([A-Za-z_][\w.-]*)\s*\(([\s\S]*)\)\s*;?\s*$/;
+const IDENTIFIER_START = /[A-Za-z_$]/;
+const IDENTIFIER_PART = /[\w$]/;
+const NUMBER_REGEX = /^[+-]?(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?|Infinity)/;
+const KEYWORDS = { true: true, false: false, null: null, undefined: undefined };
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+/**
+ * Recursive-descent reader for JSON and JS object-literal syntax
+ */
+class LiteralReader {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  fail(message) {
+    const excerpt = this.text.slice(this.pos, this.pos + 20);
+    throw new Error(`${message} at position ${this.pos}${excerpt ? ` near "${excerpt}"` : ''}`);
+  }
+
+  peek() {
+    return this.text[this.pos];
+  }
+
+  atEnd() {
+    this.skipWhitespace();
+    return this.pos >= this.text.length;
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.text.length) {
+      const rest = this.text.slice(this.pos);
+      if (/^\s/.test(rest)) {
+        this.pos++;
+      } else if (rest.startsWith('//')) {
+        const end = this.text.indexOf('\n', this.pos);
+        this.pos = end === -1 ? this.text.length : end + 1;
+      } else if (rest.startsWith('/*')) {
+        const end = this.text.indexOf('*/', this.pos + 2);
+        if (end === -1) this.fail('Unterminated comment');
+        this.pos = end + 2;
+      } else {
+        break;
+      }
+    }
+  }
+
+  expect(char) {
+    this.skipWhitespace();
+    if (this.peek() !== char) this.fail(`Expected "${char}"`);
+    this.pos++;
+  }
+
+  readValue() {
+    this.skipWhitespace();
+    const char = this.peek();
+
+    if (char === undefined) this.fail('Unexpected end of arguments');
+    if (char === '{') return this.readObject();
+    if (char === '[') return this.readArray();
+    if (char === '"' || char === "'" || char === '`') return this.readString();
+
+    const number = this.text.slice(this.pos).match(NUMBER_REGEX);
+    if (number) {
+      this.pos += number[0].length;
+      return Number(number[0]);
+    }
+
+    if (IDENTIFIER_START.test(char)) {
+      const start = this.pos;
+      const word = this.readIdentifier();
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+        return KEYWORDS[word];
+      }
+      this.pos = start;
+      this.fail(`Unsupported identifier "${word}" (only literal values are allowed)`);
+    }
+
+    this.fail(`Unexpected character "${char}"`);
+  }
+
+  readIdentifier() {
+    const start = this.pos;
+    while (this.pos < this.text.length && IDENTIFIER_PART.test(this.peek())) {
+      this.pos++;
+    }
+    return this.text.slice(start, this.pos);
+  }
+
+  readString() {
+    const quote = this.peek();
+    let value = '';
+    this.pos++;
+
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos++];
+      if (char === quote) return value;
+
+      if (quote === '`' && char === '$' && this.peek() === '{') {
+        this.pos--;
+        this.fail('Template expressions are not allowed');
+      }
+
+      if (char !== '\\') {
+        value += char;
+        continue;
+      }
+
+      const escape = this.text[this.pos++];
+      if (escape === 'u') {
+        const hex = this.text.slice(this.pos, this.pos + 4);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) this.fail('Invalid unicode escape');
+        value += String.fromCharCode(parseInt(hex, 16));
+        this.pos += 4;
+      } else if (escape === '\n') {
+        // Line continuation
+      } else {
+        value += ESCAPES[escape] ?? escape;
+      }
+    }
+
+    this.fail('Unterminated string');
+  }
+
+  readArray() {
+    const items = [];
+    this.expect('[');
+
+    while (true) {
+      this.skipWhitespace();
+      if (this.peek() === ']') break;
+      items.push(this.readValue());
+      this.skipWhitespace();
+      if (this.peek() === ',') {
+        this.pos++;
+      } else if (this.peek() !== ']') {
+        this.fail('Expected "," or "]"');
+      }
+    }
+
+    this.pos++;
+    return items;
+  }
+
+  readObject() {
+    const object = {};
+    this.expect('{');
+
+    while (true) {
+      this.skipWhitespace();
+      if (this.peek() === '}') break;
+
+      const key = this.readKey();
+      this.expect(':');
+      // defineProperty keeps keys like __proto__ as plain data
+      Object.defineProperty(object, key, {
+        value: this.readValue(),
+        enumerable: true,
+        writable: true,
+        configurable: true
+      });
+
+      this.skipWhitespace();
+      if (this.peek() === ',') {
+        this.pos++;
+      } else if (this.peek() !== '}') {
+        this.fail('Expected "," or "}"');
+      }
+    }
+
+    this.pos++;
+    return object;
+  }
+
+  readKey() {
+    const char = this.peek();
+    if (char === '"' || char === "'") return this.readString();
+    if (IDENTIFIER_START.test(char)) return this.readIdentifier();
+
+    const number = this.text.slice(this.pos).match(/^\d+/);
+    if (number) {
+      this.pos += number[0].length;
+      return number[0];
+    }
+
+    this.fail('Expected a property name');
+  }
+}
+
+/**
+ * Parse a single JSON or JavaScript-style literal
+ * @param {string} text - Literal source
+ * @returns {any} Parsed value
+ */
+export function parseLiteral(text) {
+  const reader = new LiteralReader(text);
+  const value = reader.readValue();
+  if (!reader.atEnd()) reader.fail('Unexpected trailing content');
+  return value;
+}
+
+/**
+ * Parse a comma-separated argument list
+ * @param {string} text - Text between the call parentheses
+ * @returns {Array<any>} Argument values
+ */
+export function parseArgumentList(text) {
+  const reader = new LiteralReader(text);
+  const values = [];
+
+  while (!reader.atEnd()) {
+    values.push(reader.readValue());
+    if (reader.atEnd()) break;
+    reader.expect(',');
+  }
+
+  return values;
+}
+
+/**
+ * Map positional arguments onto schema properties, required ones first
+ * @param {Array<any>} values - Positional argument values
+ * @param {Object} schema - Tool parameters schema
+ * @returns {Object} Named arguments
+ */
+export function bindPositionalArguments(values, schema = {}) {
+  const names = [...new Set([
+    ...(schema.required || []),
+    ...Object.keys(schema.properties || {})
+  ])];
+
+  if (values.length > names.length) {
+    throw new Error(`Expected at most ${names.length} positional argument(s), got ${values.length}`);
+  }
+
+  return Object.fromEntries(values.map((value, index) => [names[index], value]));
+}
+
+/**
+ * Parse one tool call expression such as brave_web_search({ query: "x" })
+ * @param {string} expression - Content of a <tool> block
+ * @returns {{name: string, arguments: Object|Array}} Tool name and arguments.
+ * Arguments are an object for a single object literal, otherwise the list of positional values.
+ */
+export function parseToolCall(expression) {
+  const match = expression.match(TOOL_CALL_REGEX);
+  if (!match) {
+    throw new Error('Expected a call of the form tool_name({ ... })');
+  }
+
+  const [, name, argsText] = match;
+  const values = parseArgumentList(argsText);
+
+  if (values.length === 0) {
+    return { name, arguments: {} };
+  }
+  if (values.length === 1 && values[0] !== null && typeof values[0] === 'object' && !Array.isArray(values[0])) {
+    return { name, arguments: values[0] };
+  }
+  return { name, arguments: values };
+}
+
+/**
+ * Read the dependency hints of a <tool> tag
+ * @param {string} [attributes] - Text between "<tool" and ">"
+ * @returns {{id?: string, after?: Array<string>}} Call ID and the IDs of calls it waits for
+ */
+export function parseToolAttributes(attributes = '') {
+  const hints = {};
+  for (const match of attributes.matchAll(TOOL_ATTRIBUTE_REGEX)) {
+    const [, key, doubleQuoted, singleQuoted] = match;
+    const value = (doubleQuoted ?? singleQuoted).trim();
+    if (key === 'id' && value) {
+      hints.id = value;
+    } else if (key === 'after' && value) {
+      hints.after = value.split(/[\s,]+/).filter(Boolean);
+    }
+  }
+  return hints;
+}
+
+/**
+ * Extract every tool call from a model reply
+ * @param {string} content - Model reply
+ * @returns {Array<Object>} Calls with name, arguments, raw text and any dependency
+ * hints (id, after); malformed calls have an error message instead of arguments
+ */
+export function parseToolCalls(content) {
+  return [...(content || '').matchAll(TOOL_BLOCK_REGEX)].map(match => {
+    const hints = parseToolAttributes(match[1]);
+    const raw = match[2].trim();
+    try {
+      return { ...parseToolCall(raw), ...hints, raw };
+    } catch (error) {
+      const name = raw.match(/^\s*([A-Za-z_][\w.-]*)/)?.[1] || null;
+      return { name, ...hints, raw, error: `Malformed tool call: ${error.message}` };
+    }
+  });
+}
+
+/**
+ * Check whether text could be the start of an opening <tool> tag still being streamed
+ * @param {string} text - Text starting with "<"
+ * @returns {boolean}
+ */
+function isPartialToolTag(text) {
+  return '<tool'.startsWith(text) || /^<tool\s[^>]*$/.test(text);
+}
+
+/**
+ * Incrementally detects complete <tool>...</tool> blocks in streamed text
+ */
+export class ToolCallStreamDetector {
+  constructor() {
+    this.buffer = '';
+  }
+
+  /**
+   * Add a chunk of streamed text
+   * @param {string} text - Text chunk
+   * @returns {Array<Object>} Tool calls completed by this chunk (see parseToolCalls)
+   */
+  push(text) {
+    this.buffer += text;
+
+    // Without an opening tag only a partial "<tool ..." at the end can matter
+    if (!/<tool[\s>]/.test(this.buffer)) {
+      const start = this.buffer.lastIndexOf('<');
+      this.buffer = start !== -1 && isPartialToolTag(this.buffer.slice(start)) ? this.buffer.slice(start) : '';
+      return [];
+    }
+
+    const end = this.buffer.lastIndexOf('</tool>');
+    if (end === -1) {
+      return [];
+    }
+
+    const complete = this.buffer.slice(0, end + '</tool>'.length);
+    this.buffer = this.buffer.slice(complete.length);
+    return parseToolCalls(complete);
+  }
+}
@@ -0,0 +1,112 @@
+// Terminal progress for tool calls running side by side: each call gets its own
+// status line when it starts and when it ends (✔ or ✖ with its duration), and a
+// spinner below them names the calls still running
+import chalk from 'chalk';
+import ora from 'ora';
+
+/**
+ * Format a duration, e.g. 850ms or 2.3s
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+export class ToolProgress {
+  /**
+   * @param {Object} [options] - Display options
+   * @param {Object} [options.stream] - Stream the spinner is drawn on (default: stderr)
+   * @param {Function} [options.log] - Prints a status line (default: console.log)
+   */
+  constructor(options = {}) {
+    // discardStdin would swallow the Ctrl+C that cancels running calls
+    this.spinner = ora({ stream: options.stream || process.stderr, discardStdin: false });
+    this.log = options.log || (line => console.log(line));
+    this.running = new Map();
+    this.suspended = false;
+  }
+
+  /**
+   * Print a call's start line and show it as running
+   * @param {any} key - Identifies the call in finish()
+   * @param {string} label - What is running, e.g. "brave-search (📦 Local)"
+   */
+  start(key, label) {
+    this.running.set(key, { label, startedAt: Date.now() });
+    this.print(() => this.log(`${chalk.cyan('▶')} ${label}`));
+  }
+
+  /**
+   * Print a call's end line (✔ or ✖ with its duration), then its outcome
+   * @param {any} key - Key passed to start()
+   * @param {boolean} succeeded - Whether the call succeeded
+   * @param {Function} [report] - Prints the outcome
+   */
+  finish(key, succeeded, report) {
+    const call = this.running.get(key);
+    this.running.delete(key);
+    this.print(() => {
+      if (call) {
+        const symbol = succeeded ? chalk.green('✔') : chalk.red('✖');
+        this.log(`${symbol} ${call.label} ${chalk.gray(formatDuration(Date.now() - call.startedAt))}`);
+      }
+      report?.();
+    });
+  }
+
+  /**
+   * Print lines without them being overwritten by the spinner
+   * @param {Function} write - Prints the lines
+   */
+  print(write) {
+    this.spinner.clear();
+    write();
+    this.render();
+  }
+
+  /**
+   * Hide the spinner while a task uses the terminal, e.g. to ask the user something
+   * @param {Function} task - async () => any
+   * @returns {Promise<any>} Result of the task
+   */
+  async suspend(task) {
+    this.suspended = true;
+    this.spinner.stop();
+    try {
+      return await task();
+    } finally {
+      this.suspended = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Redraw the spinner, or stop it when nothing is running
+   */
+  render() {
+    if (this.suspended) {
+      return;
+    }
+    if (this.running.size === 0) {
+      this.spinner.stop();
+      return;
+    }
+
+    const labels = [...this.running.values()].map(call => call.label);
+    this.spinner.text = `Running ${labels.join(', ')}`;
+    if (this.spinner.isSpinning) {
+      this.spinner.render();
+    } else {
+      this.spinner.start();
+    }
+  }
+
+  /**
+   * Stop the spinner
+   */
+  stop() {
+    this.running.clear();
+    this.spinner.stop();
+  }
+}
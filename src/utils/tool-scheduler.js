@@ -0,0 +1,219 @@
+// Runs the tool calls of one agent reply concurrently. Calls with dependency
+// hints (<tool id="a">, <tool after="a">) wait for the calls they name, and
+// {{a.path}} placeholders in their arguments are filled from those results.
+
+export const DEFAULT_TOOL_CONCURRENCY = 4;
+
+// {{id}} or {{id.results[0].url}}
+const PLACEHOLDER_REGEX = /\{\{\s*([\w-]+)((?:\.[\w-]+|\[\d+\])*)\s*\}\}/g;
+
+/**
+ * Read the tool concurrency limit from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {number} Most tool calls run at the same time
+ */
+export function loadToolConcurrency(env = process.env) {
+  const concurrency = parseInt(env.TOOL_CONCURRENCY, 10);
+  return concurrency > 0 ? concurrency : DEFAULT_TOOL_CONCURRENCY;
+}
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at once, in the order they were queued
+ * @param {number} concurrency - Most tasks running at the same time
+ * @returns {Function} (task: () => Promise) => Promise with the task's result
+ */
+export function createLimiter(concurrency) {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Create a queue that asks for confirmations one at a time, even when calls run side by side.
+ * A confirmation may wait for something first (e.g. the reply to finish printing) and is
+ * not asked if its call was cancelled meanwhile.
+ * @returns {Function} (ask, options) => Promise with ask()'s answer, or null if the call was cancelled.
+ * options.beforePrompt is awaited before asking; options.isCancelled() is checked after it.
+ */
+export function createConfirmationQueue() {
+  const limit = createLimiter(1);
+  return (ask, options = {}) => limit(async () => {
+    await options.beforePrompt?.();
+    return options.isCancelled?.() ? null : ask();
+  });
+}
+
+/**
+ * Collect the call IDs referenced by {{id...}} placeholders
+ * @param {any} value - Tool call arguments
+ * @param {Set<string>} [ids] - Set to add to
+ * @returns {Set<string>}
+ */
+export function findPlaceholderIds(value, ids = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(PLACEHOLDER_REGEX)) {
+      ids.add(match[1]);
+    }
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => findPlaceholderIds(item, ids));
+  }
+  return ids;
+}
+
+/**
+ * Look up a path such as ".results[0].url" in a value
+ * @param {any} value - Value to read from
+ * @param {string} path - Property path
+ * @returns {any} The value at the path, or undefined
+ */
+function readPath(value, path) {
+  const keys = [...path.matchAll(/\.([\w-]+)|\[(\d+)\]/g)].map(match => match[1] ?? Number(match[2]));
+  return keys.reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+/**
+ * Replace {{id.path}} placeholders with values from earlier results. A string that is
+ * only a placeholder takes the referenced value as is; otherwise it is interpolated.
+ * @param {any} value - Tool call arguments
+ * @param {Object} results - Results by call ID
+ * @returns {any} Arguments with placeholders filled
+ * @throws {Error} If a placeholder points at a missing value
+ */
+export function fillPlaceholders(value, results) {
+  if (typeof value === 'string') {
+    const resolve = (id, path) => {
+      const resolved = readPath(results[id], path);
+      if (resolved === undefined) {
+        throw new Error(`Placeholder {{${id}${path}}} did not match the result of "${id}"`);
+      }
+      return resolved;
+    };
+
+    const whole = value.match(new RegExp(`^${PLACEHOLDER_REGEX.source}$`));
+    if (whole) {
+      return resolve(whole[1], whole[2]);
+    }
+    return value.replace(PLACEHOLDER_REGEX, (_, id, path) => {
+      const resolved = resolve(id, path);
+      return typeof resolved === 'string' ? resolved : JSON.stringify(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => fillPlaceholders(item, results));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillPlaceholders(item, results)]));
+  }
+  return value;
+}
+
+export class ToolCallScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Function} options.run - async (toolCall) => { toolName, success, result, error }
+   * @param {number} [options.concurrency] - Most calls running at the same time
+   * @param {Function} [options.onSkip] - (toolCall, toolResult) => void, for calls that never ran
+   */
+  constructor(options) {
+    this.run = options.run;
+    this.onSkip = options.onSkip;
+    this.limit = createLimiter(options.concurrency || DEFAULT_TOOL_CONCURRENCY);
+    this.runsById = new Map();
+    this.cancelled = false;
+    // Settles once no more calls will be added (close) or the calls were cancelled
+    this.closed = new Promise(resolve => { this.resolveClosed = resolve; });
+  }
+
+  /**
+   * Mark that no more calls will be added, e.g. because the reply they came from has ended
+   */
+  close() {
+    this.resolveClosed();
+  }
+
+  /**
+   * Stop calls that have not started yet; running calls are cancelled by their own signals
+   */
+  cancel() {
+    this.cancelled = true;
+    this.close();
+  }
+
+  /**
+   * Schedule a parsed tool call. Dependencies may only name calls added before it,
+   * so hints can never form a cycle.
+   * @param {Object} toolCall - Call from parseToolCalls()
+   * @returns {Promise<Object>} Tool result; never rejects
+   */
+  add(toolCall) {
+    const dependencies = [...new Set([
+      ...(toolCall.after || []),
+      ...(toolCall.error ? [] : findPlaceholderIds(toolCall.arguments))
+    ])];
+
+    const runPromise = this.schedule(toolCall, dependencies);
+    if (toolCall.id && !this.runsById.has(toolCall.id)) {
+      this.runsById.set(toolCall.id, runPromise);
+    }
+    return runPromise;
+  }
+
+  async schedule(toolCall, dependencies) {
+    const skip = error => {
+      const toolResult = { toolName: toolCall.name || toolCall.raw, success: false, skipped: true, error };
+      this.onSkip?.(toolCall, toolResult);
+      return toolResult;
+    };
+
+    if (toolCall.id && this.runsById.has(toolCall.id)) {
+      return skip(`Duplicate tool call id "${toolCall.id}"`);
+    }
+    const unknown = dependencies.find(id => !this.runsById.has(id));
+    if (unknown) {
+      return skip(`Depends on unknown tool call "${unknown}" (only earlier calls can be referenced)`);
+    }
+
+    const dependencyResults = await Promise.all(dependencies.map(id => this.runsById.get(id)));
+    const failed = dependencies.find((_, index) => !dependencyResults[index].success);
+    if (failed) {
+      return skip(`Skipped because "${failed}" failed`);
+    }
+
+    let call = toolCall;
+    if (dependencies.length > 0 && !toolCall.error) {
+      const results = Object.fromEntries(dependencies.map((id, index) => [id, dependencyResults[index].result]));
+      try {
+        call = { ...toolCall, arguments: fillPlaceholders(toolCall.arguments, results) };
+      } catch (error) {
+        return skip(error.message);
+      }
+    }
+
+    try {
+      return await this.limit(() => (this.cancelled
+        ? { toolName: toolCall.name, success: false, cancelled: true, error: 'Cancelled by the user' }
+        : this.run(call)));
+    } catch (error) {
+      return { toolName: toolCall.name, success: false, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import { AgentLoop, loadAgentLimits } from '../src/utils/agent-loop.js';
+
+const calls = (...names) => names.map(name => ({ name }));
+
+// Replies with the given tool calls in turn, then answers without tools
+function scriptedReply(...rounds) {
+  return jest.fn(async (message, { step }) => ({ content: `reply ${step}`, toolCalls: rounds[step - 1] || [] }));
+}
+
+function createLoop(options) {
+  return new AgentLoop({
+    runTools: jest.fn(async toolCalls => toolCalls.map(call => ({ toolName: call.name, success: true }))),
+    followUp: jest.fn((results, { final, reason }) => ({ role: 'user', content: JSON.stringify({ results: results.length, final, reason }) })),
+    ...options
+  });
+}
+
+describe('AgentLoop', () => {
+  test('runs rounds of tools until the model answers without tools', async () => {
+    const loop = createLoop({ reply: scriptedReply(calls('a', 'b'), calls('c')) });
+    const trace = await loop.run({ role: 'user', content: 'q' });
+
+    expect(trace).toMatchObject({ iterations: 2, toolCalls: 3, stopReason: 'answered' });
+    expect(trace.steps.map(step => step.type)).toEqual(['reply', 'tools', 'reply', 'tools', 'reply']);
+    expect(loop.followUp).toHaveBeenLastCalledWith([{ toolName: 'c', success: true }], { final: false, reason: undefined });
+  });
+
+  test('asks for a final answer after the last allowed round and ignores its tool calls', async () => {
+    const reply = scriptedReply(calls('a'), calls('b'), calls('c'));
+    const loop = createLoop({ reply, limits: { maxIterations: 2 } });
+    const trace = await loop.run({ role: 'user', content: 'q' });
+
+    expect(trace).toMatchObject({ iterations: 2, stopReason: 'max_iterations' });
+    expect(reply).toHaveBeenLastCalledWith(expect.anything(), expect.objectContaining({ step: 3, final: true }));
+    expect(trace.steps.at(-1)).toMatchObject({ type: 'reply', ignoredToolCalls: 1 });
+    expect(loop.runTools).toHaveBeenCalledTimes(2);
+  });
+
+  test('runs only the calls left under the tool call limit', async () => {
+    const reply = scriptedReply(calls('a', 'b'), calls('c', 'd', 'e'));
+    const loop = createLoop({ reply, limits: { maxToolCalls: 3 } });
+    const trace = await loop.run({ role: 'user', content: 'q' });
+
+    expect(trace).toMatchObject({ toolCalls: 3, stopReason: 'max_tool_calls' });
+    expect(loop.runTools).toHaveBeenLastCalledWith(calls('c'), { step: 2 });
+    expect(trace.steps[3].results.map(result => result.skipped || false)).toEqual([false, true, true]);
+    expect(reply.mock.calls.map(([, context]) => context.remainingToolCalls)).toEqual([3, 1, 0]);
+  });
+
+  test('skips the round when the time limit has passed', async () => {
+    let now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    try {
+      const reply = jest.fn(async () => {
+        now += 1000;
+        return { content: 'x', toolCalls: calls('a') };
+      });
+      const loop = createLoop({ reply, limits: { maxDurationMs: 500 } });
+      const trace = await loop.run({ role: 'user', content: 'q' });
+
+      expect(trace).toMatchObject({ iterations: 0, stopReason: 'max_duration' });
+      expect(trace.steps[1]).toEqual({ step: 1, type: 'limit', reason: 'max_duration', skippedToolCalls: 1 });
+      expect(reply.mock.calls[0][1].deadline).toBe(500);
+      expect(loop.runTools).not.toHaveBeenCalled();
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('stops when a tool is cancelled or the model cannot be reached', async () => {
+    const cancelled = createLoop({
+      reply: scriptedReply(calls('a')),
+      runTools: async () => [{ toolName: 'a', success: false, cancelled: true }]
+    });
+    await expect(cancelled.run({})).resolves.toMatchObject({ stopReason: 'cancelled' });
+
+    const failing = createLoop({ reply: async () => ({ error: new Error('offline') }) });
+    const trace = await failing.run({});
+    expect(trace).toMatchObject({ stopReason: 'error', iterations: 0 });
+    expect(trace.steps[0].error).toBe('offline');
+  });
+});
+
+test('loadAgentLimits ignores values that are not positive numbers', () => {
+  expect(loadAgentLimits({ AGENT_MAX_ITERATIONS: '2', AGENT_MAX_TOOL_CALLS: '-1', AGENT_MAX_DURATION_MS: 'x' }))
+    .toEqual({ maxIterations: 2, maxToolCalls: 20, maxDurationMs: 300000 });
+});
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ApprovalPolicy, loadApprovalRules } from '../src/utils/approval-policy.js';
+
+const rugcheck = { name: 'rugcheck', source: 'local' };
+const walletBalance = { name: 'wallet-balance' };
+const braveSearch = { name: 'brave_web_search', source: 'smithery' };
+
+describe('ApprovalPolicy', () => {
+  test('prefers the exact name, then the longest prefix, then the source, then "*"', () => {
+    const policy = new ApprovalPolicy({
+      rules: { '*': 'deny', 'source:smithery': 'confirm', 'brave_*': 'auto', 'brave_web_*': 'deny', 'wallet-balance': 'confirm', 'source:local': 'auto' }
+    });
+
+    expect(policy.decide(braveSearch)).toEqual({ decision: 'deny', rule: 'brave_web_*', scope: 'project' });
+    expect(policy.decide({ name: 'brave_local_search', source: 'smithery' })).toMatchObject({ rule: 'brave_*' });
+    expect(policy.decide({ name: 'fetch', source: 'smithery' })).toMatchObject({ decision: 'confirm', rule: 'source:smithery' });
+    expect(policy.decide(walletBalance)).toMatchObject({ decision: 'confirm', rule: 'wallet-balance' });
+    expect(policy.decide(rugcheck)).toMatchObject({ decision: 'auto', rule: 'source:local' });
+    expect(policy.decide({ name: 'x', source: 'mcp' })).toMatchObject({ decision: 'deny', rule: '*' });
+  });
+
+  test('session rules win over project rules, however specific', () => {
+    const policy = new ApprovalPolicy({ rules: { rugcheck: 'deny' } });
+    policy.setSessionRule('*', 'auto');
+
+    expect(policy.decide(rugcheck)).toEqual({ decision: 'auto', rule: '*', scope: 'session' });
+    expect(policy.removeSessionRule('*')).toBe(true);
+    expect(policy.decide(rugcheck)).toMatchObject({ decision: 'deny', scope: 'project' });
+  });
+
+  test('falls back to the default decision', () => {
+    expect(new ApprovalPolicy({ defaultDecision: 'confirm' }).decide(rugcheck)).toEqual({ decision: 'confirm', rule: null, scope: 'default' });
+  });
+
+  test('rejects unknown decisions and drops them from saved sessions', () => {
+    const policy = new ApprovalPolicy();
+    expect(() => policy.setSessionRule('rugcheck', 'maybe')).toThrow('Invalid approval "maybe" in the session rule');
+
+    policy.restore({ rugcheck: 'deny', other: 'maybe' });
+    expect(policy.toJSON()).toEqual({ rugcheck: 'deny' });
+  });
+});
+
+describe('loadApprovalRules', () => {
+  test('reads rules from the config file, with the environment default first', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'approvals-'));
+    const file = path.join(directory, 'tool-approvals.json');
+    fs.writeFileSync(file, JSON.stringify({ default: 'deny', rules: { rugcheck: 'auto' } }));
+    try {
+      expect(loadApprovalRules({ TOOL_APPROVALS_CONFIG: file })).toEqual({ defaultDecision: 'deny', rules: { rugcheck: 'auto' } });
+      expect(loadApprovalRules({ TOOL_APPROVALS_CONFIG: file, TOOL_APPROVAL_DEFAULT: 'confirm' }).defaultDecision).toBe('confirm');
+
+      fs.writeFileSync(file, JSON.stringify({ rules: { rugcheck: 'yes' } }));
+      expect(() => loadApprovalRules({ TOOL_APPROVALS_CONFIG: file })).toThrow(`Invalid approval "yes" in ${file}`);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('fails for a missing config file that was named explicitly', () => {
+    const file = path.join(os.tmpdir(), 'no-such-approvals.json');
+    expect(() => loadApprovalRules({ TOOL_APPROVALS_CONFIG: file })).toThrow(`Tool approval config file not found: ${file}`);
+  });
+});
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ApiKeyAuth, canUseTool, hashApiKey, loadApiClients } from '../src/utils/auth.js';
+
+const missing = path.join(os.tmpdir(), 'no-such-api-keys.json');
+
+describe('loadApiClients', () => {
+  test('reads keys from API_KEYS with access to every tool', () => {
+    expect(loadApiClients({ API_KEYS: 'alice=a=b, bob=key2' })
+      .filter(client => ['alice', 'bob'].includes(client.name))).toEqual([
+      { name: 'alice', keyHash: hashApiKey('a=b'), tools: ['*'], rateLimit: undefined, admin: false },
+      { name: 'bob', keyHash: hashApiKey('key2'), tools: ['*'], rateLimit: undefined, admin: false }
+    ]);
+  });
+
+  test('reads clients, allowlists and admin flags from the config file', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+    const file = path.join(directory, 'api-keys.json');
+    fs.writeFileSync(file, JSON.stringify({
+      clients: {
+        ops: { key: 'k1', admin: true },
+        bot: { keySha256: 'a'.repeat(64), tools: ['brave_*'], rateLimit: { burst: 2 } }
+      }
+    }));
+
+    try {
+      expect(loadApiClients({ API_KEYS_CONFIG: file })).toEqual([
+        { name: 'ops', keyHash: hashApiKey('k1'), tools: ['*'], rateLimit: undefined, admin: true },
+        { name: 'bot', keyHash: 'a'.repeat(64), tools: ['brave_*'], rateLimit: { burst: 2 }, admin: false }
+      ]);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('rejects a missing config file and clients without a valid key', () => {
+    expect(() => loadApiClients({ API_KEYS_CONFIG: missing })).toThrow(`API key config file not found: ${missing}`);
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+    const file = path.join(directory, 'api-keys.json');
+    try {
+      fs.writeFileSync(file, JSON.stringify({ clients: { bot: { keySha256: 'xyz' } } }));
+      expect(() => loadApiClients({ API_KEYS_CONFIG: file })).toThrow('API client bot has an invalid keySha256');
+      fs.writeFileSync(file, JSON.stringify({ clients: { bot: {} } }));
+      expect(() => loadApiClients({ API_KEYS_CONFIG: file })).toThrow('API client bot needs a key or keySha256');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('loads the example config as shipped', () => {
+    const example = fileURLToPath(new URL('../api-keys.example.json', import.meta.url));
+    const clients = loadApiClients({ API_KEYS_CONFIG: example });
+
+    expect(clients.map(client => client.name)).toEqual(['alice', 'research-bot']);
+    expect(clients[1].keyHash).toBe(hashApiKey('replace-with-another-long-random-key'));
+  });
+});
+
+test('canUseTool matches names, prefixes and the wildcard', () => {
+  const client = { tools: ['rugcheck', 'brave_*'] };
+  expect(canUseTool(client, 'rugcheck')).toBe(true);
+  expect(canUseTool(client, 'brave_web_search')).toBe(true);
+  expect(canUseTool(client, 'brave-search')).toBe(false);
+  expect(canUseTool({ tools: ['*'] }, 'anything')).toBe(true);
+});
+
+test('ApiKeyAuth finds the client a token belongs to', () => {
+  const auth = new ApiKeyAuth([{ name: 'alice', keyHash: hashApiKey('secret') }]);
+  expect(auth.enabled).toBe(true);
+  expect(auth.authenticate('secret')).toMatchObject({ name: 'alice' });
+  expect(auth.authenticate('wrong')).toBeNull();
+  expect(auth.authenticate(undefined)).toBeNull();
+  expect(new ApiKeyAuth([]).enabled).toBe(false);
+});
@@ -0,0 +1,113 @@
+import { jest } from '@jest/globals';
+import { CircuitBreaker, CircuitOpenError, CircuitState, loadBreakerOptions } from '../src/utils/circuit-breaker.js';
+
+const fail = message => async () => { throw new Error(message); };
+const succeed = value => async () => value;
+
+describe('CircuitBreaker', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('opens after the failure threshold and fails fast', async () => {
+    const onStateChange = jest.fn();
+    const breaker = new CircuitBreaker({ name: 'brave', failureThreshold: 2, onStateChange });
+
+    await expect(breaker.execute(fail('one'))).rejects.toThrow('one');
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+    await expect(breaker.execute(fail('two'))).rejects.toThrow('two');
+    expect(breaker.state).toBe(CircuitState.OPEN);
+    expect(onStateChange).toHaveBeenCalledWith('closed', 'open', '2 consecutive failures, last: two');
+
+    const request = jest.fn();
+    await expect(breaker.execute(request)).rejects.toThrow(new CircuitOpenError('brave', new Error('two')));
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  test('a success resets the failure count', async () => {
+    const breaker = new CircuitBreaker({ name: 'x', failureThreshold: 2 });
+    await expect(breaker.execute(fail('a'))).rejects.toThrow();
+    await breaker.execute(succeed(1));
+    await expect(breaker.execute(fail('b'))).rejects.toThrow();
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+  });
+
+  test('ignores errors that are not upstream failures', async () => {
+    const breaker = new CircuitBreaker({ name: 'x', failureThreshold: 1, isFailure: error => error.message !== 'bad input' });
+    await expect(breaker.execute(fail('bad input'))).rejects.toThrow();
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+  });
+
+  describe('without a probe', () => {
+    test('lets a single trial through after the reset timeout', async () => {
+      const breaker = new CircuitBreaker({ name: 'x', failureThreshold: 1, resetTimeoutMs: 1000 });
+      await expect(breaker.execute(fail('down'))).rejects.toThrow();
+
+      now += 999;
+      expect(breaker.canRequest()).toBe(false);
+      now += 1;
+
+      let finishTrial;
+      const trial = breaker.execute(() => new Promise(resolve => { finishTrial = resolve; }));
+      expect(breaker.state).toBe(CircuitState.HALF_OPEN);
+      await expect(breaker.execute(succeed('second'))).rejects.toThrow(CircuitOpenError);
+
+      finishTrial('ok');
+      await expect(trial).resolves.toBe('ok');
+      expect(breaker.state).toBe(CircuitState.CLOSED);
+    });
+
+    test('opens again when the trial fails', async () => {
+      const breaker = new CircuitBreaker({ name: 'x', failureThreshold: 1, resetTimeoutMs: 1000 });
+      await expect(breaker.execute(fail('down'))).rejects.toThrow();
+      now += 1000;
+      await expect(breaker.execute(fail('still down'))).rejects.toThrow('still down');
+      expect(breaker.state).toBe(CircuitState.OPEN);
+      expect(breaker.getStatus()).toMatchObject({ state: 'open', lastError: 'still down', failures: 2 });
+    });
+
+    test('closes when the trial reaches the upstream but fails for another reason', async () => {
+      const breaker = new CircuitBreaker({ name: 'x', failureThreshold: 1, resetTimeoutMs: 10, isFailure: error => error.message === 'down' });
+      await expect(breaker.execute(fail('down'))).rejects.toThrow();
+      now += 10;
+      await expect(breaker.execute(fail('bad input'))).rejects.toThrow('bad input');
+      expect(breaker.state).toBe(CircuitState.CLOSED);
+    });
+  });
+
+  describe('with a probe', () => {
+    test('probes in the background and closes when it succeeds', async () => {
+      jest.useFakeTimers();
+      const probe = jest.fn().mockRejectedValueOnce(new Error('not yet')).mockResolvedValueOnce();
+      const breaker = new CircuitBreaker({ name: 'x', failureThreshold: 1, resetTimeoutMs: 1000, probe });
+
+      breaker.trip(new Error('unreachable'));
+      expect(breaker.state).toBe(CircuitState.OPEN);
+      // Requests wait for the probe instead of becoming the trial
+      now += 5000;
+      expect(breaker.canRequest()).toBe(false);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(probe).toHaveBeenCalledTimes(1);
+      expect(breaker.state).toBe(CircuitState.OPEN);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(probe).toHaveBeenCalledTimes(2);
+      expect(breaker.state).toBe(CircuitState.CLOSED);
+      breaker.close();
+    });
+  });
+});
+
+test('loadBreakerOptions reads only the settings that are set', () => {
+  expect(loadBreakerOptions({ CIRCUIT_FAILURE_THRESHOLD: '5' })).toEqual({ failureThreshold: 5 });
+  expect(loadBreakerOptions({ CIRCUIT_RESET_TIMEOUT_MS: 'soon' })).toEqual({});
+});
@@ -0,0 +1,74 @@
+import { jest } from '@jest/globals';
+import { Conversation, estimateTokens } from '../src/utils/conversation.js';
+
+const user = content => ({ role: 'user', content });
+const assistant = content => ({ role: 'assistant', content });
+
+describe('Conversation', () => {
+  test('sends the history before the pending messages', async () => {
+    const conversation = new Conversation();
+    conversation.addTurn(user('hi'), assistant('hello'));
+    conversation.appendToTurn(user('tool results'), assistant('summary'));
+
+    expect(await conversation.buildMessages([user('next')])).toEqual([
+      user('hi'), assistant('hello'), user('tool results'), assistant('summary'), user('next')
+    ]);
+    expect(conversation.length).toBe(1);
+  });
+
+  test('drops the oldest turns beyond maxTurns, leaving room for the new one', async () => {
+    const conversation = new Conversation({ maxTurns: 2 });
+    conversation.addTurn(user('1'), assistant('a'));
+    conversation.addTurn(user('2'), assistant('b'));
+
+    expect(await conversation.buildMessages([user('3')])).toEqual([user('2'), assistant('b'), user('3')]);
+  });
+
+  test('drops turns to fit the token budget but keeps the current turn when appending', async () => {
+    const conversation = new Conversation({ maxTokens: 10 });
+    conversation.addTurn(user('x'.repeat(20)), assistant('y'.repeat(20)));
+    conversation.addTurn(user('z'.repeat(20)), assistant('w'.repeat(20)));
+
+    const messages = await conversation.buildMessages([user('more')], { newTurn: false });
+    expect(messages).toEqual([user('z'.repeat(20)), assistant('w'.repeat(20)), user('more')]);
+  });
+
+  test('summarizes dropped turns when a summarizer is set', async () => {
+    const summarize = jest.fn(async (dropped, previous) => `${previous ?? ''}[${dropped.map(m => m.content).join(',')}]`);
+    const conversation = new Conversation({ maxTurns: 1, summarize });
+    conversation.addTurn(user('1'), assistant('a'));
+
+    const messages = await conversation.buildMessages([user('2')]);
+    expect(summarize).toHaveBeenCalledWith([user('1'), assistant('a')], null);
+    expect(messages).toEqual([
+      { role: 'system', content: 'Summary of the earlier conversation:\n[1,a]' },
+      user('2')
+    ]);
+  });
+
+  test('keeps going without a summary when summarizing fails', async () => {
+    const conversation = new Conversation({ maxTurns: 1, summarize: async () => { throw new Error('down'); } });
+    conversation.addTurn(user('1'), assistant('a'));
+
+    expect(await conversation.buildMessages([user('2')])).toEqual([user('2')]);
+    expect(conversation.summary).toBeNull();
+  });
+
+  test('round-trips through toJSON and restore', () => {
+    const conversation = new Conversation();
+    conversation.addTurn(user('hi'), assistant('hello'));
+    conversation.summary = 'earlier';
+
+    const restored = new Conversation();
+    restored.restore(JSON.parse(JSON.stringify(conversation)));
+    expect(restored.getMessages()).toEqual([user('hi'), assistant('hello')]);
+    expect(restored.summary).toBe('earlier');
+
+    restored.restore(null);
+    expect(restored.length).toBe(0);
+  });
+});
+
+test('estimateTokens counts about four characters per token', () => {
+  expect(estimateTokens([user('12345678'), assistant('1')])).toBe(3);
+});
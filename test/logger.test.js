@@ -0,0 +1,74 @@
+import {
+  Logger,
+  ensureRequestId,
+  formatPretty,
+  getRequestId,
+  loadLoggerOptions,
+  withRequestContext
+} from '../src/utils/logger.js';
+
+function capture(config = {}) {
+  const lines = [];
+  const logger = new Logger({ stream: { write: line => lines.push(line) }, ...config });
+  return { logger, entries: () => lines.map(line => JSON.parse(line)) };
+}
+
+describe('Logger', () => {
+  test('writes JSON lines at or above its level', () => {
+    const { logger, entries } = capture({ level: 'warn' });
+    logger.info('hidden');
+    logger.warn('shown', { tool: 'rugcheck', skipped: undefined });
+
+    expect(entries()).toEqual([{ time: expect.any(String), level: 'warn', msg: 'shown', tool: 'rugcheck' }]);
+  });
+
+  test('children add their name and fields and share the root settings', () => {
+    const { logger, entries } = capture();
+    const child = logger.child('upstream').child({ upstream: 'brave' });
+    logger.configure({ level: 'debug' });
+    child.debug('Upstream call finished');
+
+    expect(entries()[0]).toMatchObject({ level: 'debug', name: 'upstream', upstream: 'brave' });
+  });
+
+  test('tags entries with the request being handled', async () => {
+    const { logger, entries } = capture();
+    await withRequestContext({ requestId: 'abc-123' }, async () => {
+      await Promise.resolve();
+      expect(getRequestId()).toBe('abc-123');
+      logger.info('Tool call');
+    });
+    logger.info('Outside');
+
+    expect(entries().map(entry => entry.requestId)).toEqual(['abc-123', undefined]);
+  });
+
+  test('serializes errors, with stacks only at debug level', () => {
+    const { logger, entries } = capture();
+    const error = Object.assign(new Error('boom'), { status: 502 });
+    logger.error('Failed', { error });
+    logger.configure({ level: 'debug' });
+    logger.error('Failed', { error });
+
+    const [info, debug] = entries();
+    expect(info.error).toEqual({ name: 'Error', message: 'boom', status: 502 });
+    expect(debug.error.stack).toContain('boom');
+  });
+});
+
+test('ensureRequestId keeps safe client IDs and replaces others', () => {
+  expect(ensureRequestId('req-1.a:b')).toBe('req-1.a:b');
+  expect(ensureRequestId('bad id\n')).toMatch(/^[0-9a-f]{16}$/);
+  expect(ensureRequestId(undefined)).toMatch(/^[0-9a-f]{16}$/);
+});
+
+test('loadLoggerOptions picks the level and format', () => {
+  expect(loadLoggerOptions({ DEBUG: 'true' }, { isTTY: true })).toEqual({ level: 'debug', format: 'pretty' });
+  expect(loadLoggerOptions({ LOG_LEVEL: 'WARN' }, {})).toEqual({ level: 'warn', format: 'json' });
+  expect(() => loadLoggerOptions({ LOG_LEVEL: 'loud' }, {})).toThrow('Invalid LOG_LEVEL "loud"');
+});
+
+test('formatPretty puts the message before the fields', () => {
+  const line = formatPretty({ time: '2026-10-18T09:12:03.481Z', level: 'info', name: 'server', msg: 'Tool call', tool: 'rugcheck' });
+  expect(line.replace(new RegExp('\\u001b\\[[0-9;]*m', 'g'), '')).toBe('09:12:03.481 INFO  [server] Tool call tool=rugcheck');
+});
@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ToolRegistry } from '../src/tools/registry.js';
+import { createMcpServer } from '../src/utils/mcp-server.js';
+
+function fakeTool(name, execute) {
+  return {
+    name,
+    description: `${name} tool`,
+    getParameters: () => ({
+      type: 'object',
+      required: ['query'],
+      properties: { query: { type: 'string' }, count: { type: 'integer', default: 5 } }
+    }),
+    execute: jest.fn(execute)
+  };
+}
+
+async function connect(registry, options) {
+  const server = createMcpServer(registry, options);
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  return { client, server };
+}
+
+describe('createMcpServer', () => {
+  let search;
+  let failing;
+  let connection;
+  let onToolCall;
+  let beforeListTools;
+
+  beforeEach(async () => {
+    search = fakeTool('search', async params => ({ echoed: params }));
+    failing = fakeTool('failing', async () => {
+      throw new Error('upstream is down');
+    });
+    onToolCall = jest.fn();
+    beforeListTools = jest.fn(async () => {});
+    const registry = new ToolRegistry()
+      .register(search)
+      .register(failing)
+      .register(fakeTool('secret', async () => 'hidden'));
+
+    connection = await connect(registry, {
+      beforeListTools,
+      onToolCall,
+      allowTool: name => name !== 'secret'
+    });
+  });
+
+  afterEach(async () => {
+    await connection.client.close();
+    await connection.server.close();
+  });
+
+  test('lists the allowed tools with their input schemas', async () => {
+    const { tools } = await connection.client.listTools();
+
+    expect(beforeListTools).toHaveBeenCalled();
+    expect(tools.map(tool => tool.name)).toEqual(['search', 'failing']);
+    expect(tools[0]).toEqual({
+      name: 'search',
+      description: 'search tool',
+      inputSchema: search.getParameters()
+    });
+  });
+
+  test('dispatches a call with validated parameters and returns the result as text', async () => {
+    const result = await connection.client.callTool({ name: 'search', arguments: { query: 'sol', count: '3' } });
+
+    expect(search.execute).toHaveBeenCalledWith(
+      { query: 'sol', count: 3 },
+      { signal: expect.any(AbortSignal) }
+    );
+    expect(result.isError).toBeUndefined();
+    expect(JSON.parse(result.content[0].text)).toEqual({ echoed: { query: 'sol', count: 3 } });
+    expect(onToolCall).toHaveBeenCalledWith({
+      tool: 'search',
+      result: { echoed: { query: 'sol', count: 3 } },
+      durationMs: expect.any(Number)
+    });
+  });
+
+  test('maps a failing tool to an error result', async () => {
+    const result = await connection.client.callTool({ name: 'failing', arguments: { query: 'sol' } });
+
+    expect(result).toEqual({ content: [{ type: 'text', text: 'upstream is down' }], isError: true });
+    expect(onToolCall).toHaveBeenCalledWith({
+      tool: 'failing',
+      error: expect.objectContaining({ message: 'upstream is down' }),
+      durationMs: expect.any(Number)
+    });
+  });
+
+  test('maps invalid parameters to an error result without calling the tool', async () => {
+    const result = await connection.client.callTool({ name: 'search', arguments: {} });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toBe('Invalid parameters for search: query is required');
+    expect(search.execute).not.toHaveBeenCalled();
+  });
+
+  test('maps unknown and disallowed tools to error results', async () => {
+    await expect(connection.client.callTool({ name: 'missing', arguments: {} })).resolves.toEqual({
+      content: [{ type: 'text', text: 'Unknown tool: missing' }],
+      isError: true
+    });
+    await expect(connection.client.callTool({ name: 'secret', arguments: { query: 'x' } })).resolves.toEqual({
+      content: [{ type: 'text', text: 'Tool secret is not allowed for this API key' }],
+      isError: true
+    });
+    expect(onToolCall).toHaveBeenCalledTimes(1);
+  });
+});
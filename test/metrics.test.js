@@ -0,0 +1,51 @@
+import { MetricsRegistry } from '../src/utils/metrics.js';
+
+describe('MetricsRegistry', () => {
+  test('renders counters per label set in the exposition format', () => {
+    const metrics = new MetricsRegistry();
+    const calls = metrics.counter({ name: 'tool_calls_total', help: 'Tool calls', labelNames: ['tool', 'outcome'] });
+    calls.inc({ tool: 'rugcheck', outcome: 'success' });
+    calls.inc({ tool: 'rugcheck', outcome: 'success' }, 2);
+    calls.inc({ tool: 'say "hi"\n' });
+
+    expect(metrics.render()).toBe([
+      '# HELP tool_calls_total Tool calls',
+      '# TYPE tool_calls_total counter',
+      'tool_calls_total{tool="rugcheck",outcome="success"} 3',
+      'tool_calls_total{tool="say \\"hi\\"\\n",outcome=""} 1',
+      ''
+    ].join('\n'));
+  });
+
+  test('returns the metric already registered under a name', () => {
+    const metrics = new MetricsRegistry();
+    const first = metrics.counter({ name: 'x_total', help: 'x' });
+    expect(metrics.counter({ name: 'x_total', help: 'other' })).toBe(first);
+  });
+
+  test('refreshes collected values before each scrape', () => {
+    const metrics = new MetricsRegistry();
+    let open = 1;
+    metrics.gauge({ name: 'circuit_open', help: 'Open circuits', collect: gauge => gauge.set({}, open) });
+
+    expect(metrics.render()).toContain('circuit_open 1');
+    open = 0;
+    expect(metrics.render()).toContain('circuit_open 0');
+  });
+
+  test('histograms count observations into cumulative buckets', () => {
+    const metrics = new MetricsRegistry();
+    const duration = metrics.histogram({ name: 'duration_seconds', help: 'Duration', labelNames: ['tool'], buckets: [1, 0.1] });
+    duration.observe({ tool: 'a' }, 0.05);
+    duration.observe({ tool: 'a' }, 0.5);
+    duration.observe({ tool: 'a' }, 3);
+
+    expect(metrics.render().split('\n').slice(2, -1)).toEqual([
+      'duration_seconds_bucket{tool="a",le="0.1"} 1',
+      'duration_seconds_bucket{tool="a",le="1"} 2',
+      'duration_seconds_bucket{tool="a",le="+Inf"} 3',
+      'duration_seconds_sum{tool="a"} 3.55',
+      'duration_seconds_count{tool="a"} 3'
+    ]);
+  });
+});
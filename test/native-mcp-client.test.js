@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { NativeMCPClient, splitCommandLine } from '../src/utils/native-mcp-client.js';
+import { CancelledError } from '../src/utils/timeout.js';
+
+const searchSchema = { type: 'object', properties: { query: { type: 'string' } } };
+
+/**
+ * An MCP server on the other end of an in-memory transport, answering tool calls
+ * with whatever reply() returns for the request
+ */
+function fakeServer(reply) {
+  const server = new Server({ name: 'fake', version: '1.0.0' }, { capabilities: { tools: {} } });
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [{ name: 'search', description: 'Search the web', inputSchema: searchSchema }]
+  }));
+  server.setRequestHandler(CallToolRequestSchema, reply);
+  return server;
+}
+
+/**
+ * A client whose transport leads to the given server
+ */
+function clientFor(server) {
+  const client = new NativeMCPClient({ command: 'node src/server.js --stdio' });
+  client.createTransport = jest.fn(() => {
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    server.connect(serverTransport);
+    return clientTransport;
+  });
+  return client;
+}
+
+describe('splitCommandLine', () => {
+  test('splits on spaces and keeps quoted arguments together', () => {
+    expect(splitCommandLine('node "my server.js" --name \'a b\' --stdio')).toEqual({
+      command: 'node',
+      args: ['my server.js', '--name', 'a b', '--stdio']
+    });
+  });
+});
+
+describe('NativeMCPClient', () => {
+  let reply;
+  let client;
+
+  beforeEach(() => {
+    reply = jest.fn(async request => ({
+      content: [{ type: 'text', text: JSON.stringify({ echoed: request.params.arguments }) }]
+    }));
+    client = clientFor(fakeServer(reply));
+  });
+
+  afterEach(() => client.close());
+
+  test('needs a command or a url', () => {
+    expect(() => new NativeMCPClient({})).toThrow('NativeMCPClient needs a command or a url');
+  });
+
+  test('connects once and reuses the connection', async () => {
+    const [first, second] = await Promise.all([client.connect(), client.connect()]);
+
+    expect(first).toBe(second);
+    expect(await client.connect()).toBe(first);
+    expect(client.createTransport).toHaveBeenCalledTimes(1);
+    await expect(client.isAvailable()).resolves.toBe(true);
+  });
+
+  test('lists the server tools in the REST API shape', async () => {
+    await expect(client.listTools()).resolves.toEqual([
+      { name: 'search', description: 'Search the web', parameters: searchSchema, source: 'mcp' }
+    ]);
+  });
+
+  test('forwards calls with their request ID and parses JSON results', async () => {
+    const result = await client.callTool('search', { query: 'sol' }, { requestId: 'req-1' });
+
+    expect(result).toEqual({ success: true, result: { echoed: { query: 'sol' } }, tool: 'search' });
+    expect(reply.mock.calls[0][0].params).toEqual({
+      name: 'search',
+      arguments: { query: 'sol' },
+      _meta: { requestId: 'req-1' }
+    });
+  });
+
+  test('returns plain text and error results in the REST API shape', async () => {
+    reply.mockResolvedValueOnce({ content: [{ type: 'text', text: 'no JSON here' }] });
+    await expect(client.callTool('search', {})).resolves.toEqual({
+      success: true,
+      result: { response: 'no JSON here' },
+      tool: 'search'
+    });
+
+    reply.mockResolvedValueOnce({ content: [{ type: 'text', text: 'upstream is down' }], isError: true });
+    await expect(client.callTool('search', {})).resolves.toEqual({
+      success: false,
+      error: 'upstream is down',
+      tool: 'search'
+    });
+  });
+
+  test('throws a CancelledError when the signal aborts', async () => {
+    reply.mockImplementationOnce((request, extra) => new Promise(resolve => {
+      extra.signal.addEventListener('abort', () => resolve({ content: [] }));
+    }));
+    const controller = new AbortController();
+
+    const call = client.callTool('search', {}, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await expect(call).rejects.toThrow(CancelledError);
+  });
+});
@@ -0,0 +1,42 @@
+import { formatAnswer, formatToolList, formatToolResult, summarizeToolResult } from '../src/utils/output-format.js';
+
+const ok = { toolName: 'rugcheck', success: true, result: { risk: 'low' }, durationMs: 12, cache: { status: 'hit' } };
+const failed = { toolName: 'brave-search', success: false, error: 'timed out', timedOut: true, requestId: 'r1' };
+
+test('summarizeToolResult keeps the result or the error and the flags that are set', () => {
+  expect(summarizeToolResult(ok)).toEqual({ tool: 'rugcheck', success: true, result: { risk: 'low' }, durationMs: 12, cache: 'hit' });
+  expect(summarizeToolResult(failed)).toEqual({ tool: 'brave-search', success: false, error: 'timed out', requestId: 'r1', timedOut: true });
+});
+
+test('formatToolList renders tabs, a Markdown table or JSON', () => {
+  const tools = [{ name: 'rugcheck', description: 'Checks | risks' }, { name: 'fetch', source: 'smithery', description: 'Fetches' }];
+
+  expect(formatToolList(tools, 'text')).toBe('rugcheck\tlocal\tChecks | risks\nfetch\tsmithery\tFetches');
+  expect(formatToolList(tools, 'markdown').split('\n')[2]).toBe('| `rugcheck` | local | Checks \\| risks |');
+  expect(JSON.parse(formatToolList(tools, 'json'))[0]).toEqual({ name: 'rugcheck', description: 'Checks | risks', source: 'local' });
+});
+
+test('formatToolResult leaves failures out of text output', () => {
+  expect(formatToolResult(ok, 'text')).toBe(JSON.stringify({ risk: 'low' }, null, 2));
+  expect(formatToolResult(failed, 'text')).toBe('');
+  expect(formatToolResult(failed, 'markdown')).toBe('### `brave-search`\n\n**Error:** timed out');
+  expect(formatToolResult({ ...ok, result: 'plain' }, 'markdown')).toBe('### `rugcheck`\n\n```\nplain\n```');
+});
+
+test('formatAnswer includes the tools and the trace', () => {
+  const run = { prompt: 'Is X safe?', answer: 'Yes', toolResults: [ok, failed], trace: { iterations: 1, toolCalls: 2, stopReason: 'answered', durationMs: 40, steps: [] } };
+
+  expect(JSON.parse(formatAnswer(run, 'json'))).toEqual({
+    prompt: 'Is X safe?',
+    success: true,
+    answer: 'Yes',
+    tools: [summarizeToolResult(ok), summarizeToolResult(failed)],
+    iterations: 1,
+    toolCalls: 2,
+    stopReason: 'answered',
+    durationMs: 40
+  });
+  expect(formatAnswer(run, 'json', { compact: true })).not.toContain('\n');
+  expect(formatAnswer(run, 'markdown')).toContain('- `brave-search` (failed: timed out)');
+  expect(formatAnswer({ prompt: 'q', error: 'offline' }, 'text')).toBe('');
+});
@@ -0,0 +1,173 @@
+import { jest } from '@jest/globals';
+import {
+  ProviderChainTool,
+  TOOL_CHAINS,
+  isChainProvider,
+  isEmptyResult,
+  loadToolChains
+} from '../src/tools/provider-chain.js';
+import { RateLimitError } from '../src/utils/rate-limiter.js';
+import { TimeoutError } from '../src/utils/timeout.js';
+
+function fakeProvider(name, execute, overrides = {}) {
+  return {
+    name,
+    description: `${name} description`,
+    source: name.split(':')[0],
+    isAvailable: () => true,
+    getParameters: () => ({ type: 'object', properties: { query: { type: 'string' } } }),
+    execute: jest.fn(execute),
+    ...overrides
+  };
+}
+
+function chainOf(providers, options = {}) {
+  const specs = providers.map((provider, index) => ({ index }));
+  return new ProviderChainTool('search', { providers: specs, ...options }, spec => ({
+    id: providers[spec.index].name,
+    provider: providers[spec.index]
+  }));
+}
+
+describe('ProviderChainTool', () => {
+  test('answers with the first provider and reports its id', async () => {
+    const chain = chainOf([
+      fakeProvider('smithery:brave', async () => ({ results: [{ title: 'a' }] })),
+      fakeProvider('local:brave-search', async () => ({ results: [] }))
+    ]);
+
+    await expect(chain.execute({ query: 'x' })).resolves.toEqual({ results: [{ title: 'a' }], source: 'smithery:brave' });
+  });
+
+  test('falls through errors, unavailable and empty providers, listing them', async () => {
+    const chain = chainOf([
+      fakeProvider('smithery:down', async () => ({}), { isAvailable: () => false }),
+      fakeProvider('smithery:brave', async () => { throw new Error('502'); }),
+      fakeProvider('hustle:web', async () => ({ results: [] })),
+      fakeProvider('local:brave-search', async () => ({ results: [{ title: 'b' }] }))
+    ]);
+
+    await expect(chain.execute({ query: 'x' })).resolves.toEqual({
+      results: [{ title: 'b' }],
+      source: 'local:brave-search',
+      fallbacks: [
+        { provider: 'smithery:down', outcome: 'unavailable' },
+        { provider: 'smithery:brave', outcome: 'error', error: '502' },
+        { provider: 'hustle:web', outcome: 'empty' }
+      ]
+    });
+  });
+
+  test('returns an empty answer when no provider has data', async () => {
+    const chain = chainOf([
+      fakeProvider('a:1', async () => ({ results: [] })),
+      fakeProvider('b:2', async () => { throw new Error('down'); })
+    ]);
+
+    await expect(chain.execute({})).resolves.toEqual({
+      results: [],
+      source: 'a:1',
+      fallbacks: [{ provider: 'b:2', outcome: 'error', error: 'down' }]
+    });
+  });
+
+  test('stops on outcomes the chain does not fall through', async () => {
+    const second = fakeProvider('b:2', async () => ({ results: [1] }));
+    const chain = chainOf([fakeProvider('a:1', async () => { throw new Error('bad'); }), second], { fallThrough: ['timeout'] });
+
+    await expect(chain.execute({})).rejects.toThrow('bad');
+    expect(second.execute).not.toHaveBeenCalled();
+  });
+
+  test('times out slow providers and moves on', async () => {
+    const chain = chainOf([
+      fakeProvider('slow:1', () => new Promise(() => {})),
+      fakeProvider('fast:2', async () => ({ output: 'ok' }))
+    ], { timeoutMs: 20 });
+
+    await expect(chain.execute({})).resolves.toMatchObject({
+      output: 'ok',
+      fallbacks: [{ provider: 'slow:1', outcome: 'timeout', error: 'search via slow:1 timed out after 20ms' }]
+    });
+  });
+
+  test('does not try the next provider once the call is cancelled', async () => {
+    const controller = new AbortController();
+    const second = fakeProvider('b:2', async () => ({ output: 'late' }));
+    const chain = chainOf([fakeProvider('a:1', () => {
+      controller.abort();
+      return new Promise(() => {});
+    }), second]);
+
+    await expect(chain.execute({}, { signal: controller.signal })).rejects.toThrow('search via a:1 was cancelled');
+    expect(second.execute).not.toHaveBeenCalled();
+  });
+
+  test('fails with every attempt when nothing answers', async () => {
+    const chain = chainOf([fakeProvider('a:1', async () => { throw new TimeoutError('x', 5); }, {})], { fallThrough: ['timeout'] });
+    await expect(chain.execute({})).rejects.toThrow('No provider could run search: a:1 timeout (x timed out after 5ms)');
+  });
+
+  test('fails with 429 and the shortest retry delay when every provider is rate limited', async () => {
+    const chain = chainOf([
+      fakeProvider('a:1', async () => { throw new RateLimitError('a is rate limiting us', 7000); }),
+      fakeProvider('b:2', async () => { throw new RateLimitError('b is rate limiting us', 2000); })
+    ]);
+
+    await expect(chain.execute({})).rejects.toMatchObject({ status: 429, retryAfterMs: 2000 });
+  });
+
+  test('fails with 503 when no provider is available', async () => {
+    const chain = chainOf([fakeProvider('a:1', async () => ({}), { isAvailable: () => false })]);
+
+    await expect(chain.execute({})).rejects.toMatchObject({
+      message: 'No provider could run search: a:1 unavailable',
+      status: 503
+    });
+  });
+
+  test('merges provider schemas and passes each provider only its own parameters', async () => {
+    const first = fakeProvider('a:1', async () => { throw new Error('down'); }, {
+      getParameters: () => ({ type: 'object', required: ['query'], properties: { query: { type: 'string' }, count: { type: 'integer', default: 5 } } })
+    });
+    const second = fakeProvider('b:2', async params => ({ output: JSON.stringify(params) }), {
+      getParameters: () => ({ type: 'object', required: ['query'], properties: { query: { type: 'string' }, lang: { type: 'string' } } })
+    });
+    const chain = chainOf([first, second]);
+
+    expect(chain.getParameters()).toEqual({
+      type: 'object',
+      required: ['query'],
+      properties: { query: { type: 'string' }, count: { type: 'integer', default: 5 }, lang: { type: 'string' } }
+    });
+    await chain.execute({ query: 'x', count: 3, lang: 'en' });
+    expect(first.execute).toHaveBeenCalledWith({ query: 'x', count: 3 }, expect.anything());
+    expect(second.execute).toHaveBeenCalledWith({ query: 'x', lang: 'en' }, expect.anything());
+  });
+});
+
+describe('default chains', () => {
+  test('register a single Brave web search chain', () => {
+    expect(Object.keys(TOOL_CHAINS)).toEqual(['brave-search']);
+    expect(loadToolChains({ TOOL_CHAINS_CONFIG: '' })).toEqual(TOOL_CHAINS);
+  });
+
+  test('fail loudly for a missing config file', () => {
+    expect(() => loadToolChains({ TOOL_CHAINS_CONFIG: 'missing-chains.json' })).toThrow('Tool chain config file not found: missing-chains.json');
+  });
+
+  test('claim the Smithery tools they use as providers', () => {
+    expect(isChainProvider(TOOL_CHAINS, { remoteName: 'brave_web_search', server: 'brave' })).toBe(true);
+    expect(isChainProvider(TOOL_CHAINS, { remoteName: 'brave_local_search', server: 'brave' })).toBe(false);
+    expect(isChainProvider({ x: { providers: [{ type: 'smithery', tool: 't', server: 'a' }] } }, { remoteName: 't', server: 'b' })).toBe(false);
+  });
+});
+
+test('isEmptyResult recognizes results without data', () => {
+  for (const empty of [null, [], '  ', { results: [] }, { tokens: [] }, { output: '' }]) {
+    expect(isEmptyResult(empty)).toBe(true);
+  }
+  for (const full of [{ results: [1] }, { tokens: [1] }, 'text', { price: 1 }]) {
+    expect(isEmptyResult(full)).toBe(false);
+  }
+});
@@ -0,0 +1,167 @@
+import { jest } from '@jest/globals';
+import {
+  ClientRateLimiter,
+  RateLimitError,
+  TokenBucket,
+  Upstream,
+  UsageTracker,
+  loadRateLimitOptions,
+  retryAfterMs
+} from '../src/utils/rate-limiter.js';
+import { TimeoutError } from '../src/utils/timeout.js';
+
+function rateLimited(retryAfter) {
+  const error = new Error('Request failed with status code 429');
+  error.response = { status: 429, headers: retryAfter === undefined ? {} : { 'retry-after': retryAfter } };
+  return error;
+}
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('TokenBucket', () => {
+  test('hands out the burst, then refills at the configured rate', () => {
+    const bucket = new TokenBucket({ ratePerMinute: 60, burst: 2 });
+
+    expect(bucket.tryTake()).toBe(0);
+    expect(bucket.tryTake()).toBe(0);
+    expect(bucket.tryTake()).toBe(1000);
+    jest.advanceTimersByTime(1000);
+    expect(bucket.tryTake()).toBe(0);
+  });
+
+  test('queues callers in order and refuses waits beyond the limit', async () => {
+    const bucket = new TokenBucket({ ratePerMinute: 60, burst: 1 });
+    const order = [];
+
+    const first = bucket.take(5000, 'brave').then(() => order.push('first'));
+    const second = bucket.take(5000, 'brave').then(waited => order.push(`second after ${waited}ms`));
+    await expect(bucket.take(1500, 'brave')).rejects.toThrow('Rate limit for brave reached, retry in 2s');
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await Promise.all([first, second]);
+    expect(order).toEqual(['first', 'second after 1000ms']);
+  });
+});
+
+describe('Upstream', () => {
+  const usage = () => new UsageTracker();
+
+  test('refuses calls once the daily quota is used up', async () => {
+    const upstream = new Upstream('brave', { ratePerMinute: 600, burst: 5, dailyQuota: 2 }, usage());
+    const request = jest.fn(async () => 'ok');
+
+    await upstream.call(request);
+    await upstream.call(request);
+    await expect(upstream.call(request)).rejects.toThrow('Daily quota of 2 calls to brave used up');
+    expect(request).toHaveBeenCalledTimes(2);
+    expect(upstream.getUsage()).toMatchObject({ calls: 2, remaining: 0 });
+  });
+
+  test('waits out a 429 Retry-After and retries', async () => {
+    const onCall = jest.fn();
+    const upstream = new Upstream('brave', { ratePerMinute: 600, burst: 5 }, usage(), onCall);
+    const request = jest.fn()
+      .mockRejectedValueOnce(rateLimited('2'))
+      .mockResolvedValueOnce('ok');
+
+    const result = upstream.call(request);
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(request).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+
+    await expect(result).resolves.toBe('ok');
+    expect(upstream.getUsage()).toMatchObject({ calls: 2, rateLimited: 1, retries: 1, errors: 0 });
+    expect(onCall.mock.calls.map(([call]) => call.outcome)).toEqual(['rate_limited', 'success']);
+  });
+
+  test('gives up when 429s persist', async () => {
+    const upstream = new Upstream('hustle', { ratePerMinute: 600, burst: 5, retries: 1 }, usage());
+    const request = jest.fn(async () => { throw rateLimited(); });
+
+    const result = upstream.call(request);
+    const assertion = expect(result).rejects.toThrow(RateLimitError);
+    await jest.advanceTimersByTimeAsync(1000);
+    await assertion;
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  test('counts timeouts as cancelled rather than upstream errors', async () => {
+    const onCall = jest.fn();
+    const upstream = new Upstream('brave', {}, usage(), onCall);
+    const timeout = new TimeoutError('brave-search', 10);
+
+    await expect(upstream.call(async () => { throw timeout; })).rejects.toBe(timeout);
+    expect(onCall).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'cancelled' }));
+    expect(upstream.getUsage().errors).toBe(0);
+  });
+
+  test('stops a retry wait when the call is aborted', async () => {
+    const upstream = new Upstream('brave', { ratePerMinute: 600, burst: 5 }, usage());
+    const controller = new AbortController();
+    const request = jest.fn(async () => { throw rateLimited('10'); });
+
+    const result = upstream.call(request, { signal: controller.signal });
+    const assertion = expect(result).rejects.toThrow('brave-search timed out after 100ms');
+    await jest.advanceTimersByTimeAsync(100);
+    controller.abort(new TimeoutError('brave-search', 100));
+    await assertion;
+
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('ClientRateLimiter', () => {
+  test('limits each client separately and records usage', () => {
+    const limiter = new ClientRateLimiter({ ratePerMinute: 60, burst: 1 });
+
+    expect(limiter.check('alice')).toBe(0);
+    expect(limiter.check('alice')).toBe(1000);
+    expect(limiter.check('bob', { burst: 2 })).toBe(0);
+    expect(limiter.check('bob')).toBe(0);
+    expect(limiter.usage.today('alice')).toMatchObject({ calls: 1, rateLimited: 1 });
+  });
+
+  test('drops the buckets of idle clients', () => {
+    const limiter = new ClientRateLimiter({ ratePerMinute: 6, burst: 10 });
+    limiter.check('10.0.0.1');
+    jest.advanceTimersByTime(30000);
+    limiter.check('10.0.0.2');
+    for (let i = 0; i < 10; i++) limiter.check('10.0.0.3');
+
+    jest.advanceTimersByTime(30000);
+    limiter.check('10.0.0.4');
+    expect([...limiter.buckets.keys()]).toEqual(['10.0.0.3', '10.0.0.4']);
+  });
+});
+
+test('UsageTracker history can be limited to one name', () => {
+  const usage = new UsageTracker();
+  usage.record('alice', { calls: 1 });
+  usage.record('bob', { calls: 2 });
+
+  expect(usage.history('alice')).toEqual({ '2026-01-01': { alice: expect.objectContaining({ calls: 1 }) } });
+  expect(usage.history('carol')).toEqual({});
+  expect(Object.keys(usage.history()['2026-01-01'])).toEqual(['alice', 'bob']);
+});
+
+test('retryAfterMs reads seconds, dates and plain 429s', () => {
+  expect(retryAfterMs(rateLimited('3'))).toBe(3000);
+  expect(retryAfterMs(rateLimited(new Date(Date.now() + 5000).toUTCString()))).toBe(5000);
+  expect(retryAfterMs(new Error('Too Many Requests'))).toBe(0);
+  expect(retryAfterMs(new Error('boom'))).toBeNull();
+  expect(retryAfterMs(new RateLimitError('ours'))).toBeNull();
+});
+
+test('loadRateLimitOptions merges upstream overrides', () => {
+  const options = loadRateLimitOptions({ UPSTREAM_LIMITS: '{"brave": {"dailyQuota": 60}}', CLIENT_RATE_LIMIT_BURST: '3' });
+  expect(options.upstreams.brave).toEqual({ ratePerMinute: 60, burst: 1, dailyQuota: 60 });
+  expect(options.clients).toEqual({ ratePerMinute: 60, burst: 3 });
+  expect(() => loadRateLimitOptions({ UPSTREAM_LIMITS: '{' })).toThrow('Invalid UPSTREAM_LIMITS');
+});
@@ -0,0 +1,73 @@
+import { jest } from '@jest/globals';
+import { ToolRegistry, UnknownToolError } from '../src/tools/registry.js';
+import { ValidationError } from '../src/utils/schema-validator.js';
+
+function fakeTool(name, overrides = {}) {
+  return {
+    name,
+    description: `${name} tool`,
+    getParameters: () => ({
+      type: 'object',
+      required: ['query'],
+      properties: { query: { type: 'string' }, count: { type: 'integer', default: 5 } }
+    }),
+    execute: jest.fn(async params => ({ echoed: params })),
+    ...overrides
+  };
+}
+
+describe('ToolRegistry', () => {
+  test('lists available, visible tools with their source', () => {
+    let visible = false;
+    const registry = new ToolRegistry()
+      .register(fakeTool('search', { source: 'smithery' }))
+      .register(fakeTool('offline', { isAvailable: () => false }))
+      .register(fakeTool('hidden'), { visible: () => visible });
+
+    expect(registry.list().map(tool => [tool.name, tool.source])).toEqual([['search', 'smithery']]);
+    visible = true;
+    expect(registry.list().map(tool => tool.name)).toEqual(['search', 'hidden']);
+    expect(registry.names()).toEqual(['search', 'offline', 'hidden']);
+  });
+
+  test('replaces a tool registered twice and unregisters by name', () => {
+    const second = fakeTool('search');
+    const registry = new ToolRegistry().register(fakeTool('search')).register(second);
+    expect(registry.get('search')).toBe(second);
+    expect(registry.unregister('search')).toBe(true);
+    expect(registry.has('search')).toBe(false);
+  });
+
+  test('rejects objects that are not tools', () => {
+    expect(() => new ToolRegistry().register({ name: 'x' })).toThrow('A tool needs a name, getParameters() and execute()');
+  });
+
+  test('validates, coerces and fills defaults', () => {
+    const registry = new ToolRegistry().register(fakeTool('search'));
+
+    expect(registry.validate('search', { query: 'sol', count: '3' })).toEqual({ query: 'sol', count: 3 });
+    expect(registry.validate('search', { query: 'sol' })).toEqual({ query: 'sol', count: 5 });
+    expect(() => registry.validate('search', {})).toThrow(ValidationError);
+  });
+
+  test('executes with the parameters as given, without validating them again', async () => {
+    const tool = fakeTool('search', { getParameters: jest.fn(() => ({ type: 'object' })) });
+    const registry = new ToolRegistry().register(tool);
+    const signal = new AbortController().signal;
+
+    await expect(registry.execute('search', { query: 'sol', count: 3 }, { signal }))
+      .resolves.toEqual({ echoed: { query: 'sol', count: 3 } });
+    expect(tool.execute).toHaveBeenCalledWith({ query: 'sol', count: 3 }, { signal });
+    expect(tool.getParameters).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown tools with a 404 error', async () => {
+    const registry = new ToolRegistry();
+
+    expect(() => registry.validate('missing')).toThrow(UnknownToolError);
+    await expect(registry.execute('missing')).rejects.toMatchObject({
+      message: 'Unknown tool: missing',
+      status: 404
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { buildReport, formatReport } from '../src/utils/report.js';
+
+const user = content => ({ role: 'user', content });
+const assistant = content => ({ role: 'assistant', content });
+
+const promptedAt = '2026-10-18T09:00:00.000Z';
+const toolCall = (tool, fields = {}) => ({
+  toolName: tool,
+  success: true,
+  result: { output: `${tool} output` },
+  params: { q: tool },
+  source: 'local',
+  durationMs: 100,
+  ...fields
+});
+
+function sampleReport() {
+  return buildReport({
+    session: 'research',
+    conversation: {
+      summary: 'Talked about SOL.',
+      turns: [
+        [user('Is BONK safe?'), assistant('Checking <tool>'), user('Tool results'), assistant('Looks safe')],
+        [user('Thanks'), assistant('You are welcome')]
+      ]
+    },
+    toolHistory: [
+      toolCall('rugcheck'),
+      toolCall('trending-tokens', { prompt: 'Is BONK safe?', promptedAt, round: 1, result: { tokens: [], source: 'hustle:trending' } }),
+      toolCall('rugcheck', { prompt: 'Is BONK safe?', promptedAt, round: 2, success: false, error: 'timed out', timedOut: true }),
+      toolCall('brave-search', { durationMs: 50 })
+    ]
+  });
+}
+
+describe('buildReport', () => {
+  test('groups tool calls under the turn and step that made them', () => {
+    const report = sampleReport();
+
+    expect(report.entries.map(entry => entry.type)).toEqual(['tools', 'turn', 'turn', 'tools']);
+    const [direct, turn, , later] = report.entries;
+    expect(direct).toMatchObject({ prompt: null, toolCalls: [{ tool: 'rugcheck', params: { q: 'rugcheck' } }] });
+    expect(turn.steps.map(step => [step.reply, step.toolCalls.map(call => call.tool)])).toEqual([
+      ['Checking <tool>', ['trending-tokens']],
+      ['Looks safe', ['rugcheck']]
+    ]);
+    expect(turn.steps[0].toolCalls[0]).toMatchObject({ source: 'hustle', provider: 'hustle:trending', round: 1 });
+    expect(later.toolCalls.map(call => call.tool)).toEqual(['brave-search']);
+  });
+
+  test('sums up the calls, failures, time and sources', () => {
+    expect(sampleReport().summary).toEqual({
+      prompts: 2,
+      toolCalls: 4,
+      failedToolCalls: 1,
+      toolTimeMs: 350,
+      sources: { local: 3, hustle: 1 },
+      finalAnswer: 'You are welcome'
+    });
+  });
+
+  test('keeps tool runs of turns that fell out of the history on their own', () => {
+    const report = buildReport({
+      conversation: { turns: [] },
+      toolHistory: [toolCall('rugcheck', { prompt: 'Old question', promptedAt })]
+    });
+    expect(report.entries).toEqual([{ type: 'tools', prompt: 'Old question', toolCalls: [expect.objectContaining({ tool: 'rugcheck' })] }]);
+  });
+});
+
+describe('formatReport', () => {
+  test('writes Markdown with prompts, steps, tool calls and the summary', () => {
+    const markdown = formatReport(sampleReport(), 'md');
+
+    expect(markdown).toContain('Exported');
+    expect(markdown).toContain('from session "research"');
+    expect(markdown).toContain('## Direct tool calls');
+    expect(markdown).toContain('## Prompt 1\n\n> Is BONK safe?');
+    expect(markdown).toContain('### Agent Hustle (step 2)\n\nLooks safe');
+    expect(markdown).toContain('#### `rugcheck` · local · 100ms · timed out\n\nParameters:');
+    expect(markdown).toContain('**Error:** timed out');
+    expect(markdown).toContain('2 prompt(s), 4 tool call(s) (1 failed), 350ms in tools; sources: local 3, hustle 1');
+  });
+
+  test('escapes HTML and writes JSON as is', () => {
+    const report = sampleReport();
+    expect(formatReport(report, 'html')).toContain('Checking &lt;tool&gt;');
+    expect(JSON.parse(formatReport(report, 'json'))).toEqual(report);
+    expect(() => formatReport(report, 'pdf')).toThrow('Unknown report format "pdf" (use md, json, html)');
+  });
+});
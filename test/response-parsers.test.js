@@ -0,0 +1,41 @@
+import { parseSearchResult, parseTextResult, cleanDescription, getResultText } from '../src/utils/response-parsers.js';
+
+const text = (value) => ({ content: [{ type: 'text', text: value }] });
+
+describe('parseSearchResult', () => {
+  test('reads Title / Description / URL blocks', () => {
+    const result = text([
+      'Title: Solana news',
+      'Description: <strong>Fast</strong> &amp; cheap &quot;L1&quot;',
+      'URL: https://solana.com',
+      '',
+      'Title: No URL, skipped',
+      'Description: x',
+      '',
+      'Title: Docs',
+      'URL: https://docs.solana.com'
+    ].join('\n'));
+
+    expect(parseSearchResult(result, { query: 'solana' })).toEqual({
+      query: 'solana',
+      total: 2,
+      results: [
+        { title: 'Solana news', description: 'Fast & cheap "L1"', url: 'https://solana.com' },
+        { title: 'Docs', description: '', url: 'https://docs.solana.com' }
+      ]
+    });
+  });
+
+  test('returns no results for empty content', () => {
+    expect(parseSearchResult({}, { query: 'x' })).toEqual({ query: 'x', total: 0, results: [] });
+  });
+});
+
+test('parseTextResult keeps the input and the raw text', () => {
+  expect(parseTextResult(text('hello'), { a: 1 })).toEqual({ input: { a: 1 }, output: 'hello' });
+  expect(getResultText(undefined)).toBe('');
+});
+
+test('cleanDescription strips tags and decodes entities', () => {
+  expect(cleanDescription('<b>it&#x27;s</b> &lt;ok&gt;')).toBe("it's <ok>");
+});
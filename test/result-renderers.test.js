@@ -0,0 +1,89 @@
+import chalk from 'chalk';
+import { findRenderer, formatAmount, registerRenderer, renderResult, renderTable, RESULT_RENDERERS } from '../src/utils/result-renderers.js';
+
+const tokens = [
+  { symbol: 'BONK', price: '0.00002', priceChange24h: -3.5, volume24h: 1_500_000, marketCap: 2e9 },
+  { symbol: 'WIF', price: 2.1, priceChange24h: 12, volume24h: 9_000, marketCap: 2.1e9 }
+];
+
+describe('findRenderer', () => {
+  test('prefers the renderer registered for the tool, then the shape of the result', () => {
+    expect(findRenderer({ tokens: [] }, 'trending-tokens').name).toBe('tokens');
+    expect(findRenderer({ results: [{ url: 'u' }] }).name).toBe('search');
+    expect(findRenderer({ balances: [] }).name).toBe('wallet');
+    expect(findRenderer({ score: 10, risk: 'low' }).name).toBe('rugcheck');
+    expect(findRenderer({ output: 'text' }).name).toBe('text');
+    expect(findRenderer({ anything: 1 }).name).toBe('json');
+  });
+
+  test('falls back to the shape of the result when the tool renderer does not accept it', () => {
+    expect(findRenderer({ score: 10 }, 'rugcheck').name).toBe('rugcheck');
+    expect(findRenderer({ response: 'Rugcheck is down' }, 'rugcheck').name).toBe('text');
+    expect(findRenderer({ token: 'BONK', chain: 'solana' }, 'rugcheck').name).toBe('json');
+    expect(renderResult({ token: 'BONK' }, { toolName: 'rugcheck', plain: true })).not.toContain('Score');
+  });
+
+  test('checks registered renderers first', () => {
+    const custom = { name: 'custom', tools: ['my_tool'], render: () => 'custom' };
+    registerRenderer(custom);
+    try {
+      expect(renderResult({ score: 1, risk: 'low' }, { toolName: 'my_tool' })).toBe('custom');
+    } finally {
+      RESULT_RENDERERS.splice(RESULT_RENDERERS.indexOf(custom), 1);
+    }
+  });
+});
+
+describe('renderResult', () => {
+  test('renders token tables sorted by a column', () => {
+    const lines = renderResult({ tokens }, { toolName: 'trending-tokens', sort: 'volume', plain: true }).split('\n');
+
+    expect(lines[0]).toBe('📈 2 token(s) (sorted by volume)');
+    expect(lines.slice(1)).toEqual([
+      '#  Token       Price      24h  Volume  Market cap',
+      '─  ─────  ──────────  ───────  ──────  ──────────',
+      '1  BONK   $0.0000200   -3.50%  $1.50M      $2.00B',
+      '2  WIF         $2.10  +12.00%  $9.00K      $2.10B'
+    ]);
+  });
+
+  test('shortens lists and long text in compact mode', () => {
+    const results = Array.from({ length: 7 }, (_, index) => ({ title: `t${index}`, url: `https://x/${index}` }));
+    const search = renderResult({ results }, { compact: true, plain: true }).split('\n');
+    expect(search.at(-1)).toBe('… 2 more (/render shows all)');
+
+    expect(renderResult('x'.repeat(400), { compact: true, plain: true })).toBe(`💬 ${'x'.repeat(300)}… (/render shows all)`);
+  });
+
+  test('totals wallet holdings', () => {
+    const text = renderResult({ address: 'abc', balances: [{ symbol: 'SOL', amount: 2, price: 150, usdValue: 300 }, { symbol: 'X', usdValue: 50 }] }, { plain: true });
+    expect(text.split('\n').at(-1).trim()).toBe('Total  $350.00');
+  });
+
+  test('falls back to JSON for raw output and results that break their renderer', () => {
+    expect(renderResult({ a: 1 }, { raw: true })).toBe('{\n  "a": 1\n}');
+    expect(renderResult({ score: 1, risk: 'low', risks: [null] })).toBe(JSON.stringify({ score: 1, risk: 'low', risks: [null] }, null, 2));
+  });
+
+  test('strips colors in plain output', () => {
+    const level = chalk.level;
+    chalk.level = 1;
+    try {
+      expect(renderResult({ score: 80, risk: 'high', token: 'X' })).toContain('\u001b[');
+      expect(renderResult({ score: 80, risk: 'high', token: 'X' }, { plain: true })).toBe('🛡️  Rugcheck: X\n   Risk:  HIGH\n   Score: 80');
+    } finally {
+      chalk.level = level;
+    }
+  });
+});
+
+test('renderTable aligns columns by their visible width', () => {
+  expect(renderTable([{ title: 'A' }, { title: 'N', align: 'right' }], [['xyz', '1'], ['q', '22']]).split('\n'))
+    .toEqual(['A     N', '───  ──', 'xyz   1', 'q    22']);
+});
+
+test('formatAmount abbreviates large and small amounts', () => {
+  expect(formatAmount(1234567, '$')).toBe('$1.23M');
+  expect(formatAmount(0.000123)).toBe('0.000123');
+  expect(formatAmount(12)).toBe('12.00');
+});
@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+
+// Scripted answers, one per question (or a function of the question). Text inputs may list
+// several attempts: like inquirer, the mock re-asks until one passes the question's validate().
+let script = [];
+const questions = [];
+const rejections = [];
+
+const prompt = jest.fn(async ([question]) => {
+  questions.push(question);
+  if (script.length === 0) {
+    throw new Error(`Unexpected question: ${question.message}`);
+  }
+  const scripted = script.shift();
+  const answer = typeof scripted === 'function' ? scripted(question) : scripted;
+
+  if (question.type === 'input') {
+    for (const attempt of [].concat(answer)) {
+      const verdict = question.validate(attempt);
+      if (verdict === true) {
+        return { [question.name]: attempt };
+      }
+      rejections.push(verdict);
+    }
+    throw new Error(`No valid answer for: ${question.message}`);
+  }
+  if (question.type === 'list' && !question.choices.some(choice => choice.value === answer)) {
+    throw new Error(`${answer} is not a choice for: ${question.message}`);
+  }
+  return { [question.name]: answer };
+});
+
+jest.unstable_mockModule('inquirer', () => ({ default: { prompt } }));
+const { promptForParams, promptValue } = await import('../src/utils/schema-prompts.js');
+
+function answer(...answers) {
+  script = answers;
+}
+
+beforeEach(() => {
+  script = [];
+  questions.length = 0;
+  rejections.length = 0;
+  prompt.mockClear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  expect(script).toEqual([]);
+});
+
+describe('promptValue', () => {
+  test('offers enum options, with (none) for optional values', async () => {
+    const schema = { type: 'string', enum: ['solana', 'ethereum'], default: 'solana' };
+
+    answer('ethereum');
+    await expect(promptValue(schema, 'chain', true)).resolves.toBe('ethereum');
+    expect(questions[0]).toMatchObject({ type: 'list', default: 'solana' });
+    expect(questions[0].choices.map(choice => choice.name)).toEqual(['solana', 'ethereum']);
+
+    answer(question => question.choices.at(-1).value);
+    await expect(promptValue(schema, 'chain', false)).resolves.toBeUndefined();
+    expect(questions[1].choices).toHaveLength(3);
+  });
+
+  test('reads numbers and re-asks until they are in range', async () => {
+    answer(['many', '50', '7']);
+
+    await expect(promptValue({ type: 'integer', minimum: 1, maximum: 20 }, 'count', true)).resolves.toBe(7);
+    expect(rejections).toEqual(['count must be a number', 'count must be <= 20']);
+  });
+
+  test('requires a value for required fields and leaves optional ones unset', async () => {
+    answer(['', 'sol']);
+    await expect(promptValue({ type: 'string' }, 'query', true)).resolves.toBe('sol');
+    expect(rejections).toEqual(['query is required']);
+
+    answer('  ');
+    await expect(promptValue({ type: 'string' }, 'query', false)).resolves.toBeUndefined();
+  });
+
+  test('asks for array items until the user stops, respecting minItems', async () => {
+    const schema = { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 3 };
+
+    answer('sol', true, 'eth', false);
+    await expect(promptValue(schema, 'tokens', true)).resolves.toEqual(['sol', 'eth']);
+    expect(questions.map(question => question.type)).toEqual(['input', 'confirm', 'input', 'confirm']);
+
+    answer(false);
+    await expect(promptValue({ type: 'array' }, 'tags', false)).resolves.toBeUndefined();
+  });
+
+  test('asks for nested object properties under a dotted label', async () => {
+    const schema = {
+      type: 'object',
+      required: ['chain'],
+      properties: {
+        chain: { type: 'string', enum: ['solana', 'ethereum'] },
+        minLiquidity: { type: 'number' }
+      }
+    };
+
+    answer(true, 'solana', '1000');
+    await expect(promptValue(schema, 'filters', false)).resolves.toEqual({ chain: 'solana', minLiquidity: 1000 });
+    expect(questions[0].message).toBe('Set filters?');
+    expect(questions[1].message).toContain('filters.chain');
+
+    answer(false);
+    await expect(promptValue(schema, 'filters', false)).resolves.toBeUndefined();
+  });
+
+  test('parses objects without declared properties as JSON', async () => {
+    answer(['{bad', '{"a": 1}']);
+
+    await expect(promptValue({ type: 'object' }, 'extra', true)).resolves.toEqual({ a: 1 });
+    expect(rejections).toHaveLength(1);
+    expect(rejections[0]).toMatch(/^extra /);
+  });
+});
+
+describe('promptForParams', () => {
+  test('asks every property and applies defaults', async () => {
+    const schema = {
+      type: 'object',
+      required: ['token'],
+      properties: {
+        token: { type: 'string' },
+        chain: { type: 'string', enum: ['solana', 'ethereum'], default: 'solana' },
+        limit: { type: 'integer', default: 5 },
+        verbose: { type: 'boolean' }
+      }
+    };
+
+    answer('BONK', 'ethereum', '', true);
+    await expect(promptForParams(schema)).resolves.toEqual({ token: 'BONK', chain: 'ethereum', limit: 5, verbose: true });
+  });
+
+  test('asks again for the fields that fail validation as a whole', async () => {
+    const schema = {
+      type: 'object',
+      required: ['token', 'confirmed'],
+      properties: {
+        token: { type: 'string' },
+        confirmed: { type: 'boolean', const: true, description: 'I understand the risks' }
+      }
+    };
+
+    answer('BONK', false, true);
+    await expect(promptForParams(schema)).resolves.toEqual({ token: 'BONK', confirmed: true });
+    expect(questions.map(question => question.message.split(' ')[0])).toEqual(['token', 'confirmed', 'confirmed']);
+  });
+});
@@ -0,0 +1,80 @@
+import { validateParams, formatValidationErrors, ValidationError } from '../src/utils/schema-validator.js';
+
+const schema = {
+  type: 'object',
+  required: ['query'],
+  properties: {
+    query: { type: 'string', minLength: 2 },
+    count: { type: 'integer', minimum: 1, maximum: 20, default: 5 },
+    safesearch: { type: 'string', enum: ['strict', 'moderate', 'off'] },
+    filters: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { chains: { type: 'array', items: { type: 'string' }, maxItems: 2 } }
+    }
+  }
+};
+
+describe('validateParams', () => {
+  test('accepts valid parameters and applies defaults', () => {
+    expect(validateParams(schema, { query: 'sol' })).toEqual({ valid: true, errors: [], value: { query: 'sol', count: 5 } });
+  });
+
+  test('leaves defaults out when asked to', () => {
+    expect(validateParams(schema, { query: 'sol' }, { applyDefaults: false }).value).toEqual({ query: 'sol' });
+  });
+
+  test('reports every violation with its path', () => {
+    const { valid, errors } = validateParams(schema, {
+      count: 50,
+      safesearch: 'none',
+      filters: { chains: ['a', 'b', 3], extra: true }
+    });
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      { field: 'query', message: 'is required' },
+      { field: 'count', message: 'must be <= 20' },
+      { field: 'safesearch', message: 'must be one of "strict", "moderate", "off", got "none"' },
+      { field: 'filters.chains', message: 'must have at most 2 items' },
+      { field: 'filters.chains[2]', message: 'must be of type string, got integer' },
+      { field: 'filters.extra', message: 'is not an allowed property' }
+    ]);
+  });
+
+  test('treats an empty string as a missing required value', () => {
+    expect(validateParams(schema, { query: '' }).errors).toContainEqual({ field: 'query', message: 'is required' });
+  });
+
+  test('converts strings to the declared types when coercing', () => {
+    const result = validateParams({
+      type: 'object',
+      properties: {
+        count: { type: 'integer' },
+        safe: { type: 'boolean' },
+        tags: { type: 'array' },
+        name: { type: 'string' }
+      }
+    }, { count: '3', safe: 'TRUE', tags: '["a"]', name: '42' }, { coerce: true });
+    expect(result).toEqual({ valid: true, errors: [], value: { count: 3, safe: true, tags: ['a'], name: '42' } });
+  });
+
+  test('does not coerce unless asked', () => {
+    expect(validateParams(schema, { query: 'sol', count: '3' }).errors)
+      .toEqual([{ field: 'count', message: 'must be of type integer, got string' }]);
+  });
+
+  test('accepts integers for number properties', () => {
+    expect(validateParams({ type: 'object', properties: { n: { type: 'number' } } }, { n: 1 }).valid).toBe(true);
+  });
+});
+
+describe('ValidationError', () => {
+  test('carries the errors and a 400 status', () => {
+    const errors = [{ field: 'query', message: 'is required' }, { field: 'count', message: 'must be >= 1' }];
+    const error = new ValidationError(errors, 'brave-search');
+    expect(error.message).toBe('Invalid parameters for brave-search: query is required; count must be >= 1');
+    expect(error.status).toBe(400);
+    expect(error.errors).toBe(errors);
+    expect(formatValidationErrors(errors)).toBe('query is required; count must be >= 1');
+  });
+});
@@ -0,0 +1,146 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const serverPath = fileURLToPath(new URL('../src/server.js', import.meta.url));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start src/server.js in a scratch directory (so no .env or api-keys.json is read)
+ * and wait until /health answers
+ */
+async function startServer(env = {}) {
+  const port = await freePort();
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-server-'));
+  const child = spawn(process.execPath, [serverPath], {
+    cwd,
+    env: {
+      PATH: process.env.PATH,
+      HUSTLE_API_KEY: 'test-key',
+      VAULT_ID: 'test-vault',
+      PORT: String(port),
+      LOG_LEVEL: 'silent',
+      TOOL_CACHE: 'false',
+      ...env
+    },
+    stdio: 'ignore'
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited with code ${child.exitCode}`);
+    }
+    try {
+      await fetch(`${baseUrl}/health`);
+      return { child, baseUrl };
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  child.kill();
+  throw new Error('Server did not start within 10s');
+}
+
+function stopServer(server) {
+  if (!server || server.child.exitCode !== null) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    server.child.once('exit', resolve);
+    server.child.kill();
+  });
+}
+
+function callTool(server, name, params) {
+  return fetch(`${server.baseUrl}/api/tools/call`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name, params })
+  });
+}
+
+describe('POST /api/tools/call', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startServer();
+  }, 15000);
+
+  afterAll(() => stopServer(server));
+
+  test('lists Hustle-backed tools with their source', async () => {
+    const response = await fetch(`${server.baseUrl}/api/tools/list`, { method: 'POST' });
+    const { tools } = await response.json();
+
+    expect(tools.find(tool => tool.name === 'rugcheck').source).toBe('hustle');
+  });
+
+  test('answers 404 for an unknown tool', async () => {
+    const response = await callTool(server, 'no-such-tool', {});
+
+    expect(response.status).toBe(404);
+    expect(await response.json()).toEqual({
+      success: false,
+      error: 'Unknown tool: no-such-tool',
+      tool: 'no-such-tool'
+    });
+  });
+
+  test('answers 400 for invalid parameters', async () => {
+    const response = await callTool(server, 'rugcheck', {});
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).errors).toEqual([
+      expect.objectContaining({ field: 'token' })
+    ]);
+  });
+});
+
+describe('POST /api/tools/call with a rate-limited upstream', () => {
+  let brave;
+  let server;
+
+  beforeAll(async () => {
+    // Stands in for the Brave API, refusing every request
+    brave = http.createServer((req, res) => {
+      res.writeHead(429, { 'Retry-After': '7', 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'rate limited' }));
+    });
+    await new Promise(resolve => brave.listen(0, '127.0.0.1', resolve));
+
+    server = await startServer({
+      BRAVE_API_KEY: 'brave-key',
+      BRAVE_API_URL: `http://127.0.0.1:${brave.address().port}`,
+      UPSTREAM_LIMITS: JSON.stringify({ brave: { retries: 0 } })
+    });
+  }, 15000);
+
+  afterAll(async () => {
+    await stopServer(server);
+    await new Promise(resolve => brave.close(resolve));
+  });
+
+  test('answers 429 with Retry-After', async () => {
+    const response = await callTool(server, 'brave-search', { query: 'solana' });
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('retry-after')).toBe('7');
+    expect((await response.json()).error).toContain('brave is rate limiting us');
+  });
+});
@@ -0,0 +1,55 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SessionStore } from '../src/utils/session-store.js';
+
+describe('SessionStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'sessions-'));
+    store = new SessionStore({ directory });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('saves and loads a session by name', async () => {
+    const saved = await store.save('research', { mode: 'chat', conversation: { turns: [[{ role: 'user', content: 'hi' }]] } });
+    expect(saved).toMatchObject({ name: 'research', mode: 'chat' });
+    expect(await store.load('research')).toEqual(saved);
+    expect((await fs.readdir(directory))).toEqual(['research.json']);
+  });
+
+  test('lists sessions, most recently saved first, skipping unreadable files', async () => {
+    await store.save('older', { mode: 'chat' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.save('newer', { mode: 'stream', conversation: { turns: [[], []] } });
+    await fs.writeFile(path.join(directory, 'broken.json'), '{');
+
+    expect((await store.list()).map(({ name, mode, turns }) => ({ name, mode, turns }))).toEqual([
+      { name: 'newer', mode: 'stream', turns: 2 },
+      { name: 'older', mode: 'chat', turns: 0 }
+    ]);
+  });
+
+  test('lists nothing before the directory exists', async () => {
+    expect(await new SessionStore({ directory: path.join(directory, 'missing') }).list()).toEqual([]);
+  });
+
+  test('deletes sessions', async () => {
+    await store.save('gone', {});
+    expect(await store.delete('gone')).toBe(true);
+    expect(await store.delete('gone')).toBe(false);
+    await expect(store.load('gone')).rejects.toThrow('Session "gone" not found');
+  });
+
+  test('rejects names that could escape the directory', async () => {
+    for (const name of ['../x', '.hidden', 'a/b', '']) {
+      expect(() => store.pathFor(name)).toThrow('Invalid session name');
+    }
+    await expect(store.save('../x', {})).rejects.toThrow('Invalid session name');
+  });
+});
@@ -0,0 +1,4 @@
+// Keep the shared logger quiet; tests that check log output create their own Logger
+import { logger } from '../src/utils/logger.js';
+
+logger.configure({ level: 'silent' });
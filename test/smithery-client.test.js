@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { SmitheryClient } from '../src/utils/smithery-client.js';
+
+/**
+ * A Smithery server reached over in-memory transports. Every connection gets its
+ * own server, and the fake counts connections and requests.
+ */
+function fakeSmithery() {
+  const fake = { connections: [], listRequests: 0, tools: [{ name: 'search', inputSchema: { type: 'object' } }] };
+
+  fake.connect = () => {
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const server = new Server({ name: 'fake-smithery', version: '1.0.0' }, { capabilities: { tools: {} } });
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      fake.listRequests++;
+      return { tools: fake.tools };
+    });
+    server.setRequestHandler(CallToolRequestSchema, async request => ({
+      content: [{ type: 'text', text: `${request.params.name} via connection ${fake.connections.length}` }]
+    }));
+    server.connect(serverTransport);
+    fake.connections.push(serverTransport);
+    return clientTransport;
+  };
+
+  // Close the server end, as when the network drops
+  fake.drop = () => fake.connections.at(-1).close();
+
+  return fake;
+}
+
+describe('SmitheryClient', () => {
+  let fake;
+  let client;
+
+  beforeEach(() => {
+    fake = fakeSmithery();
+    client = new SmitheryClient({
+      name: 'brave-search',
+      baseUrl: 'https://server.smithery.ai/@smithery-ai/brave-search',
+      apiKey: 'key',
+      profile: 'profile',
+      pool: { toolsTtlMs: 1000, reconnectBaseMs: 1 }
+    });
+    client.createTransport = jest.fn(fake.connect);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await client.close();
+  });
+
+  test('reuses the pooled connection across requests', async () => {
+    await client.listTools();
+    await client.callTool('search', { query: 'a' });
+    const result = await client.callTool('search', { query: 'b' });
+
+    expect(result.content[0].text).toBe('search via connection 1');
+    expect(client.createTransport).toHaveBeenCalledTimes(1);
+    expect(client.getStatus()).toMatchObject({ connected: true, reconnects: 0 });
+  });
+
+  test('reconnects in the background after the connection drops', async () => {
+    await client.listTools();
+
+    await fake.drop();
+    expect(client.getStatus().connected).toBe(false);
+    await client.connecting;
+
+    expect(client.getStatus()).toMatchObject({ connected: true, reconnects: 1 });
+    const result = await client.callTool('search', {});
+    expect(result.content[0].text).toBe('search via connection 2');
+    expect(client.createTransport).toHaveBeenCalledTimes(2);
+  });
+
+  test('serves the tool list from the cache until the TTL expires', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+
+    await expect(client.listTools()).resolves.toEqual(fake.tools);
+    fake.tools = [...fake.tools, { name: 'news', inputSchema: { type: 'object' } }];
+    now.mockReturnValue(10999);
+    await expect(client.listTools()).resolves.toHaveLength(1);
+    expect(fake.listRequests).toBe(1);
+
+    now.mockReturnValue(11000);
+    await expect(client.listTools()).resolves.toHaveLength(2);
+    expect(fake.listRequests).toBe(2);
+    expect(client.getStatus().cachedTools).toBe(2);
+  });
+});
@@ -0,0 +1,44 @@
+import { SmitheryManager, namespaceToolName } from '../src/utils/smithery-manager.js';
+
+function fakeClient(tools, available = true) {
+  return { isAvailable: () => available, listTools: async () => tools.map(name => ({ name, description: name })) };
+}
+
+function managerWith(clients) {
+  const manager = new SmitheryManager({ servers: {} });
+  for (const [name, client] of Object.entries(clients)) {
+    manager.clients.set(name, client);
+  }
+  return manager;
+}
+
+describe('SmitheryManager.listTools', () => {
+  test('namespaces tools exposed by several servers or taken by local tools', async () => {
+    const manager = managerWith({
+      'brave-server': fakeClient(['search', 'brave_web_search']),
+      exa: fakeClient(['search', 'rugcheck'])
+    });
+
+    const tools = await manager.listTools({ reservedNames: ['rugcheck'] });
+    expect(tools.map(({ name, server, originalName }) => ({ name, server, originalName }))).toEqual([
+      { name: 'brave_server__search', server: 'brave-server', originalName: 'search' },
+      { name: 'brave_web_search', server: 'brave-server', originalName: 'brave_web_search' },
+      { name: 'exa__search', server: 'exa', originalName: 'search' },
+      { name: 'exa__rugcheck', server: 'exa', originalName: 'rugcheck' }
+    ]);
+  });
+
+  test('skips unavailable servers and servers whose listing fails', async () => {
+    const manager = managerWith({
+      down: fakeClient(['a'], false),
+      broken: { isAvailable: () => true, listTools: async () => { throw new Error('boom'); } },
+      up: fakeClient(['b'])
+    });
+
+    expect((await manager.listTools()).map(tool => tool.name)).toEqual(['b']);
+  });
+});
+
+test('namespaceToolName replaces characters tool names cannot hold', () => {
+  expect(namespaceToolName('@smithery-ai/brave', 'search')).toBe('_smithery_ai_brave__search');
+});
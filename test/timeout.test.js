@@ -0,0 +1,35 @@
+import { runWithTimeout, loadTimeoutOptions, toolTimeoutMs, TimeoutError, CancelledError } from '../src/utils/timeout.js';
+
+describe('runWithTimeout', () => {
+  test('resolves with the task result', async () => {
+    await expect(runWithTimeout(async () => 'done', { timeoutMs: 100, label: 'x' })).resolves.toBe('done');
+  });
+
+  test('rejects and aborts the task signal when the limit passes', async () => {
+    let taskSignal;
+    const result = runWithTimeout(signal => {
+      taskSignal = signal;
+      return new Promise(() => {});
+    }, { timeoutMs: 10, label: 'rugcheck' });
+
+    await expect(result).rejects.toThrow(new TimeoutError('rugcheck', 10));
+    expect(taskSignal.aborted).toBe(true);
+    expect(taskSignal.reason).toBeInstanceOf(TimeoutError);
+  });
+
+  test('rejects when the caller aborts, or has already aborted', async () => {
+    const controller = new AbortController();
+    const result = runWithTimeout(() => new Promise(() => {}), { signal: controller.signal, label: 'search' });
+    controller.abort();
+    await expect(result).rejects.toThrow(CancelledError);
+
+    await expect(runWithTimeout(async () => 'x', { signal: controller.signal, label: 'search' })).rejects.toThrow('search was cancelled');
+  });
+});
+
+test('loadTimeoutOptions reads the default and per-tool limits', () => {
+  const options = loadTimeoutOptions({ TOOL_TIMEOUT_MS: '5000', TOOL_TIMEOUTS: 'rugcheck=20000, bad=x,brave-search=10000' });
+  expect(options).toEqual({ defaultMs: 5000, tools: { 'crypto-chat': 60000, rugcheck: 20000, 'brave-search': 10000 } });
+  expect(toolTimeoutMs(options, 'rugcheck')).toBe(20000);
+  expect(toolTimeoutMs(options, 'other')).toBe(5000);
+});
@@ -0,0 +1,99 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ToolCache, MemoryCache, cacheKey, loadCacheOptions } from '../src/utils/tool-cache.js';
+
+describe('ToolCache', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('serves a hit until the tool TTL passes', async () => {
+    const cache = new ToolCache({ ttls: { rugcheck: 60 } });
+    const compute = jest.fn(async () => ({ risk: 'low' }));
+
+    await expect(cache.wrap('rugcheck', { token: 'x' }, compute)).resolves.toMatchObject({ cache: { status: 'miss' } });
+    now += 59_000;
+    await expect(cache.wrap('rugcheck', { token: 'x' }, compute)).resolves.toEqual({
+      value: { risk: 'low' },
+      cache: { status: 'hit', ttl: 60, age: 59, expiresAt: new Date(1_060_000).toISOString() }
+    });
+    now += 1_000;
+    await expect(cache.wrap('rugcheck', { token: 'x' }, compute)).resolves.toMatchObject({ cache: { status: 'miss' } });
+    expect(compute).toHaveBeenCalledTimes(2);
+    expect(cache.stats).toEqual({ hits: 1, misses: 2 });
+  });
+
+  test('keys on the parameters regardless of their order', () => {
+    expect(cacheKey('t', { b: 1, a: { d: 2, c: 3 } })).toBe(cacheKey('t', { a: { c: 3, d: 2 }, b: 1 }));
+  });
+
+  test('does not cache tools without a TTL, or bypassed calls', async () => {
+    const cache = new ToolCache({ ttls: { rugcheck: 60 } });
+    const compute = jest.fn(async () => 'x');
+
+    await expect(cache.wrap('other', {}, compute)).resolves.toEqual({ value: 'x', cache: { status: 'disabled' } });
+    await cache.wrap('rugcheck', {}, compute);
+    await expect(cache.wrap('rugcheck', {}, compute, { mode: 'bypass' })).resolves.toEqual({ value: 'x', cache: { status: 'bypass' } });
+    expect(compute).toHaveBeenCalledTimes(3);
+  });
+
+  test('refresh replaces the cached entry', async () => {
+    const cache = new ToolCache({ ttls: { rugcheck: 60 } });
+    await cache.wrap('rugcheck', {}, async () => 'old');
+
+    await expect(cache.wrap('rugcheck', {}, async () => 'new', { mode: 'refresh' })).resolves.toMatchObject({ value: 'new', cache: { status: 'refresh' } });
+    await expect(cache.wrap('rugcheck', {}, async () => 'other')).resolves.toMatchObject({ value: 'new', cache: { status: 'hit' } });
+  });
+
+  test('does not store results that are not cacheable, or failures', async () => {
+    const cache = new ToolCache({ ttls: { rugcheck: 60 } });
+    const cacheable = value => !value.fallbacks;
+
+    await expect(cache.wrap('rugcheck', {}, async () => ({ fallbacks: [] }), { cacheable })).resolves.toMatchObject({ cache: { stored: false } });
+    await expect(cache.wrap('rugcheck', {}, async () => { throw new Error('down'); })).rejects.toThrow('down');
+    await expect(cache.wrap('rugcheck', {}, async () => ({ risk: 'low' }), { cacheable })).resolves.toMatchObject({ cache: { status: 'miss' } });
+  });
+
+  test('keeps entries on disk across instances', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tool-cache-'));
+    try {
+      await new ToolCache({ ttls: { rugcheck: 60 }, directory }).wrap('rugcheck', { token: 'x' }, async () => 'stored');
+      const compute = jest.fn();
+
+      await expect(new ToolCache({ ttls: { rugcheck: 60 }, directory }).wrap('rugcheck', { token: 'x' }, compute))
+        .resolves.toMatchObject({ value: 'stored', cache: { status: 'hit' } });
+      expect(compute).not.toHaveBeenCalled();
+
+      now += 60_000;
+      await new ToolCache({ ttls: { rugcheck: 60 }, directory }).wrap('rugcheck', { token: 'x' }, async () => 'fresh');
+      expect(await fs.readdir(directory)).toHaveLength(1);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+test('MemoryCache evicts the least recently used entry', async () => {
+  const cache = new MemoryCache({ maxEntries: 2 });
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+  await cache.get('a');
+  await cache.set('c', 3);
+
+  expect([...cache.entries.keys()]).toEqual(['a', 'c']);
+});
+
+test('loadCacheOptions reads TTL overrides and switches', () => {
+  const options = loadCacheOptions({ TOOL_CACHE_TTLS: 'wallet-balance=10, my_tool=60,bad', TOOL_CACHE: 'false', TOOL_CACHE_DIR: '.cache' });
+  expect(options).toMatchObject({ maxEntries: 500, directory: '.cache', enabled: false });
+  expect(options.ttls).toMatchObject({ 'wallet-balance': 10, my_tool: 60, rugcheck: 600 });
+});
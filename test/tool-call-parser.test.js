@@ -0,0 +1,120 @@
+import { jest } from '@jest/globals';
+import {
+  parseLiteral,
+  parseToolCall,
+  parseToolCalls,
+  parseToolAttributes,
+  bindPositionalArguments,
+  ToolCallStreamDetector
+} from '../src/utils/tool-call-parser.js';
+
+describe('parseLiteral', () => {
+  test('reads JSON', () => {
+    expect(parseLiteral('{"query": "solana", "count": 5, "safe": true, "tags": ["a", null]}'))
+      .toEqual({ query: 'solana', count: 5, safe: true, tags: ['a', null] });
+  });
+
+  test('reads JavaScript-style literals', () => {
+    expect(parseLiteral(`{ query: 'sol', count: 0x10, ratio: .5, /* note */ list: [1, 2,], // end
+    }`)).toEqual({ query: 'sol', count: 16, ratio: 0.5, list: [1, 2] });
+  });
+
+  test('reads string escapes', () => {
+    expect(parseLiteral('"a\\n\\u0041\\"b"')).toBe('a\nA"b');
+  });
+
+  test('rejects identifiers and expressions instead of evaluating them', () => {
+    expect(() => parseLiteral('{ query: process.env.SECRET }')).toThrow('Unsupported identifier "process"');
+    expect(() => parseLiteral('`${1 + 1}`')).toThrow('Template expressions are not allowed');
+    expect(() => parseLiteral('1 + 1')).toThrow('Unexpected trailing content');
+  });
+
+  test('keeps __proto__ as a plain key', () => {
+    const value = parseLiteral('{ "__proto__": { "polluted": true } }');
+    expect(Object.keys(value)).toEqual(['__proto__']);
+    expect({}.polluted).toBeUndefined();
+  });
+
+  test('reports where parsing failed', () => {
+    expect(() => parseLiteral('{ query: "x" ')).toThrow(/Expected "," or "}"|Expected a property name/);
+    expect(() => parseLiteral('"open')).toThrow('Unterminated string');
+  });
+});
+
+describe('parseToolCall', () => {
+  test('returns a single object argument as named arguments', () => {
+    expect(parseToolCall('brave_web_search({ query: "x", count: 3 })'))
+      .toEqual({ name: 'brave_web_search', arguments: { query: 'x', count: 3 } });
+  });
+
+  test('returns other arguments as positional values', () => {
+    expect(parseToolCall('rugcheck("BONK", "solana");')).toEqual({ name: 'rugcheck', arguments: ['BONK', 'solana'] });
+    expect(parseToolCall('trending-tokens()')).toEqual({ name: 'trending-tokens', arguments: {} });
+  });
+
+  test('rejects text that is not a call', () => {
+    expect(() => parseToolCall('just text')).toThrow('Expected a call of the form');
+  });
+});
+
+describe('parseToolCalls', () => {
+  test('extracts every block with its dependency hints', () => {
+    const calls = parseToolCalls(`First <tool id="t">trending-tokens({ chain: "solana" })</tool>
+      then <tool after="t, x">rugcheck({ token: "{{t.tokens[0].address}}" })</tool>`);
+    expect(calls).toEqual([
+      { name: 'trending-tokens', arguments: { chain: 'solana' }, id: 't', raw: 'trending-tokens({ chain: "solana" })' },
+      { name: 'rugcheck', arguments: { token: '{{t.tokens[0].address}}' }, after: ['t', 'x'], raw: 'rugcheck({ token: "{{t.tokens[0].address}}" })' }
+    ]);
+  });
+
+  test('keeps malformed calls with an error', () => {
+    const [call] = parseToolCalls('<tool>rugcheck({ token: BONK })</tool>');
+    expect(call.name).toBe('rugcheck');
+    expect(call.error).toMatch(/^Malformed tool call: Unsupported identifier "BONK"/);
+  });
+
+  test('returns nothing for replies without tools', () => {
+    expect(parseToolCalls('No tools here')).toEqual([]);
+    expect(parseToolCalls(undefined)).toEqual([]);
+  });
+});
+
+describe('parseToolAttributes', () => {
+  test('reads single- and double-quoted hints and ignores others', () => {
+    expect(parseToolAttributes(` id='a' after="b c" other="x"`)).toEqual({ id: 'a', after: ['b', 'c'] });
+    expect(parseToolAttributes(' id=""')).toEqual({});
+  });
+});
+
+describe('bindPositionalArguments', () => {
+  const schema = { required: ['token'], properties: { chain: {}, token: {} } };
+
+  test('binds required properties first', () => {
+    expect(bindPositionalArguments(['BONK', 'solana'], schema)).toEqual({ token: 'BONK', chain: 'solana' });
+  });
+
+  test('rejects extra arguments', () => {
+    expect(() => bindPositionalArguments(['a', 'b', 'c'], schema)).toThrow('Expected at most 2 positional argument(s), got 3');
+  });
+});
+
+describe('ToolCallStreamDetector', () => {
+  test('returns calls once their block is complete, across chunks', () => {
+    const detector = new ToolCallStreamDetector();
+    const completed = jest.fn();
+    for (const chunk of ['Let me check <to', 'ol id="a">rugcheck({ tok', 'en: "X" })</to', 'ol> and more']) {
+      completed(...detector.push(chunk));
+    }
+    expect(completed.mock.calls.flat()).toEqual([
+      { name: 'rugcheck', arguments: { token: 'X' }, id: 'a', raw: 'rugcheck({ token: "X" })' }
+    ]);
+  });
+
+  test('drops text that cannot start a tool tag', () => {
+    const detector = new ToolCallStreamDetector();
+    expect(detector.push('a < b and <tr')).toEqual([]);
+    expect(detector.buffer).toBe('');
+    detector.push('<too');
+    expect(detector.buffer).toBe('<too');
+  });
+});
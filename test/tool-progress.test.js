@@ -0,0 +1,24 @@
+import { jest } from '@jest/globals';
+import { ToolProgress } from '../src/utils/tool-progress.js';
+
+const stripColors = line => line.replace(new RegExp('\\u001b\\[[0-9;]*m', 'g'), '');
+
+test('prints a start line and an end line with the duration for each call', () => {
+  jest.useFakeTimers();
+  try {
+    const lines = [];
+    const progress = new ToolProgress({ stream: { write: () => {} }, log: line => lines.push(stripColors(line)) });
+
+    progress.start('a', 'rugcheck');
+    progress.start('b', 'brave-search');
+    jest.advanceTimersByTime(1500);
+    progress.finish('b', false, () => lines.push('report b'));
+    jest.advanceTimersByTime(100);
+    progress.finish('a', true);
+    progress.stop();
+
+    expect(lines).toEqual(['▶ rugcheck', '▶ brave-search', '✖ brave-search 1.5s', 'report b', '✔ rugcheck 1.6s']);
+  } finally {
+    jest.useRealTimers();
+  }
+});
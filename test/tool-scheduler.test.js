@@ -0,0 +1,169 @@
+import { jest } from '@jest/globals';
+import {
+  ToolCallScheduler,
+  createConfirmationQueue,
+  createLimiter,
+  fillPlaceholders,
+  findPlaceholderIds,
+  loadToolConcurrency
+} from '../src/utils/tool-scheduler.js';
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+describe('ToolCallScheduler', () => {
+  test('runs calls after the calls they depend on and fills placeholders', async () => {
+    const order = [];
+    const scheduler = new ToolCallScheduler({
+      run: async call => {
+        order.push(call.name);
+        return { toolName: call.name, success: true, result: { url: `https://${call.name}`, args: call.arguments } };
+      }
+    });
+
+    const [, second] = await Promise.all([
+      scheduler.add({ name: 'search', id: 'a', arguments: {} }),
+      scheduler.add({ name: 'fetch', arguments: { url: '{{a.url}}', note: 'from {{a.url}}' } }),
+      scheduler.add({ name: 'other', after: ['a'], arguments: {} })
+    ]);
+
+    expect(order[0]).toBe('search');
+    expect(second.result.args).toEqual({ url: 'https://search', note: 'from https://search' });
+  });
+
+  test('skips calls whose dependency failed or is unknown', async () => {
+    const onSkip = jest.fn();
+    const scheduler = new ToolCallScheduler({
+      run: async call => ({ toolName: call.name, success: false, error: 'down' }),
+      onSkip
+    });
+
+    const results = await Promise.all([
+      scheduler.add({ name: 'search', id: 'a', arguments: {} }),
+      scheduler.add({ name: 'fetch', after: ['a'], arguments: {} }),
+      scheduler.add({ name: 'late', after: ['b'], arguments: {} }),
+      scheduler.add({ name: 'dup', id: 'a', arguments: {} }),
+      scheduler.add({ name: 'b', id: 'b', arguments: {} })
+    ]);
+
+    expect(results.slice(1, 4).map(result => result.error)).toEqual([
+      'Skipped because "a" failed',
+      'Depends on unknown tool call "b" (only earlier calls can be referenced)',
+      'Duplicate tool call id "a"'
+    ]);
+    expect(onSkip).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not start queued calls once cancelled', async () => {
+    const gate = deferred();
+    const started = deferred();
+    const run = jest.fn(async call => {
+      started.resolve();
+      await gate.promise;
+      return { toolName: call.name, success: true };
+    });
+    const scheduler = new ToolCallScheduler({ run, concurrency: 1 });
+
+    const first = scheduler.add({ name: 'a', arguments: {} });
+    const second = scheduler.add({ name: 'b', arguments: {} });
+    await started.promise;
+    scheduler.cancel();
+    gate.resolve();
+
+    await expect(first).resolves.toMatchObject({ success: true });
+    await expect(second).resolves.toEqual({ toolName: 'b', success: false, cancelled: true, error: 'Cancelled by the user' });
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  test('turns a throwing run into a failed result', async () => {
+    const scheduler = new ToolCallScheduler({ run: async () => { throw new Error('boom'); } });
+    await expect(scheduler.add({ name: 'a', arguments: {} })).resolves.toEqual({ toolName: 'a', success: false, error: 'boom' });
+  });
+});
+
+test('createLimiter runs at most the given number of tasks at once', async () => {
+  const limit = createLimiter(2);
+  let active = 0;
+  let peak = 0;
+  const task = async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active--;
+  };
+
+  await Promise.all([1, 2, 3, 4, 5].map(() => limit(task)));
+  expect(peak).toBe(2);
+});
+
+test('placeholders take whole values or are interpolated', () => {
+  const results = { a: { results: [{ url: 'u', tags: ['x'] }] } };
+  expect(findPlaceholderIds({ q: '{{a.results[0].url}} {{ b }}', n: [1, '{{c}}'] })).toEqual(new Set(['a', 'b', 'c']));
+  expect(fillPlaceholders({ tags: '{{a.results[0].tags}}', text: 'see {{a.results[0].tags}}' }, results))
+    .toEqual({ tags: ['x'], text: 'see ["x"]' });
+  expect(() => fillPlaceholders('{{a.missing}}', results)).toThrow('Placeholder {{a.missing}} did not match the result of "a"');
+});
+
+test('loadToolConcurrency falls back to the default', () => {
+  expect(loadToolConcurrency({ TOOL_CONCURRENCY: '2' })).toBe(2);
+  expect(loadToolConcurrency({ TOOL_CONCURRENCY: '0' })).toBe(4);
+});
+
+describe('createConfirmationQueue', () => {
+  // Wires a scheduler to the queue the way streamed replies do: confirmations wait until
+  // the reply has ended and are dropped if its calls were cancelled
+  function streamedReply(confirmations, ask) {
+    const scheduler = new ToolCallScheduler({
+      run: async call => {
+        const answer = await confirmations(() => ask(call), {
+          beforePrompt: () => scheduler.closed,
+          isCancelled: () => scheduler.cancelled
+        });
+        return answer
+          ? { toolName: call.name, success: true, result: answer }
+          : { toolName: call.name, success: false, cancelled: true };
+      }
+    });
+    return scheduler;
+  }
+
+  test('asks once the reply has ended, one confirmation at a time', async () => {
+    const confirmations = createConfirmationQueue();
+    const asked = [];
+    const ask = jest.fn(async call => {
+      asked.push(call.name);
+      return 'yes';
+    });
+    const scheduler = streamedReply(confirmations, ask);
+
+    const runs = [scheduler.add({ name: 'a', arguments: {} }), scheduler.add({ name: 'b', arguments: {} })];
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(ask).not.toHaveBeenCalled();
+
+    scheduler.close();
+    await expect(Promise.all(runs)).resolves.toMatchObject([{ success: true }, { success: true }]);
+    expect(asked).toEqual(['a', 'b']);
+  });
+
+  test('drops the confirmation of a cancelled reply and asks the next one', async () => {
+    const confirmations = createConfirmationQueue();
+    const ask = jest.fn(async () => 'yes');
+
+    const cancelledReply = streamedReply(confirmations, ask);
+    const pending = cancelledReply.add({ name: 'a', arguments: {} });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    cancelledReply.cancel();
+
+    await expect(pending).resolves.toEqual({ toolName: 'a', success: false, cancelled: true });
+    expect(ask).not.toHaveBeenCalled();
+
+    const nextReply = streamedReply(confirmations, ask);
+    const next = nextReply.add({ name: 'b', arguments: {} });
+    nextReply.close();
+    await expect(next).resolves.toEqual({ toolName: 'b', success: true, result: 'yes' });
+    expect(ask).toHaveBeenCalledTimes(1);
+  });
+});